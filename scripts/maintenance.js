@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Search-count maintenance: retention, duplicate merge and TMDB refresh
+ *
+ * From the command line:
+ *   npm run maintenance -- --dry-run
+ *   npm run maintenance -- --retention-days=60 --archive=archived_searches --concurrency=10
+ *
+ * As an Appwrite Function (Node runtime, entrypoint `scripts/maintenance.js`), schedule it
+ * with a cron and pass options as a JSON body, e.g. `{ "dryRun": true }`.
+ *
+ * Environment:
+ *   APPWRITE_ENDPOINT, APPWRITE_PROJECT_ID - Set automatically inside a Function
+ *   APPWRITE_SELF_SIGNED - `true` to accept a self-hosted server's self-signed certificate
+ *   APPWRITE_API_KEY - Key with documents.read and documents.write (inside a Function the
+ *     request's dynamic key is used when this isn't set)
+ *   APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID - Search-count collection
+ *   APPWRITE_ARCHIVE_COLLECTION_ID - Default archive collection (optional)
+ *   APPWRITE_DAILY_COLLECTION_ID - Daily movie-count collection; without it its retention is skipped
+ *   TMDB_API_KEY - TMDB read access token; without it the refresh step is skipped
+ */
+import { pathToFileURL } from 'node:url'
+import { Client, Databases } from 'node-appwrite'
+import { MAINTENANCE_DEFAULTS, runMaintenance } from '../src/maintenance.js'
+import { createTmdbClient } from '../src/tmdb.js'
+
+const USAGE = `Usage: npm run maintenance -- [options]
+
+  --dry-run               Report what would change without writing
+  --retention-days=N      Remove searches not repeated for N days (default: ${MAINTENANCE_DEFAULTS.retentionDays})
+  --daily-retention-days=N
+                          Remove daily movie counters older than N days (default: ${MAINTENANCE_DEFAULTS.dailyRetentionDays},
+                          the longest trending window); needs APPWRITE_DAILY_COLLECTION_ID
+  --stale-days=N          Refresh movie info older than N days (default: ${MAINTENANCE_DEFAULTS.staleDays})
+  --concurrency=N         Writes and TMDB requests in flight (default: ${MAINTENANCE_DEFAULTS.concurrency})
+  --archive[=ID]          Copy removed searches to this collection (default: APPWRITE_ARCHIVE_COLLECTION_ID)
+  --no-refresh            Skip the TMDB refresh
+  --help                  Show this message
+
+The movies collection holds all-time totals, one document per title, and is never pruned.`
+
+const toPositiveInt = (value, name) => {
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive whole number, got "${value}"`)
+  }
+  return number
+}
+
+/**
+ * Turn command-line flags into runMaintenance options
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options (plus `help` when asked for)
+ */
+export const parseArgs = (args) => {
+  const options = {}
+
+  for (const arg of args) {
+    const [flag, value] = arg.split(/=(.*)/s)
+    switch (flag) {
+      case '--dry-run':
+        options.dryRun = true
+        break
+      case '--retention-days':
+        options.retentionDays = toPositiveInt(value, flag)
+        break
+      case '--daily-retention-days':
+        options.dailyRetentionDays = toPositiveInt(value, flag)
+        break
+      case '--stale-days':
+        options.staleDays = toPositiveInt(value, flag)
+        break
+      case '--concurrency':
+        options.concurrency = toPositiveInt(value, flag)
+        break
+      case '--archive':
+        options.archive = value || true
+        break
+      case '--no-refresh':
+        options.refresh = false
+        break
+      case '--help':
+        options.help = true
+        break
+      default:
+        throw new Error(`Unknown option "${arg}"\n\n${USAGE}`)
+    }
+  }
+
+  return options
+}
+
+/**
+ * Connect to Appwrite and TMDB from the environment and run maintenance
+ * @param {Object} options - Parsed options
+ * @param {Object} context - Runtime details
+ * @param {string} context.apiKey - Appwrite API key when not set in the environment
+ * @param {Function} context.log - Progress logger
+ * @returns {Promise<Object>} Maintenance report
+ * @throws {Error} When required configuration is missing
+ */
+const run = async ({ archive, refresh = true, ...options }, { apiKey, log }) => {
+  const env = process.env
+  const config = {
+    endpoint: env.APPWRITE_ENDPOINT || env.APPWRITE_FUNCTION_API_ENDPOINT || 'https://cloud.appwrite.io/v1',
+    projectId: env.APPWRITE_PROJECT_ID || env.APPWRITE_FUNCTION_PROJECT_ID,
+    apiKey: env.APPWRITE_API_KEY || apiKey,
+    databaseId: env.APPWRITE_DATABASE_ID,
+    collectionId: env.APPWRITE_COLLECTION_ID
+  }
+
+  const missing = Object.entries(config).filter(([, value]) => !value).map(([key]) => key)
+  if (missing.length > 0) {
+    throw new Error(`Missing maintenance configuration: ${missing.join(', ')}`)
+  }
+
+  const archiveCollectionId = archive === true ? env.APPWRITE_ARCHIVE_COLLECTION_ID : archive
+  if (archive === true && !archiveCollectionId) {
+    throw new Error('--archive needs a collection ID or APPWRITE_ARCHIVE_COLLECTION_ID')
+  }
+
+  const client = new Client()
+    .setEndpoint(config.endpoint)
+    .setProject(config.projectId)
+    .setKey(config.apiKey)
+    .setSelfSigned(env.APPWRITE_SELF_SIGNED === 'true')
+
+  const tmdb = refresh && env.TMDB_API_KEY
+    ? createTmdbClient({ apiKey: env.TMDB_API_KEY })
+    : null
+  if (refresh && !tmdb) log('TMDB_API_KEY is not set, skipping the refresh')
+
+  return runMaintenance({
+    database: new Databases(client),
+    databaseId: config.databaseId,
+    collectionId: config.collectionId,
+    archiveCollectionId: archiveCollectionId || null,
+    dailyCollectionId: env.APPWRITE_DAILY_COLLECTION_ID || null,
+    tmdb,
+    log,
+    ...options
+  })
+}
+
+/**
+ * Appwrite Function entry point
+ * @param {Object} context - Appwrite Function context
+ */
+export default async ({ req, res, log, error }) => {
+  try {
+    const body = req.bodyJson && typeof req.bodyJson === 'object' ? req.bodyJson : {}
+    const options = {
+      dryRun: body.dryRun === true,
+      refresh: body.refresh !== false,
+      archive: body.archive || undefined,
+      ...(body.retentionDays && { retentionDays: toPositiveInt(body.retentionDays, 'retentionDays') }),
+      ...(body.dailyRetentionDays && {
+        dailyRetentionDays: toPositiveInt(body.dailyRetentionDays, 'dailyRetentionDays')
+      }),
+      ...(body.staleDays && { staleDays: toPositiveInt(body.staleDays, 'staleDays') }),
+      ...(body.concurrency && { concurrency: toPositiveInt(body.concurrency, 'concurrency') })
+    }
+    const report = await run(options, { apiKey: req.headers['x-appwrite-key'], log })
+    return res.json(report)
+  } catch (err) {
+    error(err.message)
+    return res.json({ error: err.message }, 500)
+  }
+}
+
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href
+
+if (isMain) {
+  try {
+    const options = parseArgs(process.argv.slice(2))
+    if (options.help) {
+      console.log(USAGE)
+    } else {
+      const report = await run(options, { log: console.log })
+      console.log(JSON.stringify(report, null, 2))
+      const failed = ['retention', 'dailyRetention', 'refresh']
+        .reduce((sum, step) => sum + (report[step]?.failed || 0), 0)
+      if (failed > 0) process.exitCode = 1
+    }
+  } catch (error) {
+    console.error(error.message)
+    process.exitCode = 1
+  }
+}
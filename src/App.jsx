@@ -1,135 +1,396 @@
-import { useEffect, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import Search from './components/Search.jsx'
 import Spinner from './components/Spinner.jsx'
 import MovieCard from './components/MovieCard.jsx'
+import MovieCardSkeleton from './components/MovieCardSkeleton.jsx'
+import MovieDetails from './components/MovieDetails.jsx'
+import FilterBar from './components/FilterBar.jsx'
+import BrowseTabs from './components/BrowseTabs.jsx'
+import ErrorMessage from './components/ErrorMessage.jsx'
+import MyList from './components/MyList.jsx'
+import Link from './components/Link.jsx'
+import AccountMenu from './components/AccountMenu.jsx'
+import ResetPassword from './components/ResetPassword.jsx'
+import Insights from './components/Insights.jsx'
+import Poster from './components/Poster.jsx'
+import LanguagePicker from './components/LanguagePicker.jsx'
+import MediaTypeToggle from './components/MediaTypeToggle.jsx'
+import PersonDetails from './components/PersonDetails.jsx'
+import PeopleResults from './components/PeopleResults.jsx'
 import { useDebounce } from 'react-use'
-import { getTrendingMovies, updateSearchCount } from './appwrite.js'
+import { recordMovieSignal, updateSearchCount } from './searchStore.js'
+import { addToSearchHistory } from './searchHistory.js'
+import {
+  APP_CONFIG,
+  DEFAULT_PARAMS,
+  ERROR_TYPES,
+  ROUTES,
+  SEARCH_TRENDING_WINDOWS
+} from './constants.js'
+import { useInfiniteScroll } from './hooks/useInfiniteScroll.js'
+import { useMovieFeed } from './hooks/useMovieFeed.js'
+import { useMyList } from './hooks/useMyList.js'
+import { useAppwriteHealth } from './hooks/useAppwriteHealth.js'
+import { useTrendingMovies } from './hooks/useTrendingMovies.js'
+import { useReorderAnimation } from './hooks/useReorderAnimation.js'
+import { useLocale } from './hooks/useLocale.js'
+import { usePeopleSearch } from './hooks/usePeopleSearch.js'
+import { buildPath, navigate, parseLocation, useLocation } from './router.js'
+import { DEFAULT_FILTERS, applyFilters, hasActiveFilters, parseFilters } from './filters.js'
+import { getFeedForLocation, getFeedPath, getFeedTitle } from './feeds.js'
+import { getMediaKey, getMediaType, isTitleResult } from './utils.js'
 
-const API_BASE_URL = 'https://api.themoviedb.org/3';
+// Routes (ROUTES keys) shown as a modal over a list
+const DETAILS_ROUTES = ['MOVIE', 'TV', 'PERSON'];
 
-const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
+const App = () => {
+  const location = useLocation();
+  const { locale, t } = useLocale();
+  const isDetailsRoute = DETAILS_ROUTES.includes(location.route.name);
 
-const API_OPTIONS = {
-  method: 'GET',
-  headers: {
-    accept: 'application/json',
-    Authorization: `Bearer ${API_KEY}`
-  }
-}
+  // Movie, TV and person pages are a modal over the list they were opened from
+  const listLocation = useMemo(() => (
+    isDetailsRoute ? parseLocation(location.state?.background || ROUTES.HOME) : location
+  ), [isDetailsRoute, location]);
 
-const App = () => {
-  const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('')
-  const [searchTerm, setSearchTerm] = useState('');
+  const filters = useMemo(() => parseFilters(listLocation.query), [listLocation]);
+  const feed = getFeedForLocation(listLocation, filters, locale);
+  const feedTerm = feed?.type === 'search' ? feed.query : '';
+  const initialPage = Number(listLocation.query.get('page')) || DEFAULT_PARAMS.page;
+
+  const [searchTerm, setSearchTerm] = useState(feedTerm);
 
-  const [movieList, setMovieList] = useState([]);
-  const [errorMessage, setErrorMessage] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  const [trendingWindow, setTrendingWindow] = useState(APP_CONFIG.DEFAULT_SEARCH_TRENDING_WINDOW);
 
-  const [trendingMovies, setTrendingMovies] = useState([]);
+  // Search last counted, so reloading its results in another language isn't another search
+  const lastCountedSearchRef = useRef(null);
+
+  const handlePageLoaded = useCallback((loadedFeed, data, pageNumber) => {
+    if(loadedFeed.type !== 'search' || pageNumber !== DEFAULT_PARAMS.page) return;
+    // Back/forward to a search reloads it (from the response cache), but isn't a new search;
+    // entries that were left have their scroll position saved on them
+    if(typeof window.history.state?.scrollY === 'number') return;
+
+    const lastCounted = lastCountedSearchRef.current;
+    lastCountedSearchRef.current = { query: loadedFeed.query, locale: loadedFeed.locale };
+    if(lastCounted?.query === loadedFeed.query && lastCounted.locale !== loadedFeed.locale) return;
+
+    // Searches that find nothing are counted too, for the insights page. Mixed searches
+    // credit the top movie or show, skipping people
+    updateSearchCount(loadedFeed.query, data.results?.find(isTitleResult) || null);
+    if(data.results?.length > 0) addToSearchHistory(loadedFeed.query);
+  }, []);
+
+  const {
+    listKey,
+    movieList,
+    page,
+    hasMore,
+    error,
+    isLoading,
+    isLoadingMore,
+    isRetrying,
+    loadMore,
+    retry
+  } = useMovieFeed(feed, { initialPage, onPageLoaded: handlePageLoaded });
 
   // Debounce the search term to prevent making too many API requests
-  // by waiting for the user to stop typing for 500ms
-  useDebounce(() => setDebouncedSearchTerm(searchTerm), 500, [searchTerm])
-
-  const fetchMovies = async (query = '') => {
-    setIsLoading(true);
-    setErrorMessage('');
-
-    try {
-      const endpoint = query
-        ? `${API_BASE_URL}/search/movie?query=${encodeURIComponent(query)}`
-        : `${API_BASE_URL}/discover/movie?sort_by=popularity.desc`;
-
-      const response = await fetch(endpoint, API_OPTIONS);
-
-      if(!response.ok) {
-        throw new Error('Failed to fetch movies');
-      }
-
-      const data = await response.json();
-
-      if(data.Response === 'False') {
-        setErrorMessage(data.Error || 'Failed to fetch movies');
-        setMovieList([]);
-        return;
-      }
-
-      setMovieList(data.results || []);
-
-      if(query && data.results.length > 0) {
-        await updateSearchCount(query, data.results[0]);
-      }
-    } catch (error) {
-      console.error(`Error fetching movies: ${error}`);
-      setErrorMessage('Error fetching movies. Please try again later.');
-    } finally {
-      setIsLoading(false);
-    }
-  }
+  // by waiting for the user to stop typing for 500ms, then reflect it in the URL
+  useDebounce(() => {
+    const term = searchTerm.trim();
+    if(term === feedTerm || isDetailsRoute) return;
 
-  const loadTrendingMovies = async () => {
-    try {
-      const movies = await getTrendingMovies();
+    navigate(
+      getFeedPath(term ? { type: 'search', query: term } : { type: 'discover' }, filters),
+      { replace: feed?.type === 'search' && Boolean(term) }
+    );
+  }, APP_CONFIG.SEARCH_DEBOUNCE_MS, [searchTerm]);
 
-      setTrendingMovies(movies);
-    } catch (error) {
-      console.error(`Error fetching trending movies: ${error}`);
-    }
-  }
+  // Enter or a picked suggestion searches right away instead of waiting for the debounce
+  const submitSearch = (term) => {
+    const query = term.trim();
+    if(!query || query === feedTerm) return;
+
+    navigate(getFeedPath({ type: 'search', query }, filters), { replace: feed?.type === 'search' });
+  };
 
+  // Back/forward can change the query under the input
   useEffect(() => {
-    fetchMovies(debouncedSearchTerm);
-  }, [debouncedSearchTerm]);
+    setSearchTerm((current) => current.trim() === feedTerm ? current : feedTerm);
+  }, [feedTerm]);
+
+  // Pages without a feed (PAGE_ROUTES) render without waiting on TMDB
+  const isFeedReady = !feed || (listKey === feed.key && !isLoading);
+  const feedPath = feed && getFeedPath(feed, filters, page);
 
+  // Discover is filtered and sorted by TMDB, except that movies and shows are only interleaved
+  const visibleMovies = useMemo(() => (
+    feed?.type === 'discover' && feed.mediaType !== 'all'
+      ? movieList
+      : applyFilters(movieList, filters, { sort: filters.sortBy !== DEFAULT_FILTERS.sortBy })
+  ), [feed?.type, feed?.mediaType, movieList, filters]);
+
+  const { items: myListItems, getItem: getListItem, toggle: toggleListItem } = useMyList();
+
+  // Search counts fall back to this browser while Appwrite has a problem
+  const {
+    problem: appwriteProblem,
+    isChecking: isCheckingAppwrite,
+    recheck: recheckAppwrite,
+    dismiss: dismissAppwriteProblem,
+    revision: storeRevision
+  } = useAppwriteHealth();
+
+  const handleFiltersChange = (nextFilters) => {
+    navigate(getFeedPath(feed, nextFilters));
+  };
+
+  // Keep ?page= in step with how far the list has been scrolled
   useEffect(() => {
-    loadTrendingMovies();
-  }, []);
+    if(isDetailsRoute || !isFeedReady || !feedPath) return;
+    navigate(feedPath, { replace: true });
+  }, [feedPath, isDetailsRoute, isFeedReady]);
+
+  // Restore the scroll position saved on this history entry once its list is back
+  useEffect(() => {
+    if(isDetailsRoute || !isFeedReady) return;
+
+    const scrollY = location.state?.scrollY;
+    if(typeof scrollY === 'number') window.scrollTo(0, scrollY);
+  }, [location, isDetailsRoute, isFeedReady]);
+
+  const loadMoreRef = useInfiniteScroll(loadMore, {
+    enabled: hasMore && !isLoading && !isLoadingMore && !error
+  });
+
+  // Detail pages opened from one another stack over the same list; `depth` counts them
+  const openDetails = useCallback((path, state = {}) => {
+    const background = isDetailsRoute ? location.state?.background : location.url;
+    const depth = isDetailsRoute ? (location.state?.depth || 0) + 1 : 1;
+
+    navigate(path, { state: { background: background || ROUTES.HOME, depth, ...state } });
+  }, [isDetailsRoute, location]);
+
+  // `mediaType: 'tv'` opens a TV show; `source: 'card'` marks a pick from a movie list, which
+  // counts more towards trending; `searchTerm` is the search that led here, credited to the
+  // movie; `trailer` starts its trailer
+  const openMovieDetails = useCallback((movieId, { mediaType = 'movie', source = 'link', searchTerm = feedTerm, trailer = false } = {}) => {
+    openDetails(
+      buildPath(mediaType === 'tv' ? ROUTES.TV : ROUTES.MOVIE, { id: movieId }),
+      { source, searchTerm, trailer }
+    );
+  }, [openDetails, feedTerm]);
+
+  const openPersonDetails = useCallback((personId) => {
+    openDetails(buildPath(ROUTES.PERSON, { id: personId }));
+  }, [openDetails]);
+
+  const handleMovieLoaded = useCallback((movie) => {
+    const { source, searchTerm } = location.state || {};
+    recordMovieSignal(movie, source === 'card' ? 'click' : 'open', searchTerm);
+  }, [location]);
+
+  const closeDetails = useCallback(() => {
+    const depth = location.state?.depth;
+
+    // Unwind every detail page opened from the list; direct links go home
+    if(depth) {
+      window.history.go(-depth);
+    } else {
+      navigate(ROUTES.HOME, { replace: true });
+    }
+  }, [location]);
+
+  const people = usePeopleSearch(feedTerm);
+
+  // Live: reloads as searches come in, from this user or (with Appwrite) anyone
+  const {
+    movies: trendingMovies,
+    isWindowEnabled: isTrendingWindowEnabled
+  } = useTrendingMovies(trendingWindow, { revision: storeRevision });
+  const trendingListRef = useReorderAnimation(trendingMovies.map(movie => movie.$id));
 
   return (
     <main>
       <div className="pattern"/>
 
       <div className="wrapper">
+        <nav className="site-nav" aria-label={t('nav.label')}>
+          <Link to={ROUTES.HOME} aria-current={feed ? 'page' : undefined}>{t('nav.browse')}</Link>
+          <Link to={ROUTES.MY_LIST} aria-current={listLocation.route.name === 'MY_LIST' ? 'page' : undefined}>
+            {t('nav.myList')}{myListItems.length > 0 && <span className="count">{myListItems.length}</span>}
+          </Link>
+          <LanguagePicker />
+          <AccountMenu />
+        </nav>
+
         <header>
-          <img src="./hero.png" alt="Hero Banner" />
-          <h1>Find <span className="text-gradient">Movies</span> You'll Enjoy Without the Hassle</h1>
+          <img src="/hero.png" alt={t('hero.imageAlt')} />
+          <h1>{t('hero.titleStart')} <span className="text-gradient">{t('hero.titleHighlight')}</span> {t('hero.titleEnd')}</h1>
 
-          <Search searchTerm={searchTerm} setSearchTerm={setSearchTerm} />
+          <Search
+            searchTerm={searchTerm}
+            setSearchTerm={setSearchTerm}
+            onSubmit={submitSearch}
+            onSelectMovie={openMovieDetails}
+            mediaType={filters.mediaType}
+          />
+          {feed && <MediaTypeToggle feed={feed} filters={filters} />}
+          {feed && <FilterBar filters={filters} onChange={handleFiltersChange} />}
         </header>
 
-        {trendingMovies.length > 0 && (
+        {appwriteProblem && (
+          <section className="service-status">
+            <ErrorMessage
+              type={appwriteProblem.type}
+              message={appwriteProblem.message}
+              suggestions={appwriteProblem.suggestions}
+              onRetry={recheckAppwrite}
+              isRetrying={isCheckingAppwrite}
+              onDismiss={dismissAppwriteProblem}
+            />
+          </section>
+        )}
+
+        {/* Stay visible on an empty window so the user can switch back */}
+        {feed && (trendingMovies.length > 0 || isTrendingWindowEnabled) && (
           <section className="trending">
-            <h2>Trending Movies</h2>
+            <div className="trending-header">
+              <div>
+                <h2>{t('trending.title')}</h2>
+                <p className="subtitle">{t('trending.subtitle')}</p>
+              </div>
+
+              {isTrendingWindowEnabled && (
+                <div className="window-toggle" role="group" aria-label={t('trending.windowLabel')}>
+                  {Object.entries(SEARCH_TRENDING_WINDOWS).map(([key, { labelKey }]) => (
+                    <button
+                      key={key}
+                      type="button"
+                      aria-pressed={trendingWindow === key}
+                      className={trendingWindow === key ? 'active' : ''}
+                      onClick={() => setTrendingWindow(key)}
+                    >
+                      {t(labelKey)}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
 
-            <ul>
+            {trendingMovies.length === 0 && (
+              <p className="empty">{t('trending.empty')}</p>
+            )}
+
+            <ul ref={trendingListRef}>
               {trendingMovies.map((movie, index) => (
-                <li key={movie.$id}>
+                <li key={movie.$id} data-key={movie.$id}>
                   <p>{index + 1}</p>
-                  <img src={movie.poster_url} alt={movie.title} />
+                  <button
+                    type="button"
+                    title={movie.searchTerms.length > 0 ? t('trending.searchedAs', { terms: movie.searchTerms.join(', ') }) : undefined}
+                    onClick={() => openMovieDetails(movie.movie_id, { mediaType: movie.media_type })}
+                  >
+                    <Poster path={movie.poster_path} alt={movie.title} sizes="127px" />
+                  </button>
                 </li>
               ))}
             </ul>
           </section>
         )}
 
-        <section className="all-movies">
-          <h2>All Movies</h2>
-
-          {isLoading ? (
-            <Spinner />
-          ) : errorMessage ? (
-            <p className="text-red-500">{errorMessage}</p>
-          ) : (
-            <ul>
-              {movieList.map((movie) => (
-                <MovieCard key={movie.id} movie={movie} />
-              ))}
-            </ul>
-          )}
-        </section>
+        {listLocation.route.name === 'RESET_PASSWORD' ? (
+          <ResetPassword query={listLocation.query} />
+        ) : listLocation.route.name === 'INSIGHTS' ? (
+          <Insights />
+        ) : !feed ? (
+          <MyList query={listLocation.query} onSelectMovie={openMovieDetails} />
+        ) : (
+          <section className="all-movies">
+            {feed.type !== 'search' && (
+              <BrowseTabs feed={feed} filters={filters} />
+            )}
+
+            {feed.type === 'search' && (
+              <PeopleResults people={people} onSelectPerson={openPersonDetails} />
+            )}
+
+            <h2>{getFeedTitle(feed)}</h2>
+
+            {isLoading && !isRetrying ? (
+              <ul aria-busy="true" aria-label={t('loading.MOVIES')}>
+                {Array.from({ length: APP_CONFIG.SKELETON_CARD_COUNT }, (_, index) => (
+                  <MovieCardSkeleton key={index} />
+                ))}
+              </ul>
+            ) : error && movieList.length === 0 ? (
+              <ErrorMessage
+                error={error}
+                onRetry={retry}
+                isRetrying={isRetrying}
+              />
+            ) : (
+              <>
+                {visibleMovies.length === 0 && !hasMore && !error && (
+                  <ErrorMessage
+                    type={ERROR_TYPES.NO_RESULTS}
+                    message={t(hasActiveFilters(filters) ? 'errors.NO_FILTER_MATCHES' : 'errors.NO_RESULTS')}
+                  />
+                )}
+
+                <ul>
+                  {visibleMovies.map((movie) => {
+                    const mediaType = getMediaType(movie);
+                    // My List holds movies only
+                    const isMovie = mediaType === 'movie';
+
+                    return (
+                      <MovieCard
+                        key={getMediaKey(movie)}
+                        movie={movie}
+                        listItem={isMovie ? getListItem(movie.id) : undefined}
+                        onSelect={() => openMovieDetails(movie.id, { mediaType, source: 'card' })}
+                        onPlayTrailer={() => openMovieDetails(movie.id, { mediaType, source: 'card', trailer: true })}
+                        onToggleList={isMovie ? toggleListItem : undefined}
+                      />
+                    );
+                  })}
+                </ul>
+
+                {hasMore && <div ref={loadMoreRef} className="load-more" aria-hidden="true" />}
+                {isLoadingMore && <Spinner />}
+                {error && (
+                  <ErrorMessage
+                    error={error}
+                    onRetry={retry}
+                    isRetrying={isRetrying}
+                  />
+                )}
+              </>
+            )}
+          </section>
+        )}
       </div>
+
+      {location.route.name === 'PERSON' ? (
+        <PersonDetails
+          personId={location.route.params.id}
+          onClose={closeDetails}
+          onSelectMovie={openMovieDetails}
+        />
+      ) : isDetailsRoute && (
+        <MovieDetails
+          movieId={location.route.params.id}
+          mediaType={location.route.name === 'TV' ? 'tv' : 'movie'}
+          onClose={closeDetails}
+          onSelectMovie={openMovieDetails}
+          onSelectPerson={openPersonDetails}
+          onLoad={handleMovieLoaded}
+          autoplayTrailer={Boolean(location.state?.trailer)}
+        />
+      )}
     </main>
   )
 }
 
-export default App
\ No newline at end of file
+export default App
@@ -1,180 +1,315 @@
-import { Client, Databases, ID, Query } from 'appwrite'
+import { Client, Databases, Permission, Query, Role } from 'appwrite'
+import {
+  createMovieCounter,
+  createSearchCounter,
+  getDayBucket,
+  normalizeSearchTerm,
+  scoreDailyCounts,
+  toTrendingMovie
+} from './searchCounts.js'
+import { listAllDocuments } from './appwritePaging.js'
+import { summarizeSearchStats } from './searchStats.js'
+import {
+  APP_CONFIG,
+  ERROR_TYPES,
+  SEARCH_TRENDING_WINDOWS,
+  SERVICE_STATUS
+} from './constants.js'
+import { mapWithConcurrency } from './utils.js'
+import { t } from './i18n.js'
 
-// Environment variables with validation
-const PROJECT_ID = import.meta.env.VITE_APPWRITE_PROJECT_ID
-const DATABASE_ID = import.meta.env.VITE_APPWRITE_DATABASE_ID
-const COLLECTION_ID = import.meta.env.VITE_APPWRITE_COLLECTION_ID
+// Appwrite Cloud, unless VITE_APPWRITE_ENDPOINT points at a self-hosted server
+const DEFAULT_ENDPOINT = 'https://cloud.appwrite.io/v1'
 
-// Validate required environment variables
-const validateEnvVars = () => {
+// Environment variables (optional chaining so the module also loads outside Vite)
+const ENDPOINT = (import.meta.env?.VITE_APPWRITE_ENDPOINT || DEFAULT_ENDPOINT).replace(/\/+$/, '')
+// Browsers won't let a page accept a certificate: this only tailors the health check's advice
+const SELF_SIGNED = import.meta.env?.VITE_APPWRITE_SELF_SIGNED === 'true'
+const PROJECT_ID = import.meta.env?.VITE_APPWRITE_PROJECT_ID
+const DATABASE_ID = import.meta.env?.VITE_APPWRITE_DATABASE_ID
+const COLLECTION_ID = import.meta.env?.VITE_APPWRITE_COLLECTION_ID
+// Optional: per-movie interaction counters; trending falls back to search terms without it
+const MOVIES_COLLECTION_ID = import.meta.env?.VITE_APPWRITE_MOVIES_COLLECTION_ID
+// Optional: daily per-movie counters for windowed trending (all-time only when not set)
+const DAILY_COLLECTION_ID = import.meta.env?.VITE_APPWRITE_DAILY_COLLECTION_ID
+// Optional: watchlist/favorites sync is skipped when this isn't set
+const LISTS_COLLECTION_ID = import.meta.env?.VITE_APPWRITE_LISTS_COLLECTION_ID
+
+// Required environment variables that aren't set
+const getMissingEnvVars = () => {
   const missing = []
   if (!PROJECT_ID) missing.push('VITE_APPWRITE_PROJECT_ID')
   if (!DATABASE_ID) missing.push('VITE_APPWRITE_DATABASE_ID')
   if (!COLLECTION_ID) missing.push('VITE_APPWRITE_COLLECTION_ID')
-  
-  if (missing.length > 0) {
-    throw new Error(`Missing required environment variables: ${missing.join(', ')}`)
-  }
+  return missing
 }
 
-// Validate on module load
-validateEnvVars()
+const missingEnvVars = getMissingEnvVars()
+// Some but not all required variables set is a mistake; none set means local storage on purpose
+const isPartlyConfigured = missingEnvVars.length > 0 && missingEnvVars.length < 3
+
+/**
+ * Whether the Appwrite project and search-count collection are configured
+ * Without them, search counts are kept locally (see searchStore.js) and accounts are unavailable
+ */
+export const isAppwriteConfigured = missingEnvVars.length === 0
+
+if (isPartlyConfigured) {
+  console.warn(`Appwrite is not configured (missing ${missingEnvVars.join(', ')})`)
+}
 
 // Initialize Appwrite client
 const client = new Client()
-  .setEndpoint('https://cloud.appwrite.io/v1') // Updated to latest endpoint
-  .setProject(PROJECT_ID)
+  .setEndpoint(ENDPOINT)
+
+if (PROJECT_ID) client.setProject(PROJECT_ID)
 
 const database = new Databases(client)
 
+/**
+ * Whether trending can be limited to a time window (see SEARCH_TRENDING_WINDOWS)
+ */
+export const isTrendingWindowEnabled = isAppwriteConfigured && Boolean(DAILY_COLLECTION_ID)
+
+/**
+ * Whether watchlist/favorites can be synced to Appwrite
+ */
+export const isListSyncEnabled = isAppwriteConfigured && Boolean(LISTS_COLLECTION_ID)
+
+const searchCounter = createSearchCounter({
+  database,
+  databaseId: DATABASE_ID,
+  collectionId: COLLECTION_ID
+})
+
+// One document per movie, and one per movie per UTC day
+const movieCounter = isAppwriteConfigured && MOVIES_COLLECTION_ID && createMovieCounter({
+  database,
+  databaseId: DATABASE_ID,
+  collectionId: MOVIES_COLLECTION_ID
+})
+
+const dailyMovieCounter = isTrendingWindowEnabled && createMovieCounter({
+  database,
+  databaseId: DATABASE_ID,
+  collectionId: DAILY_COLLECTION_ID,
+  getBucket: () => ({ day: getDayBucket() })
+})
+
+// Deletes in flight while clearing old searches
+const CLEAR_CONCURRENCY = 5
+
 /**
  * Update search count for a movie search term
+ * Safe under concurrent searches: see createSearchCounter in searchCounts.js
  * @param {string} searchTerm - The search term
- * @param {Object} movie - The movie object from TMDB API
+ * @param {Object|null} movie - The top movie from TMDB, or null when the search found nothing
  * @returns {Promise<Object|null>} The updated or created document
  */
 export const updateSearchCount = async (searchTerm, movie) => {
   // Validate inputs
-  if (!searchTerm || !movie) {
+  if (!searchTerm) {
     console.warn('updateSearchCount: Missing required parameters')
     return null
   }
 
-  // Sanitize search term
-  const sanitizedTerm = searchTerm.trim().toLowerCase()
-  if (!sanitizedTerm) return null
+  if (!normalizeSearchTerm(searchTerm)) return null
 
-  try {
-    // Check if the search term already exists
-    const result = await database.listDocuments(DATABASE_ID, COLLECTION_ID, [
-      Query.equal('searchTerm', sanitizedTerm),
-      Query.limit(1) // We only need to know if it exists
-    ])
+  // Movie counters feed trending only, so they don't hold up or fail the term count
+  if (movie) recordMovieSignal(movie, 'search', searchTerm)
 
-    if (result.documents.length > 0) {
-      // Update existing document
-      const doc = result.documents[0]
-      const updatedDoc = await database.updateDocument(
-        DATABASE_ID, 
-        COLLECTION_ID, 
-        doc.$id, 
-        {
-          count: doc.count + 1,
-          lastSearched: new Date().toISOString(),
-          // Update movie info in case it changed
-          title: movie.title,
-          poster_url: movie.poster_path 
-            ? `https://image.tmdb.org/t/p/w500${movie.poster_path}`
-            : null
-        }
-      )
-      console.log(`Updated search count for "${sanitizedTerm}": ${updatedDoc.count}`)
-      return updatedDoc
-    } else {
-      // Create new document
-      const newDoc = await database.createDocument(
-        DATABASE_ID, 
-        COLLECTION_ID, 
-        ID.unique(), 
-        {
-          searchTerm: sanitizedTerm,
-          count: 1,
-          movie_id: movie.id,
-          title: movie.title,
-          poster_url: movie.poster_path 
-            ? `https://image.tmdb.org/t/p/w500${movie.poster_path}`
-            : null,
-          release_date: movie.release_date || null,
-          vote_average: movie.vote_average || 0,
-          firstSearched: new Date().toISOString(),
-          lastSearched: new Date().toISOString()
-        }
-      )
-      console.log(`Created new search record for "${sanitizedTerm}"`)
-      return newDoc
-    }
+  try {
+    return await searchCounter.increment(searchTerm, movie)
   } catch (error) {
     console.error('Error updating search count:', error.message)
-    
+
     // Handle specific Appwrite errors
     if (error.code === 401) {
       console.error('Appwrite authentication failed. Check your project ID and permissions.')
     } else if (error.code === 404) {
       console.error('Appwrite database or collection not found. Check your configuration.')
     }
-    
+
     return null
   }
 }
 
 /**
- * Get trending movies based on search count
+ * Count an interaction with a movie towards trending
+ * @param {Object} movie - TMDB movie (needs id, title and poster_path)
+ * @param {'search'|'open'|'click'} signal - Kind of interaction (see MOVIE_SIGNAL_WEIGHTS)
+ * @param {string} searchTerm - Search that led to the movie, if any
+ * @returns {Promise<Object|null>} The all-time movie document
+ */
+export const recordMovieSignal = async (movie, signal, searchTerm = '') => {
+  if (!movie?.id) return null
+
+  const options = { signal, searchTerm }
+  const [allTime] = await Promise.all([movieCounter, dailyMovieCounter].map(async (counter) => {
+    if (!counter) return null
+    try {
+      return await counter.record(movie, options)
+    } catch (error) {
+      console.error(`Error recording movie ${signal}:`, error.message)
+      return null
+    }
+  }))
+
+  return allTime
+}
+
+/**
+ * Collapse duplicate search-count documents for the same term (maintenance)
+ * @param {Object} options - See createSearchCounter's mergeDuplicates
+ * @returns {Promise<{groups: number, removed: number}>} Terms merged and documents deleted
+ */
+export const mergeDuplicateSearches = (options) => searchCounter.mergeDuplicates(options)
+
+// Collapse term documents that credit the same movie, summing counts and keeping every term
+// (`$id` is the media key, so a movie and a show with the same TMDB ID stay apart)
+const dedupeByMovie = (movies) => {
+  const byMovie = new Map()
+
+  movies.forEach((movie) => {
+    const existing = byMovie.get(movie.$id)
+    if (!existing) {
+      byMovie.set(movie.$id, { ...movie })
+      return
+    }
+    existing.count += movie.count
+    existing.score += movie.score
+    existing.searchTerms = [...existing.searchTerms, ...movie.searchTerms]
+  })
+
+  return [...byMovie.values()].sort((a, b) => b.score - a.score)
+}
+
+// Read every daily counter since a day. Paging runs in $id order, so stopping early would drop
+// movies by ID rather than by score; the window is read whole and ranked afterwards
+const getDailyCountsSince = (day) => listAllDocuments(database, DATABASE_ID, DAILY_COLLECTION_ID, [
+  Query.greaterThanEqual('day', day)
+])
+
+/**
+ * Get trending movies, one entry per movie, with the search terms that found it
  * @param {number} limit - Number of trending movies to return (default: 10)
+ * @param {Object} options - Options
+ * @param {string} options.window - A SEARCH_TRENDING_WINDOWS key (default: 'all'). Falls back
+ *   to all-time counts when daily counters aren't configured.
  * @returns {Promise<Array>} Array of trending movies
  */
-export const getTrendingMovies = async (limit = 10) => {
+export const getTrendingMovies = async (limit = 10, { window: timeWindow = 'all' } = {}) => {
+  const windowConfig = SEARCH_TRENDING_WINDOWS[timeWindow]
+
   try {
-    const result = await database.listDocuments(DATABASE_ID, COLLECTION_ID, [
-      Query.limit(Math.min(limit, 100)), // Appwrite has a max limit
-      Query.orderDesc('count'),
-      Query.greaterThan('count', 0) // Only include movies that have been searched
-    ])
+    let trendingMovies
+
+    if (isTrendingWindowEnabled && windowConfig?.days) {
+      const now = Date.now()
+      const since = getDayBucket(now - windowConfig.days * 24 * 60 * 60 * 1000)
+      const documents = await getDailyCountsSince(since)
+
+      trendingMovies = scoreDailyCounts(documents, windowConfig, now)
+        .slice(0, limit)
+        .map(toTrendingMovie)
+    } else if (movieCounter) {
+      const result = await database.listDocuments(DATABASE_ID, MOVIES_COLLECTION_ID, [
+        Query.limit(Math.min(limit, 100)),
+        Query.orderDesc('score'),
+        Query.greaterThan('score', 0)
+      ])
+
+      trendingMovies = result.documents.map(toTrendingMovie)
+    } else {
+      // Several terms can credit one movie, so fetch extra to still fill the list
+      const result = await database.listDocuments(DATABASE_ID, COLLECTION_ID, [
+        Query.limit(Math.min(limit * 3, 100)), // Appwrite has a max limit
+        Query.orderDesc('count'),
+        Query.greaterThan('count', 0), // Only include movies that have been searched
+        Query.isNotNull('movie_id') // Searches that found nothing credit no movie
+      ])
+
+      // Transform the data for easier use in components
+      trendingMovies = dedupeByMovie(result.documents.map(toTrendingMovie)).slice(0, limit)
+    }
 
-    // Transform the data for easier use in components
-    const trendingMovies = result.documents.map(doc => ({
-      $id: doc.$id,
-      searchTerm: doc.searchTerm,
-      title: doc.title,
-      movie_id: doc.movie_id,
-      poster_path: doc.poster_url ? doc.poster_url.replace('https://image.tmdb.org/t/p/w500', '') : null,
-      poster_url: doc.poster_url,
-      count: doc.count,
-      vote_average: doc.vote_average,
-      release_date: doc.release_date,
-      lastSearched: doc.lastSearched
-    }))
-
-    console.log(`Retrieved ${trendingMovies.length} trending movies`)
     return trendingMovies
   } catch (error) {
     console.error('Error fetching trending movies:', error.message)
-    
+
     // Handle specific errors
     if (error.code === 401) {
       console.error('Appwrite authentication failed. Check your project ID and permissions.')
     } else if (error.code === 404) {
       console.error('Appwrite database or collection not found. Check your configuration.')
     }
-    
+
     return []
   }
 }
 
 /**
- * Get search statistics
- * @returns {Promise<Object>} Search statistics
+ * Listen for writes to the collections trending is computed from
+ * Uses Appwrite realtime, so readers need read access to those collections
+ * @param {Function} callback - Called with each realtime event
+ * @returns {Function} Unsubscribe function
  */
-export const getSearchStats = async () => {
+export const subscribeToTrendingChanges = (callback) => {
+  if (!isAppwriteConfigured) return () => {}
+
+  const channels = [COLLECTION_ID, MOVIES_COLLECTION_ID, DAILY_COLLECTION_ID]
+    .filter(Boolean)
+    .map(collectionId => `databases.${DATABASE_ID}.collections.${collectionId}.documents`)
+
   try {
-    const result = await database.listDocuments(DATABASE_ID, COLLECTION_ID, [
-      Query.limit(100),
-      Query.orderDesc('count')
-    ])
+    return client.subscribe(channels, callback)
+  } catch (error) {
+    console.warn('Could not subscribe to trending updates:', error.message)
+    return () => {}
+  }
+}
 
-    const totalSearches = result.documents.reduce((sum, doc) => sum + doc.count, 0)
-    const uniqueTerms = result.documents.length
-    const topSearch = result.documents[0]
+/**
+ * Get the most searched terms, optionally only those starting with a prefix
+ * @param {string} prefix - Prefix to match (default: '' for all terms)
+ * @param {number} limit - Number of terms to return (default: 5)
+ * @returns {Promise<string[]>} Search terms, most searched first
+ */
+export const getPopularSearchTerms = async (prefix = '', limit = 5) => {
+  const sanitizedPrefix = prefix.trim().toLowerCase()
 
-    return {
-      totalSearches,
-      uniqueTerms,
-      topSearch: topSearch ? {
-        term: topSearch.searchTerm,
-        count: topSearch.count,
-        title: topSearch.title
-      } : null,
-      lastUpdated: new Date().toISOString()
-    }
+  try {
+    const queries = [
+      Query.limit(Math.min(limit, 100)),
+      Query.orderDesc('count'),
+      Query.select(['searchTerm', 'count'])
+    ]
+    if (sanitizedPrefix) queries.push(Query.startsWith('searchTerm', sanitizedPrefix))
+
+    const result = await database.listDocuments(DATABASE_ID, COLLECTION_ID, queries)
+    return result.documents.map(doc => doc.searchTerm)
+  } catch (error) {
+    console.error('Error fetching popular search terms:', error.message)
+    return []
+  }
+}
+
+/**
+ * Get search statistics across every search and movie counter document
+ * @param {Object} options - Options
+ * @param {number} options.days - Days of daily activity to include (default: APP_CONFIG.STATS_DAYS)
+ * @returns {Promise<Object>} Search statistics (see summarizeSearchStats)
+ */
+export const getSearchStats = async ({ days = APP_CONFIG.STATS_DAYS } = {}) => {
+  try {
+    const now = Date.now()
+    const [termDocs, movieDocs, dailyDocs] = await Promise.all([
+      listAllDocuments(database, DATABASE_ID, COLLECTION_ID),
+      MOVIES_COLLECTION_ID ? listAllDocuments(database, DATABASE_ID, MOVIES_COLLECTION_ID) : null,
+      isTrendingWindowEnabled ? getDailyCountsSince(getDayBucket(now - (days - 1) * 24 * 60 * 60 * 1000)) : null
+    ])
+
+    return summarizeSearchStats({ termDocs, movieDocs, dailyDocs, days, now })
   } catch (error) {
     console.error('Error fetching search stats:', error.message)
     return {
@@ -188,32 +323,169 @@ export const getSearchStats = async () => {
 
 /**
  * Clear old search records (utility function for maintenance)
- * @param {number} daysOld - Delete records older than this many days
+ * See scripts/maintenance.js for archiving and a dry run
+ * @param {number} daysOld - Delete records not searched for this many days
  * @returns {Promise<number>} Number of deleted records
  */
 export const clearOldSearches = async (daysOld = 90) => {
   try {
     const cutoffDate = new Date()
     cutoffDate.setDate(cutoffDate.getDate() - daysOld)
-    
-    const result = await database.listDocuments(DATABASE_ID, COLLECTION_ID, [
-      Query.lessThan('lastSearched', cutoffDate.toISOString()),
-      Query.limit(100)
-    ])
 
-    let deletedCount = 0
-    for (const doc of result.documents) {
-      await database.deleteDocument(DATABASE_ID, COLLECTION_ID, doc.$id)
-      deletedCount++
-    }
+    const documents = await listAllDocuments(database, DATABASE_ID, COLLECTION_ID, [
+      Query.lessThan('lastSearched', cutoffDate.toISOString())
+    ])
+    const results = await mapWithConcurrency(documents, CLEAR_CONCURRENCY, doc => (
+      database.deleteDocument(DATABASE_ID, COLLECTION_ID, doc.$id)
+    ))
 
-    console.log(`Deleted ${deletedCount} old search records`)
-    return deletedCount
+    return results.filter(result => result.status === 'fulfilled').length
   } catch (error) {
     console.error('Error clearing old searches:', error.message)
     return 0
   }
 }
 
+/**
+ * @typedef {Object} AppwriteHealth
+ * @property {string} status - A SERVICE_STATUS value
+ * @property {string} [type] - ERROR_TYPES value for ErrorMessage, when there's a problem
+ * @property {string} [message] - What's wrong
+ * @property {string[]} [suggestions] - How to fix it
+ */
+
+const getServerSuggestions = () => [
+  t('health.checkEndpoint', { endpoint: ENDPOINT }),
+  SELF_SIGNED
+    ? t('health.acceptCertificate', { url: `${ENDPOINT}/health/version` })
+    : t('health.addPlatform')
+]
+
+/**
+ * Check that the Appwrite server answers and the search-count collection can be read
+ * @returns {Promise<AppwriteHealth>} Health, never throws
+ */
+export const checkAppwriteHealth = async () => {
+  if (!isAppwriteConfigured) {
+    return isPartlyConfigured
+      ? {
+          status: SERVICE_STATUS.ERROR,
+          type: ERROR_TYPES.CONFIG,
+          message: t('errors.APPWRITE_CONFIG'),
+          suggestions: [t('health.setEnvVars', { names: missingEnvVars.join(', ') })]
+        }
+      : { status: SERVICE_STATUS.UNCONFIGURED }
+  }
+
+  // A public endpoint, so a failure here is the server (or certificate), not permissions
+  try {
+    const response = await fetch(`${ENDPOINT}/health/version`)
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+  } catch (error) {
+    console.warn(`Appwrite is not reachable at ${ENDPOINT}:`, error.message)
+    return {
+      status: SERVICE_STATUS.ERROR,
+      type: ERROR_TYPES.NETWORK,
+      message: t('errors.APPWRITE_UNREACHABLE'),
+      suggestions: getServerSuggestions()
+    }
+  }
+
+  try {
+    await database.listDocuments(DATABASE_ID, COLLECTION_ID, [Query.limit(1)])
+    return { status: SERVICE_STATUS.OK }
+  } catch (error) {
+    console.warn('Appwrite search collection is not readable:', error.message)
+    return {
+      status: SERVICE_STATUS.ERROR,
+      type: error.code === 401 ? ERROR_TYPES.AUTH : ERROR_TYPES.CONFIG,
+      message: t('errors.APPWRITE_COLLECTION'),
+      suggestions: [t(error.code === 401 ? 'health.grantRead' : 'health.checkIds')]
+    }
+  }
+}
+
+/**
+ * Document permissions for per-user data, so only its owner can read or change it
+ * The collection needs document security enabled and create access for Role.users()
+ * @param {string} userId - Appwrite user ID
+ * @returns {string[]} Permissions
+ */
+export const getOwnerPermissions = (userId) => [
+  Permission.read(Role.user(userId)),
+  Permission.update(Role.user(userId)),
+  Permission.delete(Role.user(userId))
+]
+
+// One document per user and movie, so saving an item is a single upsert
+const getListDocumentId = (userId, movieId) => `${userId}_${movieId}`
+
+const LIST_ITEM_FIELDS = [
+  'title',
+  'poster_path',
+  'release_date',
+  'vote_average',
+  'original_language',
+  'watchlist',
+  'favorite',
+  'watched',
+  'addedAt',
+  'updatedAt'
+]
+
+/**
+ * Get every watchlist/favorites item stored for a user
+ * @param {string} userId - Appwrite user ID
+ * @returns {Promise<Array|null>} List items, or null if they couldn't be loaded
+ */
+export const getUserListItems = async (userId) => {
+  if (!isListSyncEnabled || !userId) return null
+
+  try {
+    const documents = await listAllDocuments(database, DATABASE_ID, LISTS_COLLECTION_ID, [
+      Query.equal('userId', userId)
+    ])
+
+    return documents.map((doc) => {
+      const item = { id: doc.movie_id }
+      LIST_ITEM_FIELDS.forEach((field) => {
+        item[field] = doc[field] ?? null
+      })
+      return item
+    })
+  } catch (error) {
+    console.error('Error fetching list items:', error.message)
+    return null
+  }
+}
+
+/**
+ * Create or update one watchlist/favorites item for a user
+ * @param {string} userId - Appwrite user ID
+ * @param {Object} item - List item (see myList.js)
+ * @returns {Promise<Object|null>} The saved document
+ */
+export const saveUserListItem = async (userId, item) => {
+  if (!isListSyncEnabled || !userId || !item?.id) return null
+
+  const data = { userId, movie_id: item.id }
+  LIST_ITEM_FIELDS.forEach((field) => {
+    data[field] = item[field] ?? null
+  })
+
+  try {
+    return await database.upsertDocument(
+      DATABASE_ID,
+      LISTS_COLLECTION_ID,
+      getListDocumentId(userId, item.id),
+      data,
+      getOwnerPermissions(userId)
+    )
+  } catch (error) {
+    console.error('Error saving list item:', error.message)
+    return null
+  }
+}
+
 // Export client for advanced usage
 export { client, database }
\ No newline at end of file
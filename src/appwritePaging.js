@@ -0,0 +1,36 @@
+import { Query } from 'appwrite'
+
+// Appwrite's largest page
+export const PAGE_SIZE = 100
+
+/**
+ * List every document matching some queries, following cursors page by page
+ * Ordered by $id so the cursor is stable while documents are being written
+ * @param {Object} database - Appwrite Databases instance (or a mock with listDocuments)
+ * @param {string} databaseId - Database ID
+ * @param {string} collectionId - Collection ID
+ * @param {string[]} queries - Filters and selects (no limit, order or cursor)
+ * @param {Object} options - Paging options
+ * @param {Function} options.onPage - Called with each page's documents instead of collecting them
+ * @returns {Promise<Object[]>} Documents (empty when `onPage` is given)
+ */
+export const listAllDocuments = async (database, databaseId, collectionId, queries = [], { onPage = null } = {}) => {
+  const documents = []
+  let cursor = null
+
+  do {
+    const pageQueries = [...queries, Query.orderAsc('$id'), Query.limit(PAGE_SIZE)]
+    if (cursor) pageQueries.push(Query.cursorAfter(cursor))
+
+    const result = await database.listDocuments(databaseId, collectionId, pageQueries)
+    if (onPage) {
+      await onPage(result.documents)
+    } else {
+      documents.push(...result.documents)
+    }
+
+    cursor = result.documents.length === PAGE_SIZE ? result.documents[PAGE_SIZE - 1].$id : null
+  } while (cursor)
+
+  return documents
+}
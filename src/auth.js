@@ -0,0 +1,126 @@
+import { Account, ID } from 'appwrite'
+import { client, isAppwriteConfigured } from './appwrite.js'
+import { ROUTES } from './constants.js'
+import { hasMessage, t } from './i18n.js'
+
+const account = new Account(client)
+
+/**
+ * Get the signed-in user
+ * @returns {Promise<Object|null>} Appwrite user, or null when there is no session
+ */
+export const getCurrentUser = async () => {
+  if (!isAppwriteConfigured) return null
+
+  try {
+    return await account.get()
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Whether a user is a guest (anonymous session without an email)
+ * @param {Object|null} user - Appwrite user
+ * @returns {boolean} True for guests
+ */
+export const isAnonymousUser = (user) => Boolean(user) && !user.email
+
+/**
+ * Create an account and sign in. A guest's account is upgraded in place,
+ * so anything saved as a guest stays with them.
+ * @param {Object} details - Account details
+ * @param {string} details.email - Email address
+ * @param {string} details.password - Password (at least VALIDATION.PASSWORD.MIN_LENGTH characters)
+ * @param {string} details.name - Display name (optional)
+ * @returns {Promise<Object>} The signed-in user
+ */
+export const signUp = async ({ email, password, name = '' }) => {
+  const current = await getCurrentUser()
+
+  if (isAnonymousUser(current)) {
+    // Anonymous accounts have no password yet, so this sets both
+    await account.updateEmail(email, password)
+    if (name) await account.updateName(name)
+    return account.get()
+  }
+
+  await account.create(ID.unique(), email, password, name || undefined)
+  await account.createEmailPasswordSession(email, password)
+  return account.get()
+}
+
+/**
+ * Sign in with email and password
+ * Appwrite won't start a session beside an existing one. A signed-in account's session is
+ * ended to make room, but a guest's is kept unless `replaceGuest` is set: a guest has no
+ * password, so once its session ends (even for a mistyped login) its saved movies are gone.
+ * The guest is then left signed in and the `user_session_already_exists` error is rethrown.
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @param {Object} options - Sign-in options
+ * @param {boolean} options.replaceGuest - End a guest session to sign in (default: false)
+ * @returns {Promise<Object>} The signed-in user
+ */
+export const login = async (email, password, { replaceGuest = false } = {}) => {
+  try {
+    await account.createEmailPasswordSession(email, password)
+  } catch (error) {
+    if (error?.type !== 'user_session_already_exists') throw error
+    if (!replaceGuest && isAnonymousUser(await getCurrentUser())) throw error
+
+    await account.deleteSession('current')
+    await account.createEmailPasswordSession(email, password)
+  }
+  return account.get()
+}
+
+/**
+ * Sign out of the current session
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+  await account.deleteSession('current')
+}
+
+/**
+ * Start a guest (anonymous) session that can later be upgraded with `signUp`
+ * @returns {Promise<Object>} The guest user
+ */
+export const continueAsGuest = async () => {
+  await account.createAnonymousSession()
+  return account.get()
+}
+
+/**
+ * Email a password reset link that opens ROUTES.RESET_PASSWORD
+ * @param {string} email - Email address
+ * @returns {Promise<void>}
+ */
+export const requestPasswordRecovery = async (email) => {
+  await account.createRecovery(email, `${window.location.origin}${ROUTES.RESET_PASSWORD}`)
+}
+
+/**
+ * Set a new password from the `userId` and `secret` in a reset link
+ * @param {string} userId - User ID from the link
+ * @param {string} secret - Secret from the link
+ * @param {string} password - New password
+ * @returns {Promise<void>}
+ */
+export const completePasswordRecovery = async (userId, secret, password) => {
+  await account.updateRecovery(userId, secret, password)
+}
+
+/**
+ * Turn an Appwrite account error into a message for the user
+ * @param {Error} error - Error thrown by one of the functions above
+ * @returns {string} Message to show
+ */
+export const getAuthErrorMessage = (error) => {
+  if (error?.type && hasMessage(`authErrors.${error.type}`)) return t(`authErrors.${error.type}`)
+  // Validation errors (bad email, short password) already read well
+  if (error?.code === 400 && error.message) return error.message
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return t('errors.OFFLINE')
+  return t('errors.GENERIC_ERROR')
+}
@@ -0,0 +1,164 @@
+import { CACHE_CONFIG, STORAGE_KEYS } from './constants.js'
+import { buildQueryString, debounce, getLocalStorage } from './utils.js'
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {*} value - Cached response
+ * @property {number} storedAt - When the response was stored (ms)
+ * @property {number} expiresAt - Fresh until (ms)
+ * @property {number} staleUntil - May be served stale until (ms)
+ */
+
+/**
+ * Build a cache key from an endpoint and its parameters
+ * Parameters are sorted so the same request always maps to the same key
+ * @param {string} path - Endpoint path
+ * @param {Object} params - Query parameters
+ * @returns {string} Cache key
+ */
+export const getCacheKey = (path, params = {}) => {
+  const sorted = Object.keys(params).sort().reduce((result, key) => {
+    result[key] = params[key]
+    return result
+  }, {})
+  const query = buildQueryString(sorted)
+  return query ? `${path}?${query}` : path
+}
+
+/**
+ * Get the TTL for an endpoint, using the longest matching prefix in `ttls`
+ * @param {string} path - Endpoint path
+ * @param {Object} ttls - TTLs by path prefix, plus a `default`
+ * @returns {number} TTL in ms
+ */
+export const getTtlForPath = (path, ttls = CACHE_CONFIG.TTL_MS) => {
+  const prefix = Object.keys(ttls)
+    .filter(key => key !== 'default' && (path === key || path.startsWith(`${key}/`)))
+    .sort((a, b) => b.length - a.length)[0]
+  return prefix ? ttls[prefix] : ttls.default
+}
+
+/**
+ * Create an LRU response cache with optional localStorage persistence
+ * @param {Object} options - Cache options
+ * @param {Storage|null} options.storage - Storage to persist to (default: localStorage, null for memory only)
+ * @param {string} options.storageKey - Storage key (default: STORAGE_KEYS.CACHED_MOVIES)
+ * @param {number} options.maxEntries - Maximum entries before the least recently used is evicted
+ * @param {Object} options.ttls - TTLs by path prefix (see CACHE_CONFIG.TTL_MS)
+ * @param {number} options.staleMs - How long past its TTL an entry may still be served
+ * @param {Function} options.now - Clock, injectable for tests
+ * @returns {Object} Cache
+ */
+export const createResponseCache = ({
+  storage = getLocalStorage(),
+  storageKey = STORAGE_KEYS.CACHED_MOVIES,
+  maxEntries = CACHE_CONFIG.MAX_ENTRIES,
+  ttls = CACHE_CONFIG.TTL_MS,
+  staleMs = CACHE_CONFIG.STALE_MS,
+  now = Date.now
+} = {}) => {
+  // Map iteration order doubles as recency order: oldest first
+  /** @type {Map<string, CacheEntry>} */
+  const entries = new Map()
+
+  const evictOverflow = () => {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value)
+    }
+  }
+
+  const persistNow = () => {
+    if (!storage) return
+
+    const snapshot = [...entries]
+    while (snapshot.length > 0) {
+      try {
+        storage.setItem(storageKey, JSON.stringify(snapshot))
+        return
+      } catch {
+        // Over quota: drop the oldest half and try again
+        snapshot.splice(0, Math.ceil(snapshot.length / 2))
+      }
+    }
+    storage.removeItem(storageKey)
+  }
+
+  const persist = debounce(persistNow, CACHE_CONFIG.PERSIST_DELAY_MS)
+
+  const load = () => {
+    if (!storage) return
+
+    try {
+      const stored = JSON.parse(storage.getItem(storageKey) || '[]')
+      const time = now()
+      stored.forEach(([key, entry]) => {
+        if (entry?.staleUntil > time) entries.set(key, entry)
+      })
+      evictOverflow()
+    } catch (error) {
+      console.warn('Ignoring unreadable response cache:', error.message)
+      storage.removeItem(storageKey)
+    }
+  }
+
+  load()
+
+  /**
+   * Look up an entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {{value: *, isStale: boolean}|null} Entry or null on a miss
+   */
+  const get = (key) => {
+    const entry = entries.get(key)
+    if (!entry) return null
+
+    const time = now()
+    if (entry.staleUntil <= time) {
+      entries.delete(key)
+      persist()
+      return null
+    }
+
+    entries.delete(key)
+    entries.set(key, entry)
+    return { value: entry.value, isStale: entry.expiresAt <= time }
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {*} value - Response to store
+   * @param {string} path - Endpoint path, used to pick the TTL
+   */
+  const set = (key, value, path) => {
+    const time = now()
+    const ttl = getTtlForPath(path ?? key.split('?')[0], ttls)
+
+    entries.delete(key)
+    entries.set(key, {
+      value,
+      storedAt: time,
+      expiresAt: time + ttl,
+      staleUntil: time + ttl + staleMs
+    })
+    evictOverflow()
+    persist()
+  }
+
+  /**
+   * Remove every entry
+   */
+  const clear = () => {
+    entries.clear()
+    storage?.removeItem(storageKey)
+  }
+
+  return {
+    get,
+    set,
+    clear,
+    get size() {
+      return entries.size
+    }
+  }
+}
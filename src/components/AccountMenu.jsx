@@ -0,0 +1,46 @@
+import React, { useState } from 'react'
+import AuthDialog from './AuthDialog.jsx'
+import Link from './Link.jsx'
+import { useAuth } from '../hooks/useAuth.js'
+import { useLocale } from '../hooks/useLocale.js'
+import { isAppwriteConfigured } from '../appwrite.js'
+import { ROUTES } from '../constants.js'
+
+const AccountMenu = () => {
+  const { user, isGuest, isLoading, logout } = useAuth()
+  const [dialogMode, setDialogMode] = useState(null)
+  const { t } = useLocale()
+
+  const handleLogout = async () => {
+    try {
+      await logout()
+    } catch (error) {
+      console.warn('Error signing out:', error.message)
+    }
+  }
+
+  // Accounts live in Appwrite; without it the app runs signed out
+  if (isLoading || !isAppwriteConfigured) return null
+
+  return (
+    <div className="account-menu">
+      {!user ? (
+        <button type="button" onClick={() => setDialogMode('login')}>{t('account.signIn')}</button>
+      ) : (
+        <>
+          <span className="user">{isGuest ? t('account.guest') : user.name || user.email}</span>
+          {user.labels?.includes('admin') && <Link to={ROUTES.INSIGHTS}>{t('account.insights')}</Link>}
+          {isGuest && (
+            <button type="button" onClick={() => setDialogMode('signup')}>{t('account.saveAccount')}</button>
+          )}
+          <button type="button" onClick={handleLogout}>{t('account.signOut')}</button>
+        </>
+      )}
+
+      {dialogMode && (
+        <AuthDialog initialMode={dialogMode} onClose={() => setDialogMode(null)} />
+      )}
+    </div>
+  )
+}
+export default AccountMenu
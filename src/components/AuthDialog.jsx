@@ -0,0 +1,176 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useAuth } from '../hooks/useAuth.js'
+import { useLocale } from '../hooks/useLocale.js'
+import { getAuthErrorMessage } from '../auth.js'
+import { VALIDATION } from '../constants.js'
+
+const AuthDialog = ({ initialMode = 'login', onClose }) => {
+  const { isGuest, signUp, login, continueAsGuest, requestPasswordRecovery } = useAuth()
+  const [mode, setMode] = useState(initialMode)
+  const [name, setName] = useState('')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  // Set when signing in would have ended the guest session; the user has to confirm that
+  const [isGuestSessionActive, setIsGuestSessionActive] = useState(false)
+  const dialogRef = useRef(null)
+  const { t } = useLocale()
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose()
+    }
+
+    document.addEventListener('keydown', handleKeyDown)
+    dialogRef.current?.querySelector('input')?.focus()
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [onClose])
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode)
+    setError('')
+    setNotice('')
+    setIsGuestSessionActive(false)
+  }
+
+  // Run an account action, keeping the dialog open with a message if it fails
+  const run = async (action, { closeOnSuccess = true } = {}) => {
+    setIsSubmitting(true)
+    setError('')
+
+    try {
+      await action()
+      if (closeOnSuccess) onClose()
+    } catch (err) {
+      setError(getAuthErrorMessage(err))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleLogin = (options) => run(async () => {
+    setIsGuestSessionActive(false)
+    try {
+      await login(email.trim(), password, options)
+    } catch (err) {
+      setIsGuestSessionActive(err?.type === 'user_session_already_exists' && isGuest)
+      throw err
+    }
+  })
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    if (mode === 'recover') {
+      run(async () => {
+        await requestPasswordRecovery(email.trim())
+        setNotice(t('auth.recoverySent'))
+      }, { closeOnSuccess: false })
+    } else if (mode === 'signup') {
+      run(() => signUp({ name: name.trim(), email: email.trim(), password }))
+    } else {
+      handleLogin()
+    }
+  }
+
+  return (
+    <div className="auth-dialog-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="auth-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="auth-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button type="button" className="close" onClick={onClose} aria-label={t('common.close')}>
+          ×
+        </button>
+
+        <h2 id="auth-dialog-title">{t(`auth.titles.${mode}`)}</h2>
+        {mode === 'signup' && isGuest && (
+          <p className="hint">{t('auth.guestHint')}</p>
+        )}
+
+        <form className="auth-form" onSubmit={handleSubmit}>
+          {mode === 'signup' && (
+            <label>
+              <span>{t('auth.name')}</span>
+              <input
+                type="text"
+                autoComplete="name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+            </label>
+          )}
+
+          <label>
+            <span>{t('auth.email')}</span>
+            <input
+              type="email"
+              autoComplete="email"
+              required
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+          </label>
+
+          {mode !== 'recover' && (
+            <label>
+              <span>{t('auth.password')}</span>
+              <input
+                type="password"
+                autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+                required
+                minLength={mode === 'signup' ? VALIDATION.PASSWORD.MIN_LENGTH : undefined}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </label>
+          )}
+
+          {error && <p className="error" role="alert">{error}</p>}
+          {isGuestSessionActive && (
+            <button
+              type="button"
+              className="secondary"
+              disabled={isSubmitting}
+              onClick={() => handleLogin({ replaceGuest: true })}
+            >
+              {t('auth.replaceGuest')}
+            </button>
+          )}
+          {notice && <p className="notice" role="status">{notice}</p>}
+
+          <button type="submit" className="primary" disabled={isSubmitting}>
+            {isSubmitting ? t('loading.SUBMITTING') : t(`auth.titles.${mode}`)}
+          </button>
+        </form>
+
+        <div className="auth-links">
+          {mode === 'login' && (
+            <>
+              <button type="button" onClick={() => switchMode('recover')}>{t('auth.forgotPassword')}</button>
+              <button type="button" onClick={() => switchMode('signup')}>{t('auth.createAccount')}</button>
+            </>
+          )}
+          {mode !== 'login' && (
+            <button type="button" onClick={() => switchMode('login')}>{t('auth.backToSignIn')}</button>
+          )}
+          {mode === 'login' && !isGuest && (
+            <button type="button" disabled={isSubmitting} onClick={() => run(continueAsGuest)}>
+              {t('auth.continueAsGuest')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+export default AuthDialog
@@ -0,0 +1,82 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import { AuthContext } from '../hooks/useAuth.js'
+import {
+  completePasswordRecovery,
+  continueAsGuest,
+  getCurrentUser,
+  isAnonymousUser,
+  login,
+  logout,
+  requestPasswordRecovery,
+  signUp
+} from '../auth.js'
+import { stopMyListSync, syncMyList } from '../myList.js'
+
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    let isCurrent = true
+
+    getCurrentUser().then((currentUser) => {
+      if (!isCurrent) return
+      setUser(currentUser)
+      setIsLoading(false)
+    })
+
+    return () => {
+      isCurrent = false
+    }
+  }, [])
+
+  // Merge the saved list with the user's Appwrite copy whenever someone signs in
+  const userId = user?.$id
+  useEffect(() => {
+    if (!userId) return
+    syncMyList(userId)
+    return () => stopMyListSync()
+  }, [userId])
+
+  const handleSignUp = useCallback(async (details) => {
+    setUser(await signUp(details))
+  }, [])
+
+  const handleLogin = useCallback(async (email, password, options) => {
+    try {
+      setUser(await login(email, password, options))
+    } catch (error) {
+      // A failed attempt may still have ended the old session; show whoever is signed in now
+      setUser(await getCurrentUser())
+      throw error
+    }
+  }, [])
+
+  const handleLogout = useCallback(async () => {
+    try {
+      await logout()
+    } finally {
+      // The session may already be gone on the server; either way we're signed out here
+      setUser(null)
+    }
+  }, [])
+
+  const handleContinueAsGuest = useCallback(async () => {
+    setUser(await continueAsGuest())
+  }, [])
+
+  const value = useMemo(() => ({
+    user,
+    isGuest: isAnonymousUser(user),
+    isLoading,
+    signUp: handleSignUp,
+    login: handleLogin,
+    logout: handleLogout,
+    continueAsGuest: handleContinueAsGuest,
+    requestPasswordRecovery,
+    completePasswordRecovery
+  }), [user, isLoading, handleSignUp, handleLogin, handleLogout, handleContinueAsGuest])
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
+export default AuthProvider
@@ -0,0 +1,8 @@
+import React from 'react'
+import TmdbImage from './TmdbImage.jsx'
+
+// Movie backdrop (16:9), full width of its container unless `sizes` says otherwise
+const Backdrop = ({ path, alt = '', sizes = '100vw', ...props }) => (
+  <TmdbImage path={path} type="backdrop" alt={alt} sizes={sizes} {...props} />
+)
+export default Backdrop
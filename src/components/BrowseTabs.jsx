@@ -0,0 +1,45 @@
+import React from 'react'
+import Link from './Link.jsx'
+import { useLocale } from '../hooks/useLocale.js'
+import { TRENDING_WINDOWS } from '../constants.js'
+import { BROWSE_FEEDS, getBrowseLabelKey, getFeedPath } from '../feeds.js'
+
+const BrowseTabs = ({ feed, filters }) => {
+  const { t } = useLocale()
+
+  return (
+    <nav className="browse-tabs" aria-label={t('feeds.label')}>
+      <ul role="tablist">
+        {BROWSE_FEEDS.map((browseFeed) => (
+          <li key={browseFeed.type} role="presentation">
+            <Link
+              to={getFeedPath({ type: browseFeed.type, window: feed.window }, filters)}
+              role="tab"
+              aria-selected={feed.type === browseFeed.type}
+              className={feed.type === browseFeed.type ? 'active' : ''}
+            >
+              {t(getBrowseLabelKey(browseFeed, filters.mediaType))}
+            </Link>
+          </li>
+        ))}
+      </ul>
+
+      {feed.type === 'trending' && (
+        <div className="window-toggle" role="group" aria-label={t('feeds.windowLabel')}>
+          {Object.entries(TRENDING_WINDOWS).map(([timeWindow, labelKey]) => (
+            <Link
+              key={timeWindow}
+              to={getFeedPath({ type: 'trending', window: timeWindow }, filters)}
+              replace
+              aria-pressed={feed.window === timeWindow}
+              className={feed.window === timeWindow ? 'active' : ''}
+            >
+              {t(labelKey)}
+            </Link>
+          ))}
+        </div>
+      )}
+    </nav>
+  )
+}
+export default BrowseTabs
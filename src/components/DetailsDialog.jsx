@@ -0,0 +1,72 @@
+import React, { useEffect, useRef } from 'react'
+import Spinner from './Spinner.jsx'
+import ErrorMessage from './ErrorMessage.jsx'
+import { useLocale } from '../hooks/useLocale.js'
+
+// The modal around a movie or person page: overlay, close button, Escape and scroll lock.
+// Shows a spinner or the error (see useDetails) in place of `children` until they can render
+const DetailsDialog = ({
+  label,
+  className = '',
+  contentKey,
+  isLoading,
+  isRetrying,
+  error,
+  onRetry,
+  onClose,
+  children
+}) => {
+  const dialogRef = useRef(null)
+  const { t } = useLocale()
+
+  // Close on Escape and keep the page behind the panel from scrolling
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose()
+    }
+
+    const previousOverflow = document.body.style.overflow
+    document.body.style.overflow = 'hidden'
+    document.addEventListener('keydown', handleKeyDown)
+    dialogRef.current?.focus()
+
+    return () => {
+      document.body.style.overflow = previousOverflow
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [onClose])
+
+  // A new movie or person opens at the top of the panel
+  useEffect(() => {
+    dialogRef.current?.scrollTo?.(0, 0)
+  }, [contentKey])
+
+  return (
+    <div className="movie-details-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className={`movie-details ${className}`}
+        role="dialog"
+        aria-modal="true"
+        aria-label={label}
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button type="button" className="close" onClick={onClose} aria-label={t('details.close')}>
+          ×
+        </button>
+
+        {isLoading && !isRetrying ? (
+          <div className="py-20 flex justify-center"><Spinner /></div>
+        ) : error ? (
+          <ErrorMessage
+            error={error}
+            onRetry={onRetry}
+            isRetrying={isRetrying}
+          />
+        ) : children}
+      </div>
+    </div>
+  )
+}
+export default DetailsDialog
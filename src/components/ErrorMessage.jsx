@@ -1,54 +1,136 @@
-import React from 'react'
-import { AlertCircle, RefreshCw, Wifi, Search } from 'lucide-react'
-
-const ErrorMessage = ({ 
-  message, 
-  onRetry = null, 
-  type = 'general',
-  isRetrying = false 
+import React, { useEffect, useState } from 'react'
+import { useLocale } from '../hooks/useLocale.js'
+import { ERROR_TYPES } from '../constants.js'
+
+// Minimal stroke icons (24x24 grid) so the component has no icon library dependency
+const SvgIcon = ({ className, children }) => (
+  <svg
+    className={className}
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+    aria-hidden="true"
+  >
+    {children}
+  </svg>
+)
+
+const AlertCircle = ({ className }) => (
+  <SvgIcon className={className}>
+    <circle cx="12" cy="12" r="10" />
+    <line x1="12" y1="8" x2="12" y2="12" />
+    <line x1="12" y1="16" x2="12.01" y2="16" />
+  </SvgIcon>
+)
+
+const RefreshCw = ({ className }) => (
+  <SvgIcon className={className}>
+    <path d="M21 2v6h-6" />
+    <path d="M3 12a9 9 0 0 1 15-6.7L21 8" />
+    <path d="M3 22v-6h6" />
+    <path d="M21 12a9 9 0 0 1-15 6.7L3 16" />
+  </SvgIcon>
+)
+
+const Wifi = ({ className }) => (
+  <SvgIcon className={className}>
+    <path d="M5 12.55a11 11 0 0 1 14.08 0" />
+    <path d="M1.42 9a16 16 0 0 1 21.16 0" />
+    <path d="M8.53 16.11a6 6 0 0 1 6.95 0" />
+    <line x1="12" y1="20" x2="12.01" y2="20" />
+  </SvgIcon>
+)
+
+const WifiOff = ({ className }) => (
+  <SvgIcon className={className}>
+    <line x1="1" y1="1" x2="23" y2="23" />
+    <path d="M8.53 16.11a6 6 0 0 1 6.95 0" />
+    <path d="M5 12.55a11 11 0 0 1 5.17-2.39" />
+    <path d="M16.72 11.06A11 11 0 0 1 19 12.55" />
+    <path d="M1.42 9a16 16 0 0 1 4.7-2.88" />
+    <path d="M10.71 5.05A16 16 0 0 1 22.58 9" />
+    <line x1="12" y1="20" x2="12.01" y2="20" />
+  </SvgIcon>
+)
+
+const Search = ({ className }) => (
+  <SvgIcon className={className}>
+    <circle cx="11" cy="11" r="8" />
+    <line x1="21" y1="21" x2="16.65" y2="16.65" />
+  </SvgIcon>
+)
+
+const Lock = ({ className }) => (
+  <SvgIcon className={className}>
+    <rect x="3" y="11" width="18" height="11" rx="2" ry="2" />
+    <path d="M7 11V7a5 5 0 0 1 10 0v4" />
+  </SvgIcon>
+)
+
+const Clock = ({ className }) => (
+  <SvgIcon className={className}>
+    <circle cx="12" cy="12" r="10" />
+    <polyline points="12 6 12 12 16 14" />
+  </SvgIcon>
+)
+
+// Icon for each ERROR_TYPES value; titles and default suggestions are `errorTypes` messages
+const ICONS = {
+  [ERROR_TYPES.OFFLINE]: WifiOff,
+  [ERROR_TYPES.NETWORK]: Wifi,
+  [ERROR_TYPES.NO_RESULTS]: Search,
+  [ERROR_TYPES.AUTH]: Lock,
+  [ERROR_TYPES.RATE_LIMIT]: Clock,
+  [ERROR_TYPES.CONFIG]: AlertCircle,
+  [ERROR_TYPES.SERVER]: AlertCircle,
+  [ERROR_TYPES.GENERAL]: AlertCircle
+}
+
+// Pass a ClassifiedError as `error`, or its `type`, `message` and `retryAfter` on their own
+const ErrorMessage = ({
+  error = null,
+  message = error?.message,
+  onRetry = null,
+  type = error?.type || 'general',
+  isRetrying = false,
+  retryAfter = error?.retryAfter ?? null,
+  suggestions: customSuggestions = null,
+  onDismiss = null
 }) => {
-  const getErrorConfig = () => {
-    switch (type) {
-      case 'network':
-        return {
-          icon: Wifi,
-          title: 'Connection Problem',
-          suggestions: ['Check your internet connection', 'Try refreshing the page']
-        }
-      case 'search':
-        return {
-          icon: Search,
-          title: 'No Results Found',
-          suggestions: ['Try different keywords', 'Check for typos']
-        }
-      case 'server':
-        return {
-          icon: AlertCircle,
-          title: 'Server Error',
-          suggestions: ['The service is temporarily unavailable', 'Please try again in a moment']
-        }
-      default:
-        return {
-          icon: AlertCircle,
-          title: 'Something went wrong',
-          suggestions: []
-        }
-    }
-  }
-
-  const { icon: Icon, title, suggestions } = getErrorConfig()
+  const { t } = useLocale()
+  // Seconds left before a rate-limited request may be retried
+  const [cooldown, setCooldown] = useState(retryAfter || 0)
+
+  // Each new failure restarts the countdown, even when it asks for the same wait
+  useEffect(() => {
+    setCooldown(retryAfter || 0)
+  }, [error, retryAfter])
+
+  useEffect(() => {
+    if (cooldown <= 0) return
+    const timer = setTimeout(() => setCooldown(seconds => seconds - 1), 1000)
+    return () => clearTimeout(timer)
+  }, [cooldown])
+
+  const messageType = ICONS[type] ? type : ERROR_TYPES.GENERAL
+  const Icon = ICONS[messageType]
+  const title = t(`errorTypes.${messageType}.title`)
+  const suggestions = customSuggestions || t(`errorTypes.${messageType}.suggestions`)
 
   return (
-    <div className="text-center py-12 px-4 max-w-md mx-auto">
+    <div className="text-center py-12 px-4 max-w-md mx-auto" role="alert">
       <div className="mb-6">
         <Icon className="w-16 h-16 text-red-400 mx-auto mb-4" />
         <h3 className="text-xl font-semibold text-white mb-2">{title}</h3>
         <p className="text-red-400 text-sm leading-relaxed">{message}</p>
       </div>
-      
+
       {suggestions.length > 0 && (
         <div className="mb-6">
-          <p className="text-gray-400 text-sm mb-2">Try these suggestions:</p>
+          <p className="text-gray-400 text-sm mb-2">{t('errorMessage.suggestionsHeading')}</p>
           <ul className="text-gray-300 text-sm space-y-1">
             {suggestions.map((suggestion, index) => (
               <li key={index} className="flex items-center justify-center gap-2">
@@ -59,19 +141,30 @@ const ErrorMessage = ({
           </ul>
         </div>
       )}
-      
+
       {onRetry && (
-        <button 
+        <button
           onClick={onRetry}
-          disabled={isRetrying}
+          disabled={isRetrying || cooldown > 0}
           className="inline-flex items-center gap-2 px-6 py-3 bg-red-500/20 text-red-400 rounded-lg border border-red-500/30 hover:bg-red-500/30 hover:border-red-400 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
         >
           <RefreshCw className={`w-4 h-4 ${isRetrying ? 'animate-spin' : ''}`} />
-          {isRetrying ? 'Retrying...' : 'Try Again'}
+          {isRetrying
+            ? t('loading.RETRYING')
+            : cooldown > 0 ? t('errorMessage.tryAgainIn', { seconds: cooldown }) : t('errorMessage.tryAgain')}
+        </button>
+      )}
+
+      {onDismiss && (
+        <button
+          onClick={onDismiss}
+          className="ml-3 px-6 py-3 text-gray-400 rounded-lg hover:text-white transition-colors duration-200"
+        >
+          {t('errorMessage.dismiss')}
         </button>
       )}
     </div>
   )
 }
 
-export default ErrorMessage
\ No newline at end of file
+export default ErrorMessage
@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react'
+import { useLocale } from '../hooks/useLocale.js'
+import { useGenres } from '../hooks/useGenres.js'
+import { useLanguages } from '../hooks/useLanguages.js'
+import { FILTER_OPTIONS } from '../constants.js'
+import { DEFAULT_FILTERS, countActiveFilters, getSortOptions } from '../filters.js'
+
+const YearInput = ({ label, value, onCommit }) => {
+  const { t } = useLocale()
+  const [draft, setDraft] = useState(value ?? '')
+
+  useEffect(() => {
+    setDraft(value ?? '')
+  }, [value])
+
+  // Only commit whole years, so typing "19" on the way to "1995" doesn't refetch
+  const commit = () => {
+    const year = parseInt(draft, 10)
+    const next = isNaN(year) ? null : year
+    if (next !== value) onCommit(next)
+  }
+
+  return (
+    <label>
+      <span>{label}</span>
+      <input
+        type="number"
+        inputMode="numeric"
+        min={FILTER_OPTIONS.MIN_YEAR}
+        max={new Date().getFullYear() + 5}
+        placeholder={t('filters.any')}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+      />
+    </label>
+  )
+}
+
+const FilterBar = ({ filters, onChange }) => {
+  const { locale, t } = useLocale()
+  // Movie and TV genres differ; 'all' offers both
+  const genreNames = useGenres(filters.mediaType)
+  const languages = useLanguages()
+  const [isOpen, setIsOpen] = useState(false)
+  const activeCount = countActiveFilters(filters)
+
+  const update = (changes) => onChange({ ...filters, ...changes })
+
+  const toggleGenre = (id) => {
+    const genres = filters.genres.includes(id)
+      ? filters.genres.filter(genreId => genreId !== id)
+      : [...filters.genres, id]
+    update({ genres })
+  }
+
+  const parseOption = (value) => (value === '' ? null : Number(value))
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-bar-header">
+        <button
+          type="button"
+          className="toggle"
+          aria-expanded={isOpen}
+          aria-controls="filter-panel"
+          onClick={() => setIsOpen(open => !open)}
+        >
+          {t('filters.toggle')}{activeCount > 0 && <span className="count">{activeCount}</span>}
+        </button>
+
+        <label className="sort">
+          <span className="sr-only">{t('filters.sortBy')}</span>
+          <select value={filters.sortBy} onChange={(e) => update({ sortBy: e.target.value })}>
+            {Object.entries(getSortOptions(filters.mediaType)).map(([value, labelKey]) => (
+              <option key={value} value={value}>{t(labelKey)}</option>
+            ))}
+          </select>
+        </label>
+
+        {activeCount > 0 && (
+          <button
+            type="button"
+            className="reset"
+            onClick={() => onChange({ ...DEFAULT_FILTERS, sortBy: filters.sortBy, mediaType: filters.mediaType })}
+          >
+            {t('filters.clearAll')}
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div id="filter-panel" className="filter-panel">
+          <fieldset>
+            <legend>{t('filters.genres')}</legend>
+            <div className="genres">
+              {Object.entries(genreNames).map(([id, name]) => {
+                const genreId = Number(id)
+                const isSelected = filters.genres.includes(genreId)
+                return (
+                  <button
+                    key={id}
+                    type="button"
+                    aria-pressed={isSelected}
+                    className={isSelected ? 'selected' : ''}
+                    onClick={() => toggleGenre(genreId)}
+                  >
+                    {name}
+                  </button>
+                )
+              })}
+            </div>
+          </fieldset>
+
+          <div className="fields">
+            <YearInput label={t('filters.yearFrom')} value={filters.yearFrom} onCommit={(yearFrom) => update({ yearFrom })} />
+            <YearInput label={t('filters.yearTo')} value={filters.yearTo} onCommit={(yearTo) => update({ yearTo })} />
+
+            <label>
+              <span>{t('filters.minRating')}</span>
+              <select
+                value={filters.minRating ?? ''}
+                onChange={(e) => update({ minRating: parseOption(e.target.value) })}
+              >
+                <option value="">{t('filters.any')}</option>
+                {FILTER_OPTIONS.RATING_FLOORS.map((rating) => (
+                  <option key={rating} value={rating}>{rating}+</option>
+                ))}
+              </select>
+            </label>
+
+            <label>
+              <span>{t('filters.minVotes')}</span>
+              <select
+                value={filters.minVotes ?? ''}
+                onChange={(e) => update({ minVotes: parseOption(e.target.value) })}
+              >
+                <option value="">{t('filters.any')}</option>
+                {FILTER_OPTIONS.VOTE_COUNT_FLOORS.map((votes) => (
+                  <option key={votes} value={votes}>{votes.toLocaleString(locale)}+</option>
+                ))}
+              </select>
+            </label>
+
+            <label>
+              <span>{t('filters.language')}</span>
+              <select value={filters.language} onChange={(e) => update({ language: e.target.value })}>
+                <option value="">{t('filters.any')}</option>
+                {languages.map(({ code, name }) => (
+                  <option key={code} value={code}>{name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+export default FilterBar
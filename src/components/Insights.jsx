@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react'
+import Spinner from './Spinner.jsx'
+import ErrorMessage from './ErrorMessage.jsx'
+import { useAuth } from '../hooks/useAuth.js'
+import { useLocale } from '../hooks/useLocale.js'
+import { getSearchStats } from '../searchStore.js'
+import { APP_CONFIG, ERROR_TYPES } from '../constants.js'
+import { downloadFile, formatNumber, toCsv } from '../utils.js'
+
+// Tables on the page, and the columns each exports to CSV, with the message key of each label
+const TABLES = [
+  {
+    key: 'topTerms',
+    titleKey: 'insights.tables.topTerms',
+    columns: [
+      { key: 'term', labelKey: 'insights.columns.searchTerm' },
+      { key: 'count', labelKey: 'insights.columns.searches' },
+      { key: 'zeroResultCount', labelKey: 'insights.columns.noResults' },
+      { key: 'title', labelKey: 'insights.columns.topResult' }
+    ]
+  },
+  {
+    key: 'zeroResultTerms',
+    titleKey: 'insights.tables.zeroResultTerms',
+    columns: [
+      { key: 'term', labelKey: 'insights.columns.searchTerm' },
+      { key: 'count', labelKey: 'insights.columns.times' },
+      { key: 'lastSearched', labelKey: 'insights.columns.lastSearched' }
+    ]
+  },
+  {
+    key: 'topMovies',
+    titleKey: 'insights.tables.topMovies',
+    columns: [
+      { key: 'title', labelKey: 'insights.columns.movie' },
+      { key: 'searchCount', labelKey: 'insights.columns.searches' },
+      { key: 'openCount', labelKey: 'insights.columns.opens' },
+      { key: 'clickCount', labelKey: 'insights.columns.clicks' },
+      { key: 'searchTerms', labelKey: 'insights.columns.searchTerms' }
+    ]
+  },
+  {
+    key: 'daily',
+    titleKey: 'insights.tables.daily',
+    columns: [
+      { key: 'day', labelKey: 'insights.columns.day' },
+      { key: 'searches', labelKey: 'insights.columns.searches' },
+      { key: 'opens', labelKey: 'insights.columns.opens' },
+      { key: 'clicks', labelKey: 'insights.columns.clicks' }
+    ]
+  }
+]
+
+// Labels in the current locale, for the page and the CSV header alike
+const localizeTable = (table, t) => ({
+  key: table.key,
+  title: t(table.titleKey, { days: APP_CONFIG.STATS_DAYS }),
+  columns: table.columns.map(column => ({ key: column.key, label: t(column.labelKey) }))
+})
+
+const formatPercent = (rate, t) => (rate === null ? t('common.notAvailable') : `${(rate * 100).toFixed(1)}%`)
+
+const exportTable = (table, rows) => {
+  const day = new Date().toISOString().slice(0, 10)
+  downloadFile(`${table.key}-${day}.csv`, toCsv(rows, table.columns))
+}
+
+const DailyChart = ({ rows }) => {
+  const { t } = useLocale()
+  const max = Math.max(1, ...rows.map(row => row.searches))
+
+  return (
+    <div className="daily-chart" role="img" aria-label={t('insights.chartLabel')}>
+      {rows.map((row) => (
+        <div key={row.day} className="bar" title={t('insights.barTitle', row)}>
+          <span style={{ height: `${(row.searches / max) * 100}%` }} />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+const Insights = () => {
+  const { user, isLoading: isAuthLoading } = useAuth()
+  const { t } = useLocale()
+  const [stats, setStats] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [reloadToken, setReloadToken] = useState(0)
+
+  // Appwrite labels are set from the console; only admins see the page
+  const isAdmin = Boolean(user?.labels?.includes('admin'))
+
+  useEffect(() => {
+    if (!isAdmin) return
+
+    let isCurrent = true
+    setIsLoading(true)
+
+    getSearchStats().then((result) => {
+      if (!isCurrent) return
+      setStats(result)
+      setIsLoading(false)
+    })
+
+    return () => {
+      isCurrent = false
+    }
+  }, [isAdmin, reloadToken])
+
+  if (isAuthLoading) return <Spinner />
+
+  if (!isAdmin) {
+    return (
+      <ErrorMessage
+        type={ERROR_TYPES.AUTH}
+        message={t('insights.adminOnly')}
+      />
+    )
+  }
+
+  return (
+    <section className="insights">
+      <h2>{t('insights.title')}</h2>
+
+      {isLoading ? (
+        <Spinner />
+      ) : stats.error ? (
+        <ErrorMessage
+          message={stats.error}
+          onRetry={() => setReloadToken(token => token + 1)}
+        />
+      ) : (
+        <>
+          <dl className="stat-cards">
+            <div>
+              <dt>{t('insights.totalSearches')}</dt>
+              <dd>{formatNumber(stats.totalSearches)}</dd>
+            </div>
+            <div>
+              <dt>{t('insights.uniqueTerms')}</dt>
+              <dd>{formatNumber(stats.uniqueTerms)}</dd>
+            </div>
+            <div>
+              <dt>{t('insights.zeroResultSearches')}</dt>
+              <dd>{formatNumber(stats.zeroResultSearches)}</dd>
+            </div>
+            <div>
+              <dt>{t('insights.clickRate')}</dt>
+              <dd>{formatPercent(stats.clickRate, t)}</dd>
+            </div>
+          </dl>
+
+          {stats.daily && <DailyChart rows={stats.daily} />}
+
+          {TABLES.filter(table => stats[table.key]).map(table => localizeTable(table, t)).map((table) => (
+            <div key={table.key} className="stats-table">
+              <div className="stats-table-header">
+                <h3>{table.title}</h3>
+                <button
+                  type="button"
+                  disabled={stats[table.key].length === 0}
+                  onClick={() => exportTable(table, stats[table.key])}
+                >
+                  {t('insights.exportCsv')}
+                </button>
+              </div>
+
+              {stats[table.key].length === 0 ? (
+                <p className="empty">{t('insights.empty')}</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table>
+                    <thead>
+                      <tr>
+                        {table.columns.map(column => <th key={column.key} scope="col">{column.label}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {stats[table.key].map((row, index) => (
+                        <tr key={index}>
+                          {table.columns.map((column) => {
+                            const value = row[column.key]
+                            return (
+                              <td key={column.key}>
+                                {Array.isArray(value) ? value.join(', ') : value ?? '–'}
+                              </td>
+                            )
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </section>
+  )
+}
+export default Insights
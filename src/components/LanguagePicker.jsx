@@ -0,0 +1,20 @@
+import React from 'react'
+import { useLocale } from '../hooks/useLocale.js'
+import { LOCALES } from '../constants.js'
+
+// Sets both the UI language and the language and region TMDB answers in
+const LanguagePicker = () => {
+  const { locale, setLocale, t } = useLocale()
+
+  return (
+    <label className="language-picker">
+      <span className="sr-only">{t('nav.language')}</span>
+      <select value={locale} onChange={(e) => setLocale(e.target.value)}>
+        {Object.entries(LOCALES).map(([code, name]) => (
+          <option key={code} value={code} lang={code}>{name}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
+export default LanguagePicker
@@ -0,0 +1,21 @@
+import React from 'react'
+import { navigate } from '../router.js'
+
+const Link = ({ to, replace = false, onClick, children, ...props }) => {
+  const handleClick = (e) => {
+    onClick?.(e)
+
+    // Let the browser handle new tabs, downloads and other modified clicks
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+
+    e.preventDefault()
+    navigate(to, { replace })
+  }
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
+export default Link
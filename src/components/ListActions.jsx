@@ -0,0 +1,47 @@
+import React from 'react'
+import { useLocale } from '../hooks/useLocale.js'
+
+const ListActions = ({ item, onToggle, showWatched = false, className = '' }) => {
+  const { t } = useLocale()
+  const isOnWatchlist = Boolean(item?.watchlist)
+  const isFavorite = Boolean(item?.favorite)
+  const isWatched = Boolean(item?.watched)
+
+  return (
+    <div className={`list-actions ${className}`}>
+      <button
+        type="button"
+        aria-pressed={isOnWatchlist}
+        title={t(isOnWatchlist ? 'listActions.removeFromWatchlist' : 'listActions.addToWatchlist')}
+        className={isOnWatchlist ? 'active' : ''}
+        onClick={() => onToggle('watchlist')}
+      >
+        <span aria-hidden="true">{isOnWatchlist ? '✓' : '+'}</span><span className="label">{t('listActions.watchlist')}</span>
+      </button>
+
+      <button
+        type="button"
+        aria-pressed={isFavorite}
+        title={t(isFavorite ? 'listActions.removeFromFavorites' : 'listActions.addToFavorites')}
+        className={isFavorite ? 'active' : ''}
+        onClick={() => onToggle('favorite')}
+      >
+        <span aria-hidden="true">{isFavorite ? '♥' : '♡'}</span><span className="label">{t('listActions.favorite')}</span>
+      </button>
+
+      {showWatched && (
+        <button
+          type="button"
+          aria-pressed={isWatched}
+          aria-label={t(isWatched ? 'listActions.markUnwatched' : 'listActions.markWatched')}
+          title={t(isWatched ? 'listActions.markUnwatched' : 'listActions.markWatched')}
+          className={isWatched ? 'active' : ''}
+          onClick={() => onToggle('watched')}
+        >
+          <span aria-hidden="true">{isWatched ? '●' : '○'}</span><span className="label">{t('listActions.watched')}</span>
+        </button>
+      )}
+    </div>
+  )
+}
+export default ListActions
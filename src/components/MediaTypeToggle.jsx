@@ -0,0 +1,26 @@
+import React from 'react'
+import Link from './Link.jsx'
+import { useLocale } from '../hooks/useLocale.js'
+import { MEDIA_TYPES } from '../constants.js'
+import { getFeedPath } from '../feeds.js'
+
+// Switches the current list (search included) between movies, TV shows and both
+const MediaTypeToggle = ({ feed, filters }) => {
+  const { t } = useLocale()
+
+  return (
+    <div className="media-type-toggle" role="group" aria-label={t('mediaTypes.label')}>
+      {Object.entries(MEDIA_TYPES).map(([mediaType, labelKey]) => (
+        <Link
+          key={mediaType}
+          to={getFeedPath(feed, { ...filters, mediaType })}
+          aria-pressed={filters.mediaType === mediaType}
+          className={filters.mediaType === mediaType ? 'active' : ''}
+        >
+          {t(labelKey)}
+        </Link>
+      ))}
+    </div>
+  )
+}
+export default MediaTypeToggle
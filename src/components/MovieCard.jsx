@@ -1,35 +1,90 @@
 import React from 'react'
+import ListActions from './ListActions.jsx'
+import Poster from './Poster.jsx'
+import { useLocale } from '../hooks/useLocale.js'
+import { useGenres } from '../hooks/useGenres.js'
+import { APP_CONFIG } from '../constants.js'
+import {
+  formatReleaseDate,
+  getGenreNames,
+  getMediaDate,
+  getMediaTitle,
+  getMediaType,
+  truncateText
+} from '../utils.js'
 
-const MovieCard = ({ movie:
-  { title, vote_average, poster_path, release_date, original_language }
-}) => {
+const MovieCard = ({ movie, listItem, onSelect, onPlayTrailer, onToggleList, showWatched = false }) => {
+  // TV shows have a name and first air date instead of a title and release date
+  const { vote_average, poster_path, original_language, genre_ids, overview } = movie
+  const title = getMediaTitle(movie)
+  const { t } = useLocale()
+  const genreNames = useGenres('all')
+  const genres = getGenreNames(genre_ids, genreNames).slice(0, APP_CONFIG.CARD_GENRE_COUNT)
+
+  // The title button stretches over the whole card (see .open in index.css), so the
+  // other buttons sit beside it rather than inside it
   return (
-    <div className="movie-card">
-      <img
-        src={poster_path ?
-          `https://image.tmdb.org/t/p/w500/${poster_path}` : '/no-movie.png'}
-        alt={title}
-      />
+    <div className={`movie-card ${onSelect ? 'selectable' : ''}`}>
+      <div className="poster">
+        <Poster path={poster_path} alt={title} />
+
+        {/* Shown on hover, or while the card or one of its buttons has focus */}
+        {(overview || onSelect || onPlayTrailer) && (
+          <div className="preview">
+            {overview && <p className="overview">{truncateText(overview, APP_CONFIG.CARD_OVERVIEW_LENGTH)}</p>}
+
+            <div className="quick-actions">
+              {onSelect && (
+                <button type="button" onClick={onSelect}>{t('card.details')}</button>
+              )}
+              {onPlayTrailer && (
+                <button type="button" onClick={() => onPlayTrailer(movie)}>{t('card.trailer')}</button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
 
       <div className="mt-4">
-        <h3>{title}</h3>
+        <h3>
+          {onSelect ? <button type="button" className="open" onClick={onSelect}>{title}</button> : title}
+        </h3>
 
         <div className="content">
           <div className="rating">
-            <img src="star.png" alt="Star Icon" />
-            <p>{vote_average ? vote_average.toFixed(1) : 'N/A'}</p>
+            <img src="/star.png" alt={t('common.ratingIcon')} />
+            <p>{vote_average ? vote_average.toFixed(1) : t('common.notAvailable')}</p>
           </div>
 
           <span>•</span>
           <p className="lang">{original_language}</p>
 
           <span>•</span>
-          <p className="year">
-            {release_date ? release_date.split('-')[0] : 'N/A'}
-          </p>
+          <p className="year">{formatReleaseDate(getMediaDate(movie), t('common.notAvailable'))}</p>
+
+          {getMediaType(movie) === 'tv' && (
+            <>
+              <span>•</span>
+              <p className="media-type">{t('card.tv')}</p>
+            </>
+          )}
         </div>
+
+        {genres.length > 0 && (
+          <ul className="genres" aria-label={t('card.genres')}>
+            {genres.map(genre => <li key={genre}>{genre}</li>)}
+          </ul>
+        )}
       </div>
+
+      {onToggleList && (
+        <ListActions
+          item={listItem}
+          onToggle={(field) => onToggleList(movie, field)}
+          showWatched={showWatched}
+        />
+      )}
     </div>
   )
 }
-export default MovieCard
\ No newline at end of file
+export default MovieCard
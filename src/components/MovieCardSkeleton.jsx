@@ -0,0 +1,15 @@
+import React from 'react'
+
+// Placeholder with the shape of a MovieCard while movies load
+const MovieCardSkeleton = () => (
+  <div className="movie-card skeleton" aria-hidden="true">
+    <div className="poster-image" />
+
+    <div className="mt-4">
+      <div className="line title" />
+      <div className="line meta" />
+      <div className="line chips" />
+    </div>
+  </div>
+)
+export default MovieCardSkeleton
@@ -0,0 +1,194 @@
+import React, { useRef, useState } from 'react'
+import DetailsDialog from './DetailsDialog.jsx'
+import ListActions from './ListActions.jsx'
+import Backdrop from './Backdrop.jsx'
+import Poster from './Poster.jsx'
+import SeasonList from './SeasonList.jsx'
+import { useMyList } from '../hooks/useMyList.js'
+import { useLocale } from '../hooks/useLocale.js'
+import { useDetails } from '../hooks/useDetails.js'
+import { tmdb } from '../tmdb.js'
+import { getTmdbLocaleParams } from '../i18n.js'
+import { APP_CONFIG, FALLBACK_IMAGE, MOVIE_DETAILS_APPEND, TV_DETAILS_APPEND, VIDEO_EMBED_URLS } from '../constants.js'
+import {
+  findTrailer,
+  formatRating,
+  formatReleaseDate,
+  formatRuntime,
+  getCertification,
+  getContentRating,
+  getImageUrl,
+  getMediaDate,
+  getMediaTitle
+} from '../utils.js'
+
+// Shows TV series too (`mediaType` 'tv'), with their seasons in place of a runtime
+const MovieDetails = ({
+  movieId,
+  mediaType = 'movie',
+  onClose,
+  onSelectMovie,
+  onSelectPerson,
+  onLoad,
+  autoplayTrailer = false
+}) => {
+  const [showTrailer, setShowTrailer] = useState(false)
+  // Title onLoad last fired for, so reloading it in another language doesn't report it twice
+  const loadedIdRef = useRef(null)
+  const { getItem, toggle } = useMyList()
+  const { locale, t } = useLocale()
+  const isTv = mediaType === 'tv'
+  const detailsKey = `${mediaType}:${movieId}`
+
+  // Also reloads on a locale switch, for the overview, tagline and genres in the new language
+  const { data: movie, error, isLoading, isRetrying, retry } = useDetails(detailsKey, (options) => {
+    const getDetails = isTv ? tmdb.getTvDetails : tmdb.getMovieDetails
+    return getDetails(movieId, {
+      append_to_response: isTv ? TV_DETAILS_APPEND : MOVIE_DETAILS_APPEND
+    }, options)
+  }, {
+    onStart: () => setShowTrailer(autoplayTrailer),
+    onLoad: (data) => {
+      if (loadedIdRef.current === detailsKey) return
+      loadedIdRef.current = detailsKey
+      onLoad?.({ ...data, media_type: mediaType })
+    }
+  })
+
+  const trailer = findTrailer(movie?.videos?.results)
+  const cast = movie?.credits?.cast?.slice(0, APP_CONFIG.TOP_CAST_COUNT) || []
+  const similar = movie?.similar?.results?.slice(0, APP_CONFIG.SIMILAR_MOVIES_COUNT) || []
+  // The locale's own rating board, else the US one
+  const getRating = isTv ? getContentRating : getCertification
+  const ratings = isTv ? movie?.content_ratings?.results : movie?.release_dates?.results
+  const certification = getRating(ratings, getTmdbLocaleParams(locale).region) || getRating(ratings)
+  const title = getMediaTitle(movie)
+
+  return (
+    <DetailsDialog
+      label={title || t(isTv ? 'details.labelTv' : 'details.label')}
+      contentKey={detailsKey}
+      isLoading={isLoading}
+      isRetrying={isRetrying}
+      error={error}
+      onRetry={retry}
+      onClose={onClose}
+    >
+      {movie && (
+        <>
+          <div className="backdrop">
+            {movie.backdrop_path && (
+              <Backdrop path={movie.backdrop_path} loading="eager" sizes="(min-width: 896px) 896px, 100vw" />
+            )}
+          </div>
+
+          <div className="body">
+            <h2>{title}</h2>
+            {movie.tagline && <p className="tagline">{movie.tagline}</p>}
+
+            <div className="content">
+              <div className="rating">
+                <img src="/star.png" alt={t('common.ratingIcon')} />
+                <p>{formatRating(movie.vote_average, t('common.notAvailable'))}</p>
+              </div>
+              <span>•</span>
+              <p>{formatReleaseDate(getMediaDate(movie), t('common.notAvailable'))}</p>
+              <span>•</span>
+              {isTv ? (
+                <>
+                  <p>{t('details.seasonCount', { count: movie.number_of_seasons ?? 0 })}</p>
+                  <span>•</span>
+                  <p>{t('details.episodeCount', { count: movie.number_of_episodes ?? 0 })}</p>
+                </>
+              ) : (
+                <p>{formatRuntime(movie.runtime, t('common.notAvailable'))}</p>
+              )}
+              {certification && (
+                <>
+                  <span>•</span>
+                  <p className="certification">{certification}</p>
+                </>
+              )}
+            </div>
+
+            {/* My List holds movies only */}
+            {!isTv && (
+              <ListActions
+                item={getItem(movie.id)}
+                onToggle={(field) => toggle(movie, field)}
+                showWatched
+              />
+            )}
+
+            {movie.genres?.length > 0 && (
+              <ul className="genres">
+                {movie.genres.map((genre) => (
+                  <li key={genre.id}>{genre.name}</li>
+                ))}
+              </ul>
+            )}
+
+            {movie.overview && <p className="overview">{movie.overview}</p>}
+
+            {trailer && (
+              <div className="trailer">
+                {showTrailer ? (
+                  <iframe
+                    src={`${VIDEO_EMBED_URLS[trailer.site]}${trailer.key}?autoplay=1`}
+                    title={trailer.name}
+                    allow="autoplay; encrypted-media; picture-in-picture"
+                    allowFullScreen
+                  />
+                ) : (
+                  <button type="button" onClick={() => setShowTrailer(true)}>
+                    {t('details.watchTrailer')}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {isTv && <SeasonList key={movie.id} showId={movie.id} seasons={movie.seasons || []} />}
+
+            {cast.length > 0 && (
+              <section>
+                <h3>{t('details.topCast')}</h3>
+                <ul className="cast">
+                  {cast.map((person) => (
+                    <li key={person.credit_id}>
+                      <button type="button" onClick={() => onSelectPerson(person.id)}>
+                        <img
+                          src={getImageUrl(person.profile_path, 'small', 'profile') || FALLBACK_IMAGE}
+                          alt={person.name}
+                          loading="lazy"
+                        />
+                        <p className="name">{person.name}</p>
+                        <p className="character">{person.character}</p>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {similar.length > 0 && (
+              <section>
+                <h3>{t(isTv ? 'details.similarTv' : 'details.similar')}</h3>
+                <ul className="similar">
+                  {similar.map((item) => (
+                    <li key={item.id}>
+                      <button type="button" onClick={() => onSelectMovie(item.id, { mediaType })}>
+                        <Poster path={item.poster_path} alt={getMediaTitle(item)} sizes="128px" />
+                        <p>{getMediaTitle(item)}</p>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+          </div>
+        </>
+      )}
+    </DetailsDialog>
+  )
+}
+export default MovieDetails
@@ -0,0 +1,116 @@
+import React, { useMemo } from 'react'
+import Link from './Link.jsx'
+import MovieCard from './MovieCard.jsx'
+import { useMyList } from '../hooks/useMyList.js'
+import { useLocale } from '../hooks/useLocale.js'
+import { sortListItems } from '../myList.js'
+import { buildPath, navigate } from '../router.js'
+import { MY_LIST_SORT_OPTIONS, MY_LIST_STATUSES, MY_LIST_VIEWS, ROUTES } from '../constants.js'
+
+const DEFAULT_VIEW = 'watchlist'
+const DEFAULT_STATUS = 'all'
+const DEFAULT_SORT = 'added'
+
+const pick = (options, value, fallback) => (Object.hasOwn(options, value) ? value : fallback)
+
+const MyList = ({ query, onSelectMovie }) => {
+  const { items, toggle } = useMyList()
+  const { t } = useLocale()
+
+  const view = pick(MY_LIST_VIEWS, query.get('list'), DEFAULT_VIEW)
+  const status = pick(MY_LIST_STATUSES, query.get('status'), DEFAULT_STATUS)
+  const sortBy = pick(MY_LIST_SORT_OPTIONS, query.get('sort'), DEFAULT_SORT)
+
+  // Defaults are left out so the plain /my-list URL stays clean
+  const getPath = (changes) => {
+    const next = { list: view, status, sort: sortBy, ...changes }
+    return buildPath(ROUTES.MY_LIST, {}, {
+      list: next.list !== DEFAULT_VIEW ? next.list : undefined,
+      status: next.status !== DEFAULT_STATUS ? next.status : undefined,
+      sort: next.sort !== DEFAULT_SORT ? next.sort : undefined
+    })
+  }
+
+  const visibleItems = useMemo(() => {
+    const inView = items.filter(item => item[view])
+    const matching = status === 'all'
+      ? inView
+      : inView.filter(item => item.watched === (status === 'watched'))
+    return sortListItems(matching, sortBy)
+  }, [items, view, status, sortBy])
+
+  return (
+    <section className="all-movies my-list">
+      <h2>{t('myList.title')}</h2>
+
+      <nav className="browse-tabs" aria-label={t('myList.title')}>
+        <ul role="tablist">
+          {Object.entries(MY_LIST_VIEWS).map(([key, labelKey]) => (
+            <li key={key} role="presentation">
+              <Link
+                to={getPath({ list: key })}
+                replace
+                role="tab"
+                aria-selected={view === key}
+                className={view === key ? 'active' : ''}
+              >
+                {t(labelKey)} ({items.filter(item => item[key]).length})
+              </Link>
+            </li>
+          ))}
+        </ul>
+
+        <div className="window-toggle" role="group" aria-label={t('myList.statusLabel')}>
+          {Object.entries(MY_LIST_STATUSES).map(([key, labelKey]) => (
+            <Link
+              key={key}
+              to={getPath({ status: key })}
+              replace
+              aria-pressed={status === key}
+              className={status === key ? 'active' : ''}
+            >
+              {t(labelKey)}
+            </Link>
+          ))}
+        </div>
+      </nav>
+
+      <div className="filter-bar">
+        <div className="filter-bar-header">
+          <label className="sort">
+            <span className="sr-only">{t('filters.sortBy')}</span>
+            <select
+              value={sortBy}
+              onChange={(e) => navigate(getPath({ sort: e.target.value }), { replace: true })}
+            >
+              {Object.entries(MY_LIST_SORT_OPTIONS).map(([key, labelKey]) => (
+                <option key={key} value={key}>{t(labelKey)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {visibleItems.length === 0 ? (
+        <p className="empty">
+          {items.some(item => item[view]) ? t('myList.noneWithStatus') : t(`myList.empty.${view}`)}
+        </p>
+      ) : (
+        <ul>
+          {visibleItems.map((item) => (
+            <MovieCard
+              key={item.id}
+              movie={item}
+              listItem={item}
+              onSelect={() => onSelectMovie(item.id)}
+              onPlayTrailer={() => onSelectMovie(item.id, { trailer: true })}
+              onToggleList={toggle}
+              showWatched
+            />
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+export default MyList
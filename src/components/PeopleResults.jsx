@@ -0,0 +1,42 @@
+import React from 'react'
+import { FALLBACK_IMAGE } from '../constants.js'
+import { useLocale } from '../hooks/useLocale.js'
+import { getDepartmentName } from '../credits.js'
+import { getImageUrl, getMediaTitle, isTitleResult } from '../utils.js'
+
+// People matching a search, shown above the movie results
+const PeopleResults = ({ people, onSelectPerson }) => {
+  const { t } = useLocale()
+
+  if (people.length === 0) return null
+
+  return (
+    <section className="people-results">
+      <h2>{t('people.title')}</h2>
+
+      <ul>
+        {people.map((person) => {
+          const knownFor = (person.known_for || []).filter(isTitleResult).slice(0, 2).map(getMediaTitle)
+
+          return (
+            <li key={person.id}>
+              <button type="button" onClick={() => onSelectPerson(person.id)}>
+                <img
+                  src={getImageUrl(person.profile_path, 'small', 'profile') || FALLBACK_IMAGE}
+                  alt=""
+                  loading="lazy"
+                />
+                <p className="name">{person.name}</p>
+                {person.known_for_department && <p className="department">{getDepartmentName(person.known_for_department)}</p>}
+                {knownFor.length > 0 && (
+                  <p className="known-for">{t('people.knownFor', { titles: knownFor.join(', ') })}</p>
+                )}
+              </button>
+            </li>
+          )
+        })}
+      </ul>
+    </section>
+  )
+}
+export default PeopleResults
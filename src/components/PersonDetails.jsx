@@ -0,0 +1,145 @@
+import React, { useMemo, useState } from 'react'
+import DetailsDialog from './DetailsDialog.jsx'
+import Poster from './Poster.jsx'
+import { useLocale } from '../hooks/useLocale.js'
+import { useDetails } from '../hooks/useDetails.js'
+import { tmdb } from '../tmdb.js'
+import { APP_CONFIG, FALLBACK_IMAGE, PERSON_CREDIT_SORTS, PERSON_DETAILS_APPEND } from '../constants.js'
+import { getDepartmentName, getKnownFor, mergeMovieCredits, sortMovieCredits } from '../credits.js'
+import { formatRating, formatReleaseDate, getImageUrl, truncateText } from '../utils.js'
+
+// Birth and death dates are calendar days, so they're shown in UTC to avoid slipping a day
+const formatDate = (date, locale) => (
+  new Date(date).toLocaleDateString(locale, { dateStyle: 'long', timeZone: 'UTC' })
+)
+
+// An actor's or director's page: bio, best-known movies and every movie credit
+const PersonDetails = ({ personId, onClose, onSelectMovie }) => {
+  const [isBioExpanded, setIsBioExpanded] = useState(false)
+  const [sortBy, setSortBy] = useState('year')
+  const { locale, t } = useLocale()
+
+  // Also reloads on a locale switch, for the biography and titles in the new language
+  const { data: person, error, isLoading, isRetrying, retry } = useDetails(`person:${personId}`, (options) => (
+    tmdb.getPersonDetails(personId, { append_to_response: PERSON_DETAILS_APPEND }, options)
+  ), {
+    onStart: () => setIsBioExpanded(false)
+  })
+
+  const knownFor = useMemo(() => (
+    getKnownFor(person?.movie_credits, person?.known_for_department)
+  ), [person])
+
+  const credits = useMemo(() => (
+    sortMovieCredits(mergeMovieCredits(person?.movie_credits), sortBy)
+  ), [person, sortBy])
+
+  const biography = person?.biography || ''
+  const isBioLong = biography.length > APP_CONFIG.BIOGRAPHY_PREVIEW_LENGTH
+  const lifeDates = [
+    person?.birthday && (person.place_of_birth
+      ? t('person.bornIn', { date: formatDate(person.birthday, locale), place: person.place_of_birth })
+      : t('person.born', { date: formatDate(person.birthday, locale) })),
+    person?.deathday && t('person.died', { date: formatDate(person.deathday, locale) })
+  ].filter(Boolean)
+
+  return (
+    <DetailsDialog
+      label={person?.name || t('person.label')}
+      className="person-details"
+      contentKey={personId}
+      isLoading={isLoading}
+      isRetrying={isRetrying}
+      error={error}
+      onRetry={retry}
+      onClose={onClose}
+    >
+      {person && (
+        <div className="body">
+          <div className="profile">
+            <img
+              src={getImageUrl(person.profile_path, 'large', 'profile') || FALLBACK_IMAGE}
+              alt={person.name}
+            />
+
+            <div>
+              <h2>{person.name}</h2>
+              {person.known_for_department && <p className="department">{getDepartmentName(person.known_for_department)}</p>}
+              {lifeDates.map(line => <p key={line} className="life">{line}</p>)}
+            </div>
+          </div>
+
+          <section>
+            <h3>{t('person.biography')}</h3>
+            {biography ? (
+              <>
+                <p className="overview biography">
+                  {isBioLong && !isBioExpanded
+                    ? truncateText(biography, APP_CONFIG.BIOGRAPHY_PREVIEW_LENGTH)
+                    : biography}
+                </p>
+                {isBioLong && (
+                  <button type="button" className="more" onClick={() => setIsBioExpanded(expanded => !expanded)}>
+                    {t(isBioExpanded ? 'person.showLess' : 'person.readMore')}
+                  </button>
+                )}
+              </>
+            ) : (
+              <p className="empty">{t('person.noBiography')}</p>
+            )}
+          </section>
+
+          {knownFor.length > 0 && (
+            <section>
+              <h3>{t('person.knownFor')}</h3>
+              <ul className="similar">
+                {knownFor.map((movie) => (
+                  <li key={movie.id}>
+                    <button type="button" onClick={() => onSelectMovie(movie.id)}>
+                      <Poster path={movie.poster_path} alt={movie.title} sizes="128px" />
+                      <p>{movie.title}</p>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          <section>
+            <div className="credits-header">
+              <h3>{t('person.credits', { count: credits.length })}</h3>
+              {credits.length > 1 && (
+                <label>
+                  <span className="sr-only">{t('person.sortBy')}</span>
+                  <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+                    {Object.entries(PERSON_CREDIT_SORTS).map(([value, labelKey]) => (
+                      <option key={value} value={value}>{t(labelKey)}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+
+            {credits.length === 0 ? (
+              <p className="empty">{t('person.noCredits')}</p>
+            ) : (
+              <ol className="credits">
+                {credits.map((credit) => (
+                  <li key={credit.id}>
+                    <span className="year">{formatReleaseDate(credit.release_date, '—')}</span>
+                    <button type="button" onClick={() => onSelectMovie(credit.id)}>
+                      <span className="title">{credit.title}</span>
+                      {credit.roles.length > 0 && <span className="roles">{credit.roles.join(', ')}</span>}
+                    </button>
+                    <span className="score">{formatRating(credit.vote_average, t('common.notAvailable'))}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </section>
+        </div>
+      )}
+    </DetailsDialog>
+  )
+}
+export default PersonDetails
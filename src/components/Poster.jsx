@@ -0,0 +1,11 @@
+import React from 'react'
+import TmdbImage from './TmdbImage.jsx'
+
+// Poster width in the movie grid: 1 column, then 2 (xs), 3 (md) and 4 (lg) inside max-w-7xl
+const GRID_SIZES = '(min-width: 1024px) 300px, (min-width: 768px) 33vw, (min-width: 480px) 50vw, 100vw'
+
+// Movie poster (2:3), sized for the movie grid unless `sizes` says otherwise
+const Poster = ({ path, alt, sizes = GRID_SIZES, ...props }) => (
+  <TmdbImage path={path} type="poster" alt={alt} sizes={sizes} {...props} />
+)
+export default Poster
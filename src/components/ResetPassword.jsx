@@ -0,0 +1,85 @@
+import React, { useState } from 'react'
+import Link from './Link.jsx'
+import { useAuth } from '../hooks/useAuth.js'
+import { useLocale } from '../hooks/useLocale.js'
+import { getAuthErrorMessage } from '../auth.js'
+import { ROUTES, VALIDATION } from '../constants.js'
+
+const ResetPassword = ({ query }) => {
+  const { completePasswordRecovery } = useAuth()
+  const [password, setPassword] = useState('')
+  const [confirmation, setConfirmation] = useState('')
+  const [error, setError] = useState('')
+  const [isDone, setIsDone] = useState(false)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const { t } = useLocale()
+
+  const userId = query.get('userId')
+  const secret = query.get('secret')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (password !== confirmation) {
+      setError(t('resetPassword.mismatch'))
+      return
+    }
+
+    setIsSubmitting(true)
+    setError('')
+
+    try {
+      await completePasswordRecovery(userId, secret, password)
+      setIsDone(true)
+    } catch (err) {
+      setError(getAuthErrorMessage(err))
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <section className="reset-password">
+      <h2>{t('resetPassword.title')}</h2>
+
+      {!userId || !secret ? (
+        <p className="error">{t('resetPassword.incompleteLink')}</p>
+      ) : isDone ? (
+        <p className="notice">
+          {t('resetPassword.done')} <Link to={ROUTES.HOME}>{t('resetPassword.backToMovies')}</Link>
+        </p>
+      ) : (
+        <form className="auth-form" onSubmit={handleSubmit}>
+          <label>
+            <span>{t('resetPassword.newPassword')}</span>
+            <input
+              type="password"
+              autoComplete="new-password"
+              required
+              minLength={VALIDATION.PASSWORD.MIN_LENGTH}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </label>
+
+          <label>
+            <span>{t('resetPassword.confirmPassword')}</span>
+            <input
+              type="password"
+              autoComplete="new-password"
+              required
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+            />
+          </label>
+
+          {error && <p className="error" role="alert">{error}</p>}
+
+          <button type="submit" className="primary" disabled={isSubmitting}>
+            {isSubmitting ? t('loading.SUBMITTING') : t('resetPassword.submit')}
+          </button>
+        </form>
+      )}
+    </section>
+  )
+}
+export default ResetPassword
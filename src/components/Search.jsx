@@ -1,19 +1,217 @@
-import React from 'react'
+import React, { useId, useLayoutEffect, useRef, useState } from 'react'
+import { useSearchHistory } from '../hooks/useSearchHistory.js'
+import { useSearchSuggestions } from '../hooks/useSearchSuggestions.js'
+import { useLocale } from '../hooks/useLocale.js'
+import { APP_CONFIG } from '../constants.js'
+
+const Search = ({ searchTerm, setSearchTerm, onSubmit, onSelectMovie, mediaType = 'movie' }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const listboxId = useId()
+  const listboxRef = useRef(null)
+  // Where each recent-search option sits, so its remove button (outside the listbox) lines up with it
+  const [recentRows, setRecentRows] = useState([])
+  const { t } = useLocale()
+
+  const { history, remove: removeRecent, clear: clearRecent } = useSearchHistory()
+  const { popular, titles } = useSearchSuggestions(searchTerm, { enabled: isOpen, mediaType })
+
+  const term = searchTerm.trim().toLowerCase()
+  const recent = history
+    .filter(entry => !term || entry.term.toLowerCase().includes(term))
+    .slice(0, APP_CONFIG.SUGGESTIONS_PER_GROUP)
+    .map(entry => ({ kind: 'recent', value: entry.term, label: entry.term }))
+  const recentTerms = new Set(recent.map(option => option.value.toLowerCase()))
+
+  const groups = [
+    { id: 'recent', label: t('search.recent'), options: recent },
+    {
+      id: 'popular',
+      label: t('search.popular'),
+      options: popular
+        .filter(value => !recentTerms.has(value.toLowerCase()))
+        .map(value => ({ kind: 'popular', value, label: value }))
+    },
+    {
+      id: 'titles',
+      label: t({ tv: 'search.titlesTv', all: 'search.titlesAll' }[mediaType] || 'search.titles'),
+      options: titles.map(movie => ({
+        kind: 'title',
+        value: movie.id,
+        mediaType: movie.mediaType,
+        label: movie.year ? `${movie.title} (${movie.year})` : movie.title
+      }))
+    }
+  ].filter(group => group.options.length > 0)
+
+  // Number options across groups so arrow keys move through one flat list
+  const options = groups.flatMap(group => group.options)
+  options.forEach((option, index) => {
+    option.index = index
+  })
+  const showDropdown = isOpen && options.length > 0
+  const getOptionId = (index) => `${listboxId}-option-${index}`
+  const recentKey = recent.map(option => option.value).join('\n')
+
+  useLayoutEffect(() => {
+    const rows = showDropdown ? [...listboxRef.current.querySelectorAll('[role="option"].recent')] : []
+    setRecentRows(rows.map(row => ({ top: row.offsetTop, height: row.offsetHeight })))
+  }, [showDropdown, recentKey])
+
+  const close = () => {
+    setIsOpen(false)
+    setActiveIndex(-1)
+  }
+
+  const selectOption = (option) => {
+    close()
+    if (option.kind === 'title') {
+      // Credit the picked movie with what was typed, not TMDB's first result
+      onSelectMovie?.(option.value, { mediaType: option.mediaType, searchTerm })
+    } else {
+      setSearchTerm(option.value)
+      onSubmit?.(option.value)
+    }
+  }
+
+  const removeRecentOption = (option) => {
+    removeRecent(option.value)
+    setActiveIndex(-1)
+  }
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault()
+        if (!isOpen) setIsOpen(true)
+        if (options.length > 0) setActiveIndex(index => (index + 1) % options.length)
+        break
+      case 'ArrowUp':
+        e.preventDefault()
+        if (!isOpen) setIsOpen(true)
+        if (options.length > 0) setActiveIndex(index => (index <= 0 ? options.length : index) - 1)
+        break
+      case 'Enter':
+        if (showDropdown && options[activeIndex]) {
+          e.preventDefault()
+          selectOption(options[activeIndex])
+        } else {
+          close()
+          onSubmit?.(searchTerm)
+        }
+        break
+      case 'Escape':
+        if (showDropdown) {
+          e.preventDefault()
+          close()
+        } else if (searchTerm) {
+          setSearchTerm('')
+        }
+        break
+      case 'Delete':
+        // Remove the highlighted recent search
+        if (showDropdown && options[activeIndex]?.kind === 'recent') {
+          e.preventDefault()
+          removeRecentOption(options[activeIndex])
+        }
+        break
+      case 'Tab':
+        close()
+        break
+      default:
+        break
+    }
+  }
 
-const Search = ({ searchTerm, setSearchTerm }) => {
   return (
     <div className="search">
       <div>
-        <img src="search.svg" alt="search" />
+        <img src="/search.svg" alt={t('search.iconAlt')} />
 
         <input
           type="text"
-          placeholder="Search through thousands of movies"
+          role="combobox"
+          aria-label={t('search.label')}
+          aria-autocomplete="list"
+          aria-expanded={showDropdown}
+          aria-controls={listboxId}
+          aria-activedescendant={showDropdown && activeIndex >= 0 ? getOptionId(activeIndex) : undefined}
+          autoComplete="off"
+          placeholder={t('search.placeholder')}
           value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
+          onChange={(e) => {
+            setSearchTerm(e.target.value)
+            setIsOpen(true)
+            setActiveIndex(-1)
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={close}
+          onKeyDown={handleKeyDown}
         />
+
+        {/* Only options live in the listbox. The remove buttons for recent searches are laid over
+            their rows from outside it; from the keyboard, Delete removes the highlighted one */}
+        <div className="suggestions" hidden={!showDropdown}>
+          <div className="suggestions-scroll">
+            <ul ref={listboxRef} id={listboxId} role="listbox" aria-label={t('search.suggestions')}>
+              {groups.map((group) => (
+                <li key={group.id} role="presentation">
+                  <div className="group-header" role="presentation">{group.label}</div>
+
+                  <ul role="group" aria-label={group.label}>
+                    {group.options.map((option) => (
+                      <li
+                        key={[option.kind, option.mediaType, option.value].join('-')}
+                        id={getOptionId(option.index)}
+                        role="option"
+                        aria-selected={option.index === activeIndex}
+                        className={`${option.kind} ${option.index === activeIndex ? 'active' : ''}`}
+                        // Keep focus in the input so blur doesn't close the list before the click lands
+                        onMouseDown={(e) => e.preventDefault()}
+                        onMouseEnter={() => setActiveIndex(option.index)}
+                        onClick={() => selectOption(option)}
+                      >
+                        {option.label}
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ul>
+
+            {recent.map((option, index) => recentRows[index] && (
+              <button
+                key={option.value}
+                type="button"
+                className="remove-recent"
+                style={recentRows[index]}
+                tabIndex={-1}
+                aria-label={t('search.removeRecent', { term: option.label })}
+                title={t('search.removeRecent', { term: option.label })}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => removeRecentOption(option)}
+              >
+                ×
+              </button>
+            ))}
+          </div>
+
+          {recent.length > 0 && (
+            <div className="suggestions-footer">
+              <span>{t('search.removeRecentHint')}</span>
+              <button
+                type="button"
+                tabIndex={-1}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={clearRecent}
+              >
+                {t('search.clearRecent')}
+              </button>
+            </div>
+          )}
+        </div>
       </div>
     </div>
   )
 }
-export default Search
\ No newline at end of file
+export default Search
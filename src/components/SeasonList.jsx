@@ -0,0 +1,89 @@
+import React, { useState } from 'react'
+import Spinner from './Spinner.jsx'
+import ErrorMessage from './ErrorMessage.jsx'
+import { useLocale } from '../hooks/useLocale.js'
+import { useDetails } from '../hooks/useDetails.js'
+import { tmdb } from '../tmdb.js'
+import { formatRuntime, getImageUrl } from '../utils.js'
+
+// Air dates are calendar days, so they're shown in UTC to avoid slipping a day
+const formatAirDate = (date, locale) => (
+  date ? new Date(date).toLocaleDateString(locale, { dateStyle: 'medium', timeZone: 'UTC' }) : null
+)
+
+// The latest regular season, since specials (season 0) are rarely what's wanted
+const getDefaultSeason = (seasons) => (
+  seasons.filter(season => season.season_number > 0).at(-1) || seasons[0]
+)
+
+// Seasons of a TV show; a season's episodes load when it's picked
+const SeasonList = ({ showId, seasons }) => {
+  const [seasonNumber, setSeasonNumber] = useState(() => getDefaultSeason(seasons)?.season_number)
+  const { locale, t } = useLocale()
+
+  const { data: season, error, isLoading, isRetrying, retry } = useDetails(
+    `tv:${showId}:season:${seasonNumber}`,
+    (options) => tmdb.getTvSeason(showId, seasonNumber, {}, options),
+    { enabled: seasonNumber !== undefined }
+  )
+
+  if (seasons.length === 0) return null
+
+  const episodes = season?.episodes || []
+
+  return (
+    <section className="seasons">
+      <div className="seasons-header">
+        <h3>{t('seasons.title')}</h3>
+        <label>
+          <span className="sr-only">{t('seasons.select')}</span>
+          <select value={seasonNumber} onChange={(e) => setSeasonNumber(Number(e.target.value))}>
+            {seasons.map((item) => (
+              <option key={item.id} value={item.season_number}>{item.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {season?.overview && !isLoading && <p className="overview">{season.overview}</p>}
+
+      {isLoading && !isRetrying ? (
+        <div className="py-6 flex justify-center"><Spinner /></div>
+      ) : error ? (
+        <ErrorMessage
+          error={error}
+          onRetry={retry}
+          isRetrying={isRetrying}
+        />
+      ) : episodes.length === 0 ? (
+        <p className="empty">{t('seasons.noEpisodes')}</p>
+      ) : (
+        <ol className="episodes">
+          {episodes.map((episode) => (
+            <li key={episode.id}>
+              {episode.still_path && (
+                <img
+                  src={getImageUrl(episode.still_path, 'small', 'backdrop')}
+                  alt=""
+                  loading="lazy"
+                />
+              )}
+              <div>
+                <p className="name">
+                  <span>{t('seasons.episodeNumber', { number: episode.episode_number })}</span> {episode.name}
+                </p>
+                <p className="meta">
+                  {[formatAirDate(episode.air_date, locale), episode.runtime && formatRuntime(episode.runtime)]
+                    .filter(Boolean)
+                    .join(' • ')}
+                </p>
+                {episode.overview && <p className="episode-overview">{episode.overview}</p>}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  )
+}
+export default SeasonList
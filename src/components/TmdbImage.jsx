@@ -0,0 +1,50 @@
+import React, { useState } from 'react'
+import { FALLBACK_IMAGE, IMAGE_PLACEHOLDER_SIZE, TMDB_IMAGE_BASE_URL } from '../constants.js'
+import { getImageSrcSet, getImageUrl } from '../utils.js'
+
+// One image per path, so a new path starts over from its placeholder
+const ResponsiveImage = ({ path, type, alt, sizes, loading }) => {
+  const [status, setStatus] = useState('loading')
+
+  if (status === 'error') {
+    return <img className="full" src={FALLBACK_IMAGE} alt={alt} />
+  }
+
+  return (
+    <>
+      {status === 'loading' && (
+        <img
+          className="placeholder"
+          src={`${TMDB_IMAGE_BASE_URL}/${IMAGE_PLACEHOLDER_SIZE}${path}`}
+          alt=""
+          aria-hidden="true"
+          loading={loading}
+        />
+      )}
+      <img
+        className={`full ${status === 'loaded' ? 'loaded' : ''}`}
+        src={getImageUrl(path, 'medium', type)}
+        srcSet={getImageSrcSet(path, type)}
+        sizes={sizes}
+        alt={alt}
+        loading={loading}
+        decoding="async"
+        onLoad={() => setStatus('loaded')}
+        onError={() => setStatus('error')}
+      />
+    </>
+  )
+}
+
+// TMDB image (a span, so it can sit inside buttons) that picks its size from `sizes`, lazy-loads and blurs up from a tiny placeholder.
+// Size the wrapper with `className`; the images fill it. Missing or broken images show FALLBACK_IMAGE
+const TmdbImage = ({ path, type = 'poster', alt = '', sizes, loading = 'lazy', className = '' }) => (
+  <span className={`tmdb-image ${type}-image ${className}`}>
+    {path ? (
+      <ResponsiveImage key={path} path={path} type={type} alt={alt} sizes={sizes} loading={loading} />
+    ) : (
+      <img className="full" src={FALLBACK_IMAGE} alt={alt} />
+    )}
+  </span>
+)
+export default TmdbImage
@@ -5,6 +5,7 @@ export const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p'
 // Image sizes available from TMDB
 export const IMAGE_SIZES = {
   poster: {
+    tiny: 'w92',
     small: 'w185',
     medium: 'w342',
     large: 'w500',
@@ -16,10 +17,23 @@ export const IMAGE_SIZES = {
     medium: 'w780',
     large: 'w1280',
     original: 'original'
+  },
+  profile: {
+    tiny: 'w45',
+    small: 'w185',
+    large: 'h632',
+    original: 'original'
   }
 }
 
-// Movie genres mapping (TMDB genre IDs)
+// Blurred stand-in shown while the full image loads (TMDB serves it for any image type)
+export const IMAGE_PLACEHOLDER_SIZE = 'w92'
+
+// Shown for missing or broken posters, stills and profile photos (served from public/)
+export const FALLBACK_IMAGE = '/no-poster.png'
+
+// Movie genre names (TMDB genre IDs), used until the localized list from /genre/movie/list
+// arrives or when it can't be fetched
 export const GENRES = {
   28: 'Action',
   12: 'Adventure',
@@ -42,42 +56,118 @@ export const GENRES = {
   37: 'Western'
 }
 
+// What browse lists and search show, with the message key of each label
+export const MEDIA_TYPES = {
+  movie: 'mediaTypes.movie',
+  tv: 'mediaTypes.tv',
+  all: 'mediaTypes.all'
+}
+
+export const DEFAULT_MEDIA_TYPE = 'movie'
+
+// Sort orders supported by /discover/movie, with the message key of each label
+// (/discover/tv has no revenue; see filtersToDiscoverParams for how the rest map)
+export const SORT_OPTIONS = {
+  'popularity.desc': 'sort.popularity',
+  'vote_average.desc': 'sort.rating',
+  'primary_release_date.desc': 'sort.newest',
+  'primary_release_date.asc': 'sort.oldest',
+  'revenue.desc': 'sort.revenue',
+  'original_title.asc': 'sort.title'
+}
+
+// Original languages offered in the filter bar (ISO 639-1) until the full list from
+// /configuration/languages arrives or when it can't be fetched
+export const LANGUAGES = {
+  en: 'English',
+  fr: 'French',
+  es: 'Spanish',
+  de: 'German',
+  it: 'Italian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese',
+  hi: 'Hindi',
+  pt: 'Portuguese',
+  ru: 'Russian',
+  sv: 'Swedish'
+}
+
+// Filter bar choices
+export const FILTER_OPTIONS = {
+  MIN_YEAR: 1900,
+  RATING_FLOORS: [5, 6, 7, 8, 9],
+  VOTE_COUNT_FLOORS: [50, 100, 500, 1000, 5000]
+}
+
 // App Configuration
 export const APP_CONFIG = {
   ITEMS_PER_PAGE: 20,
+  MAX_PAGES: 500, // TMDB rejects page numbers above 500
   SEARCH_DEBOUNCE_MS: 500,
   TRENDING_MOVIES_COUNT: 5,
   MAX_TRENDING_COUNT: 10,
   SEARCH_MIN_LENGTH: 2,
   RETRY_ATTEMPTS: 3,
-  RETRY_DELAY_MS: 1000
-}
-
-// Error Messages
-export const ERROR_MESSAGES = {
-  NETWORK_ERROR: 'Network error. Please check your connection and try again.',
-  API_KEY_MISSING: 'TMDB API key is not configured. Please check your environment variables.',
-  API_KEY_INVALID: 'Invalid API credentials. Please check your TMDB API key.',
-  RATE_LIMIT: 'Too many requests. Please wait a moment and try again.',
-  SERVER_ERROR: 'Server error. Please try again later.',
-  NO_RESULTS: 'No movies found. Try different keywords.',
-  GENERIC_ERROR: 'Something went wrong. Please try again.',
-  APPWRITE_CONFIG: 'Database configuration error. Please check your Appwrite settings.'
+  RETRY_DELAY_MS: 1000,
+  MAX_RETRY_AFTER_SECONDS: 10, // Longer rate-limit waits are left to the user's retry button
+  MAX_SEARCH_HISTORY: 10,
+  SUGGESTIONS_PER_GROUP: 5,
+  SUGGESTION_DEBOUNCE_MS: 250,
+  TOP_CAST_COUNT: 10,
+  SIMILAR_MOVIES_COUNT: 12,
+  KNOWN_FOR_COUNT: 8,
+  PEOPLE_RESULTS_COUNT: 10, // People shown above search results
+  BIOGRAPHY_PREVIEW_LENGTH: 600, // Longer biographies are cut here until expanded
+  LIST_TOMBSTONE_DAYS: 30, // How long removals are remembered so they win a later sync
+  DEFAULT_SEARCH_TRENDING_WINDOW: '7d',
+  MAX_TERMS_PER_MOVIE: 10,
+  STATS_DAYS: 30, // Days shown in the insights chart
+  STATS_TOP_COUNT: 10,
+  SEARCH_STORAGE: 'appwrite', // Default SEARCH_STORAGE_BACKENDS value, overridden by VITE_SEARCH_STORAGE
+  LOCAL_MAX_SEARCH_TERMS: 500, // Least recently searched terms are dropped past this in browser storage
+  TRENDING_REFRESH_DEBOUNCE_MS: 1000, // Quiet time after a realtime update before trending reloads
+  TRENDING_REFRESH_MAX_WAIT_MS: 5000, // ...but reload at least this often during a steady stream
+  CARD_GENRE_COUNT: 3,
+  CARD_OVERVIEW_LENGTH: 160,
+  SKELETON_CARD_COUNT: 8 // Placeholder cards while a feed's first page loads
 }
 
-// Success Messages
-export const SUCCESS_MESSAGES = {
-  MOVIES_LOADED: 'Movies loaded successfully',
-  SEARCH_UPDATED: 'Search count updated',
-  TRENDING_LOADED: 'Trending movies loaded'
+// Response cache: TTLs are per TMDB endpoint (longest matching prefix wins).
+// Entries past their TTL are served stale while a refresh runs, until STALE_MS
+export const CACHE_CONFIG = {
+  MAX_ENTRIES: 150,
+  STALE_MS: 24 * 60 * 60 * 1000,
+  PERSIST_DELAY_MS: 500,
+  TTL_MS: {
+    default: 10 * 60 * 1000,
+    '/search': 15 * 60 * 1000,
+    '/discover': 30 * 60 * 1000,
+    '/trending': 30 * 60 * 1000,
+    '/movie': 6 * 60 * 60 * 1000,
+    '/movie/popular': 60 * 60 * 1000,
+    '/movie/top_rated': 6 * 60 * 60 * 1000,
+    '/movie/upcoming': 60 * 60 * 1000,
+    '/tv': 6 * 60 * 60 * 1000,
+    '/tv/popular': 60 * 60 * 1000,
+    '/tv/top_rated': 6 * 60 * 60 * 1000,
+    '/tv/on_the_air': 60 * 60 * 1000,
+    '/person': 24 * 60 * 60 * 1000,
+    '/genre': 7 * 24 * 60 * 60 * 1000,
+    '/configuration': 7 * 24 * 60 * 60 * 1000
+  }
 }
 
-// Loading Messages
-export const LOADING_MESSAGES = {
-  SEARCHING: 'Searching for movies...',
-  LOADING_POPULAR: 'Loading popular movies...',
-  LOADING_TRENDING: 'Loading trending movies...',
-  RETRYING: 'Retrying...'
+// Error types understood by the ErrorMessage component
+export const ERROR_TYPES = {
+  OFFLINE: 'offline',
+  NETWORK: 'network',
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate-limit',
+  SERVER: 'server',
+  NO_RESULTS: 'search',
+  CONFIG: 'config',
+  GENERAL: 'general'
 }
 
 // Validation Rules
@@ -89,6 +179,9 @@ export const VALIDATION = {
   },
   MOVIE_TITLE: {
     MAX_LENGTH: 200
+  },
+  PASSWORD: {
+    MIN_LENGTH: 8 // Appwrite's minimum
   }
 }
 
@@ -96,7 +189,105 @@ export const VALIDATION = {
 export const STORAGE_KEYS = {
   SEARCH_HISTORY: 'movie_search_history',
   USER_PREFERENCES: 'user_preferences',
-  CACHED_MOVIES: 'cached_movies'
+  CACHED_MOVIES: 'cached_movies',
+  MY_LIST: 'my_movie_list',
+  SEARCH_COUNTS: 'search_counts',
+  LOCALE: 'locale'
+}
+
+// Locales offered by the language picker, named in their own language. The locale drives
+// TMDB's `language` and `region` parameters; UI messages come from the catalog for its
+// language (see i18n.js), falling back to FALLBACK_LOCALE
+export const LOCALES = {
+  'en-US': 'English (US)',
+  'en-GB': 'English (UK)',
+  'es-ES': 'Español (España)',
+  'es-MX': 'Español (México)',
+  'fr-FR': 'Français',
+  'de-DE': 'Deutsch',
+  'it-IT': 'Italiano',
+  'pt-BR': 'Português (Brasil)',
+  'ja-JP': '日本語',
+  'ko-KR': '한국어'
+}
+
+// Used when the browser's languages match none of LOCALES
+export const DEFAULT_LOCALE = 'en-US'
+
+// Catalog a message is read from when the current locale's catalog doesn't have it
+export const FALLBACK_LOCALE = 'en-US'
+
+// Where search counts and trending are stored. Appwrite falls back to local
+// (or memory, where there's no localStorage) when it isn't configured or reachable
+export const SEARCH_STORAGE_BACKENDS = {
+  APPWRITE: 'appwrite',
+  LOCAL: 'local',
+  MEMORY: 'memory'
+}
+
+// Result of the Appwrite startup health check
+export const SERVICE_STATUS = {
+  OK: 'ok',
+  UNCONFIGURED: 'unconfigured', // No Appwrite settings at all: running on local storage on purpose
+  ERROR: 'error'
+}
+
+// Client-side routes (path patterns, `:name` marks a parameter)
+export const ROUTES = {
+  HOME: '/',
+  SEARCH: '/search',
+  MOVIE: '/movie/:id',
+  TV: '/tv/:id',
+  PERSON: '/person/:id',
+  TRENDING: '/trending',
+  POPULAR: '/popular',
+  TOP_RATED: '/top-rated',
+  UPCOMING: '/upcoming',
+  MY_LIST: '/my-list',
+  RESET_PASSWORD: '/reset-password',
+  INSIGHTS: '/insights'
+}
+
+// My List views, status filters and sort orders, with the message key of each label
+export const MY_LIST_VIEWS = {
+  watchlist: 'myList.views.watchlist',
+  favorite: 'myList.views.favorite'
+}
+
+export const MY_LIST_STATUSES = {
+  all: 'myList.statuses.all',
+  unwatched: 'myList.statuses.unwatched',
+  watched: 'myList.statuses.watched'
+}
+
+export const MY_LIST_SORT_OPTIONS = {
+  added: 'myList.sort.added',
+  title: 'myList.sort.title',
+  release: 'myList.sort.release',
+  rating: 'myList.sort.rating'
+}
+
+// TMDB trending time windows, with the message key of each label
+export const TRENDING_WINDOWS = {
+  day: 'feeds.windows.day',
+  week: 'feeds.windows.week'
+}
+
+// Windows for the "Trending Movies" strip, built from daily movie counters.
+// Each day's score counts for less as it ages: weight halves every halfLifeDays
+export const SEARCH_TRENDING_WINDOWS = {
+  '24h': { labelKey: 'trending.windows.24h', days: 1, halfLifeDays: 0.5 },
+  '7d': { labelKey: 'trending.windows.7d', days: 7, halfLifeDays: 2 },
+  '30d': { labelKey: 'trending.windows.30d', days: 30, halfLifeDays: 7 },
+  all: { labelKey: 'trending.windows.all' }
+}
+
+// How much each kind of interaction adds to a movie's trending score. A search only
+// credits TMDB's first result, which may not be what the user meant, so it counts least
+export const MOVIE_SIGNAL_WEIGHTS = {
+  search: 1,
+  open: 2, // Details opened from anywhere but a movie card (suggestion, similar, link)
+  click: 3 // Movie card picked from a list
 }
 
 // API Endpoints
@@ -107,13 +298,48 @@ export const ENDPOINTS = {
   TRENDING_MOVIES: '/trending/movie/day',
   POPULAR_MOVIES: '/movie/popular',
   TOP_RATED_MOVIES: '/movie/top_rated',
-  UPCOMING_MOVIES: '/movie/upcoming'
+  UPCOMING_MOVIES: '/movie/upcoming',
+  SEARCH_TV: '/search/tv',
+  SEARCH_MULTI: '/search/multi',
+  DISCOVER_TV: '/discover/tv',
+  TV_DETAILS: '/tv',
+  TRENDING_TV: '/trending/tv/day',
+  TRENDING_ALL: '/trending/all/day',
+  POPULAR_TV: '/tv/popular',
+  TOP_RATED_TV: '/tv/top_rated',
+  ON_THE_AIR_TV: '/tv/on_the_air',
+  SEARCH_PEOPLE: '/search/person',
+  PERSON_DETAILS: '/person',
+  MOVIE_GENRES: '/genre/movie/list',
+  TV_GENRES: '/genre/tv/list',
+  LANGUAGES: '/configuration/languages'
+}
+
+// Extra resources fetched alongside movie details (append_to_response)
+export const MOVIE_DETAILS_APPEND = ['credits', 'videos', 'similar', 'release_dates']
+
+// Extra resources fetched alongside TV details (seasons come with the show; episodes are
+// fetched per season)
+export const TV_DETAILS_APPEND = ['credits', 'videos', 'similar', 'content_ratings']
+
+// Extra resources fetched alongside person details
+export const PERSON_DETAILS_APPEND = ['movie_credits']
+
+// Sort orders for a person's movie credits, with the message key of each label
+export const PERSON_CREDIT_SORTS = {
+  year: 'person.sort.year',
+  rating: 'person.sort.rating'
+}
+
+// Trailer embed URLs by TMDB video site
+export const VIDEO_EMBED_URLS = {
+  YouTube: 'https://www.youtube-nocookie.com/embed/',
+  Vimeo: 'https://player.vimeo.com/video/'
 }
 
-// Default Query Parameters
+// Default Query Parameters (`language` and `region` come from the current locale)
 export const DEFAULT_PARAMS = {
   include_adult: false,
-  language: 'en-US',
   page: 1,
   sort_by: 'popularity.desc'
 }
@@ -0,0 +1,81 @@
+import { APP_CONFIG } from './constants.js'
+import { hasMessage, t } from './i18n.js'
+
+/**
+ * @typedef {Object} MovieCredit
+ * @property {number} id - TMDB movie ID
+ * @property {string} title - Movie title
+ * @property {string} release_date - Release date ('' if unknown)
+ * @property {string[]} roles - Characters played and crew jobs, cast first
+ */
+
+/**
+ * Merge a person's cast and crew credits into one entry per movie
+ * Someone who wrote, directed and starred in a film gets one entry with three roles
+ * @param {{cast: Object[], crew: Object[]}} movieCredits - TMDB `movie_credits`
+ * @returns {MovieCredit[]} Credits, in TMDB's order
+ */
+export const mergeMovieCredits = ({ cast = [], crew = [] } = {}) => {
+  const byMovie = new Map()
+
+  const add = (credit, role) => {
+    const entry = byMovie.get(credit.id) || { ...credit, release_date: credit.release_date || '', roles: [] }
+    if (role && !entry.roles.includes(role)) entry.roles.push(role)
+    byMovie.set(credit.id, entry)
+  }
+
+  cast.forEach(credit => add(credit, credit.character))
+  crew.forEach(credit => add(credit, credit.job))
+
+  return [...byMovie.values()]
+}
+
+/**
+ * Pick the movies a person is best known for
+ * Credits in their main department come first (an actor's roles, a director's films),
+ * ranked by vote count as a stand-in for how widely each was seen
+ * @param {{cast: Object[], crew: Object[]}} movieCredits - TMDB `movie_credits`
+ * @param {string} department - The person's `known_for_department` (e.g. 'Acting', 'Directing')
+ * @param {number} count - Number of movies (default: APP_CONFIG.KNOWN_FOR_COUNT)
+ * @returns {Object[]} Movies, best known first
+ */
+export const getKnownFor = ({ cast = [], crew = [] } = {}, department, count = APP_CONFIG.KNOWN_FOR_COUNT) => {
+  const inDepartment = department === 'Acting' ? cast : crew.filter(credit => credit.department === department)
+  const credits = inDepartment.length > 0 ? inDepartment : [...cast, ...crew]
+
+  const seen = new Set()
+  return [...credits]
+    .sort((a, b) => (b.vote_count || 0) - (a.vote_count || 0))
+    .filter((credit) => {
+      if (seen.has(credit.id)) return false
+      seen.add(credit.id)
+      return true
+    })
+    .slice(0, count)
+}
+
+const SORTERS = {
+  // Undated (unreleased or unknown) movies go last
+  year: (a, b) => b.release_date.localeCompare(a.release_date),
+  // Ties go to the more voted movie
+  rating: (a, b) => (b.vote_average || 0) - (a.vote_average || 0) || (b.vote_count || 0) - (a.vote_count || 0)
+}
+
+/**
+ * Sort merged movie credits
+ * @param {MovieCredit[]} credits - Credits from mergeMovieCredits
+ * @param {string} sortBy - PERSON_CREDIT_SORTS key (default: 'year')
+ * @returns {MovieCredit[]} Sorted copy
+ */
+export const sortMovieCredits = (credits, sortBy = 'year') => (
+  [...credits].sort(SORTERS[sortBy] || SORTERS.year)
+)
+
+/**
+ * Localized name of a TMDB department, as in a person's `known_for_department`
+ * @param {string} department - TMDB department name in English (e.g. 'Directing')
+ * @returns {string} Name from the `departments` messages, or TMDB's own for one they don't list
+ */
+export const getDepartmentName = (department) => (
+  hasMessage(`departments.${department}`) ? t(`departments.${department}`) : department
+)
@@ -0,0 +1,115 @@
+import { DEFAULT_PARAMS, ROUTES, TRENDING_WINDOWS } from './constants.js'
+import { filtersToDiscoverParams, filtersToQuery } from './filters.js'
+import { buildPath } from './router.js'
+import { t } from './i18n.js'
+
+/**
+ * Browse feeds shown as tabs when the search box is empty, in tab order
+ * `route` is the ROUTES key each feed lives at, `labelKey` the message key of its tab
+ * (`mediaLabelKeys` overrides it for media types whose list is named differently)
+ */
+export const BROWSE_FEEDS = [
+  {
+    type: 'discover',
+    labelKey: 'feeds.discover',
+    mediaLabelKeys: { tv: 'feeds.discoverTv', all: 'feeds.discoverAll' },
+    route: 'HOME'
+  },
+  { type: 'popular', labelKey: 'feeds.popular', route: 'POPULAR' },
+  { type: 'top_rated', labelKey: 'feeds.top_rated', route: 'TOP_RATED' },
+  // TMDB has no upcoming list for TV; shows with an episode this week stand in
+  { type: 'upcoming', labelKey: 'feeds.upcoming', mediaLabelKeys: { tv: 'feeds.on_the_air' }, route: 'UPCOMING' },
+  { type: 'trending', labelKey: 'feeds.trending', route: 'TRENDING' }
+]
+
+// Routes (ROUTES keys) that show their own page instead of a movie list
+export const PAGE_ROUTES = ['MY_LIST', 'RESET_PASSWORD', 'INSIGHTS']
+
+const DEFAULT_TRENDING_WINDOW = 'day'
+
+/**
+ * Get the message key of a browse feed's tab for a media type
+ * @param {Object} browseFeed - BROWSE_FEEDS entry
+ * @param {string} mediaType - MEDIA_TYPES key
+ * @returns {string} Message key
+ */
+export const getBrowseLabelKey = ({ labelKey, mediaLabelKeys }, mediaType) => (
+  mediaLabelKeys?.[mediaType] || labelKey
+)
+
+/**
+ * Get the heading for a feed, in the current locale
+ * @param {import('./hooks/useMovieFeed.js').MovieFeed} feed - Feed
+ * @returns {string} Heading text
+ */
+export const getFeedTitle = (feed) => {
+  if (feed.type === 'search') return t('feeds.searchResults')
+  if (feed.type === 'trending') return t('feeds.trendingTitle', { window: t(TRENDING_WINDOWS[feed.window]) })
+
+  const browseFeed = BROWSE_FEEDS.find(item => item.type === feed.type) || BROWSE_FEEDS[0]
+  return t(getBrowseLabelKey(browseFeed, feed.mediaType))
+}
+
+/**
+ * Work out which movie list a (non-modal) location shows
+ * Only discover is filtered by TMDB; other feeds are filtered client-side. The media type
+ * picks the TMDB lists: `params` holds discover parameters per media type ('all' has both)
+ * @param {Object} location - Location from the router
+ * @param {import('./filters.js').MovieFilters} filters - Active filters
+ * @param {string} locale - Locale the list is shown in; part of the key, since TMDB
+ *   titles, overviews and browse lists depend on it
+ * @returns {import('./hooks/useMovieFeed.js').MovieFeed|null} Feed, or null for pages
+ *   that don't show a TMDB list (PAGE_ROUTES)
+ */
+export const getFeedForLocation = ({ route, query }, filters, locale) => {
+  if (PAGE_ROUTES.includes(route.name)) return null
+
+  const { mediaType } = filters
+  const prefix = `${locale}:${mediaType}`
+  const searchQuery = (query.get('q') || '').trim()
+
+  if (route.name === 'SEARCH' && searchQuery) {
+    return { key: `${prefix}:search:${searchQuery}`, type: 'search', query: searchQuery, mediaType, locale }
+  }
+
+  if (route.name === 'TRENDING') {
+    const timeWindow = TRENDING_WINDOWS[query.get('window')] ? query.get('window') : DEFAULT_TRENDING_WINDOW
+    return { key: `${prefix}:trending:${timeWindow}`, type: 'trending', window: timeWindow, mediaType, locale }
+  }
+
+  const browseFeed = BROWSE_FEEDS.find(item => item.route === route.name && item.type !== 'discover')
+  if (browseFeed) {
+    return { key: `${prefix}:${browseFeed.type}`, type: browseFeed.type, mediaType, locale }
+  }
+
+  const params = Object.fromEntries(
+    (mediaType === 'all' ? ['movie', 'tv'] : [mediaType]).map(type => [type, filtersToDiscoverParams(filters, type)])
+  )
+  return { key: `${prefix}:discover:${JSON.stringify(params)}`, type: 'discover', params, mediaType, locale }
+}
+
+/**
+ * Build the URL for a feed
+ * @param {Object} feed - Feed (only `type`, `query` and `window` are used)
+ * @param {import('./filters.js').MovieFilters} filters - Filters to keep in the URL
+ * @param {number} page - Furthest loaded page (default: 1)
+ * @returns {string} URL path with query string
+ */
+export const getFeedPath = (feed, filters, page = DEFAULT_PARAMS.page) => {
+  const query = {
+    ...filtersToQuery(filters),
+    page: page > DEFAULT_PARAMS.page ? page : undefined
+  }
+
+  if (feed.type === 'search') {
+    return buildPath(ROUTES.SEARCH, {}, { q: feed.query, ...query })
+  }
+
+  if (feed.type === 'trending') {
+    const timeWindow = feed.window !== DEFAULT_TRENDING_WINDOW ? feed.window : undefined
+    return buildPath(ROUTES.TRENDING, {}, { window: timeWindow, ...query })
+  }
+
+  const browseFeed = BROWSE_FEEDS.find(item => item.type === feed.type)
+  return buildPath(ROUTES[browseFeed?.route || 'HOME'], {}, query)
+}
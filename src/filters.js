@@ -0,0 +1,195 @@
+import { DEFAULT_MEDIA_TYPE, DEFAULT_PARAMS, FILTER_OPTIONS, MEDIA_TYPES, SORT_OPTIONS } from './constants.js'
+import { getMediaDate, getMediaTitle } from './utils.js'
+
+/**
+ * @typedef {Object} MovieFilters
+ * @property {number[]} genres - Genre IDs, all of which must match
+ * @property {number|null} yearFrom - Earliest release year
+ * @property {number|null} yearTo - Latest release year
+ * @property {number|null} minRating - Minimum vote_average
+ * @property {number|null} minVotes - Minimum vote_count
+ * @property {string} language - Original language (ISO 639-1), '' for any
+ * @property {string} sortBy - Sort order (SORT_OPTIONS key)
+ * @property {string} mediaType - What to show (MEDIA_TYPES key)
+ */
+
+/** @type {MovieFilters} */
+export const DEFAULT_FILTERS = {
+  genres: [],
+  yearFrom: null,
+  yearTo: null,
+  minRating: null,
+  minVotes: null,
+  language: '',
+  sortBy: DEFAULT_PARAMS.sort_by,
+  mediaType: DEFAULT_MEDIA_TYPE
+}
+
+// Sort orders that only /discover/movie supports
+const MOVIE_ONLY_SORTS = ['revenue.desc']
+
+// /discover/tv names its date and title sorts after first air date and original name
+const TV_SORT_PARAMS = {
+  'primary_release_date.desc': 'first_air_date.desc',
+  'primary_release_date.asc': 'first_air_date.asc',
+  'original_title.asc': 'original_name.asc'
+}
+
+/**
+ * Get the sort orders offered for a media type
+ * @param {string} mediaType - MEDIA_TYPES key
+ * @returns {Object<string, string>} Message keys by SORT_OPTIONS key
+ */
+export const getSortOptions = (mediaType) => (
+  mediaType === 'movie'
+    ? SORT_OPTIONS
+    : Object.fromEntries(Object.entries(SORT_OPTIONS).filter(([value]) => !MOVIE_ONLY_SORTS.includes(value)))
+)
+
+const MAX_YEAR = new Date().getFullYear() + 5
+
+const parseYear = (value) => {
+  const year = parseInt(value, 10)
+  if (isNaN(year)) return null
+  return Math.min(Math.max(year, FILTER_OPTIONS.MIN_YEAR), MAX_YEAR)
+}
+
+const parseNumber = (value) => {
+  const number = parseFloat(value)
+  return isNaN(number) || number <= 0 ? null : number
+}
+
+/**
+ * Read filters from URL query parameters, ignoring unknown values
+ * @param {URLSearchParams} query - URL query
+ * @returns {MovieFilters} Parsed filters
+ */
+export const parseFilters = (query) => {
+  const genres = (query.get('genres') || '')
+    .split(',')
+    .map(id => parseInt(id, 10))
+    // Genre names are loaded per locale, so any positive ID is kept
+    .filter(id => id > 0)
+  const language = query.get('lang') || ''
+  const sortBy = query.get('sort') || ''
+  const mediaType = MEDIA_TYPES[query.get('type')] ? query.get('type') : DEFAULT_FILTERS.mediaType
+
+  return {
+    genres: [...new Set(genres)],
+    yearFrom: parseYear(query.get('from')),
+    yearTo: parseYear(query.get('to')),
+    minRating: parseNumber(query.get('rating')),
+    minVotes: parseNumber(query.get('votes')),
+    language: /^[a-z]{2}$/.test(language) ? language : '',
+    sortBy: getSortOptions(mediaType)[sortBy] ? sortBy : DEFAULT_FILTERS.sortBy,
+    mediaType
+  }
+}
+
+/**
+ * Convert filters to URL query parameters, omitting defaults
+ * @param {MovieFilters} filters - Filters
+ * @returns {Object} Query parameters for buildPath
+ */
+export const filtersToQuery = (filters) => ({
+  genres: filters.genres.length > 0 ? filters.genres.join(',') : undefined,
+  from: filters.yearFrom ?? undefined,
+  to: filters.yearTo ?? undefined,
+  rating: filters.minRating ?? undefined,
+  votes: filters.minVotes ?? undefined,
+  lang: filters.language || undefined,
+  sort: filters.sortBy !== DEFAULT_FILTERS.sortBy ? filters.sortBy : undefined,
+  type: filters.mediaType !== DEFAULT_FILTERS.mediaType ? filters.mediaType : undefined
+})
+
+/**
+ * Convert filters to /discover/movie or /discover/tv parameters
+ * @param {MovieFilters} filters - Filters
+ * @param {'movie'|'tv'} mediaType - Which discover endpoint (default: 'movie')
+ * @returns {Object} TMDB discover parameters
+ */
+export const filtersToDiscoverParams = (filters, mediaType = 'movie') => {
+  const dateField = mediaType === 'tv' ? 'first_air_date' : 'primary_release_date'
+  const sortBy = mediaType === 'tv'
+    ? TV_SORT_PARAMS[filters.sortBy] || (MOVIE_ONLY_SORTS.includes(filters.sortBy) ? DEFAULT_FILTERS.sortBy : filters.sortBy)
+    : filters.sortBy
+
+  return {
+    sort_by: sortBy,
+    with_genres: filters.genres.length > 0 ? filters.genres.join(',') : undefined,
+    [`${dateField}.gte`]: filters.yearFrom ? `${filters.yearFrom}-01-01` : undefined,
+    [`${dateField}.lte`]: filters.yearTo ? `${filters.yearTo}-12-31` : undefined,
+    'vote_average.gte': filters.minRating ?? undefined,
+    'vote_count.gte': filters.minVotes ?? undefined,
+    with_original_language: filters.language || undefined
+  }
+}
+
+/**
+ * Check whether any filter differs from its default (the media type is not a filter)
+ * @param {MovieFilters} filters - Filters
+ * @returns {boolean} Has active filters
+ */
+export const hasActiveFilters = (filters) => (
+  Object.entries(filtersToQuery(filters)).some(([key, value]) => key !== 'type' && value !== undefined)
+)
+
+/**
+ * Count active filters (the sort order and media type are not counted)
+ * @param {MovieFilters} filters - Filters
+ * @returns {number} Number of active filters
+ */
+export const countActiveFilters = (filters) => (
+  Object.entries(filtersToQuery(filters))
+    .filter(([key, value]) => key !== 'sort' && key !== 'type' && value !== undefined)
+    .length
+)
+
+const getReleaseYear = (movie) => {
+  const year = parseInt(getMediaDate(movie).split('-')[0], 10)
+  return isNaN(year) ? null : year
+}
+
+const getOriginalTitle = (item) => item.original_title || item.original_name || getMediaTitle(item)
+
+const SORTERS = {
+  'popularity.desc': (a, b) => (b.popularity || 0) - (a.popularity || 0),
+  'vote_average.desc': (a, b) => (b.vote_average || 0) - (a.vote_average || 0),
+  'primary_release_date.desc': (a, b) => getMediaDate(b).localeCompare(getMediaDate(a)),
+  'primary_release_date.asc': (a, b) => getMediaDate(a).localeCompare(getMediaDate(b)),
+  'original_title.asc': (a, b) => getOriginalTitle(a).localeCompare(getOriginalTitle(b))
+}
+
+/**
+ * Apply filters to an already-loaded movie list
+ * TMDB's search and trending endpoints ignore discover filters, so results are filtered here
+ * @param {Object[]} movies - Movies from a TMDB list response
+ * @param {MovieFilters} filters - Filters
+ * @param {Object} options - Options
+ * @param {boolean} options.sort - Re-order results by `filters.sortBy` (default: true)
+ * @returns {Object[]} Matching movies
+ */
+export const applyFilters = (movies, filters, { sort = true } = {}) => {
+  const matches = movies.filter((movie) => {
+    if (filters.genres.length > 0) {
+      const genreIds = movie.genre_ids || []
+      if (!filters.genres.every(id => genreIds.includes(id))) return false
+    }
+
+    if (filters.yearFrom || filters.yearTo) {
+      const year = getReleaseYear(movie)
+      if (!year) return false
+      if (filters.yearFrom && year < filters.yearFrom) return false
+      if (filters.yearTo && year > filters.yearTo) return false
+    }
+
+    if (filters.minRating && (movie.vote_average || 0) < filters.minRating) return false
+    if (filters.minVotes && (movie.vote_count || 0) < filters.minVotes) return false
+    if (filters.language && movie.original_language !== filters.language) return false
+
+    return true
+  })
+
+  const sorter = SORTERS[filters.sortBy]
+  return sort && sorter ? [...matches].sort(sorter) : matches
+}
@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useState } from 'react'
+import { getAppwriteHealth, recheckAppwriteHealth } from '../searchStore.js'
+import { SERVICE_STATUS } from '../constants.js'
+
+/**
+ * Custom hook exposing a problem found by the startup Appwrite health check
+ * The app keeps working on local storage meanwhile, so the problem can be dismissed
+ * @returns {{problem: Object|null, isChecking: boolean, recheck: Function, dismiss: Function,
+ *   revision: number}} `problem` is an AppwriteHealth with an error, and `revision` changes
+ *   whenever a recheck may have switched where search counts are stored
+ */
+export const useAppwriteHealth = () => {
+  const [health, setHealth] = useState(null)
+  const [isChecking, setIsChecking] = useState(false)
+  const [isDismissed, setIsDismissed] = useState(false)
+  const [revision, setRevision] = useState(0)
+
+  useEffect(() => {
+    let isCurrent = true
+    getAppwriteHealth().then((result) => {
+      if (isCurrent) setHealth(result)
+    })
+    return () => {
+      isCurrent = false
+    }
+  }, [])
+
+  const recheck = useCallback(async () => {
+    setIsChecking(true)
+    setHealth(await recheckAppwriteHealth())
+    setIsChecking(false)
+    setRevision(value => value + 1)
+  }, [])
+
+  const dismiss = useCallback(() => setIsDismissed(true), [])
+
+  const problem = !isDismissed && health?.status === SERVICE_STATUS.ERROR ? health : null
+
+  return { problem, isChecking, recheck, dismiss, revision }
+}
@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react'
+
+export const AuthContext = createContext(null)
+
+/**
+ * Custom hook exposing the current user and account actions from AuthProvider
+ * @returns {{user: Object|null, isGuest: boolean, isLoading: boolean, signUp: Function,
+ *   login: Function, logout: Function, continueAsGuest: Function,
+ *   requestPasswordRecovery: Function, completePasswordRecovery: Function}}
+ */
+export const useAuth = () => {
+  const context = useContext(AuthContext)
+  if (!context) throw new Error('useAuth must be used inside AuthProvider')
+  return context
+}
@@ -0,0 +1,77 @@
+import { useEffect, useRef, useState } from 'react'
+import { classifyError } from '../tmdb.js'
+import { useLocale } from './useLocale.js'
+
+/**
+ * Custom hook that loads one TMDB details response (a movie, show, season or person)
+ * Reloads when `key` changes, on retry, and on a locale switch so the text comes back in
+ * the new language. A stale cached copy is shown at once and swapped when TMDB answers.
+ * @param {string} key - Identifies what's being loaded, e.g. 'movie:550'
+ * @param {Function} fetchDetails - ({ signal, onRevalidate }) => Promise of the details
+ * @param {Object} options - Hook options (the latest callbacks are used; changing them doesn't reload)
+ * @param {boolean} options.enabled - Load only while true (default: true)
+ * @param {Function} options.onStart - Called as each load starts, e.g. to reset per-page UI
+ * @param {Function} options.onLoad - Called with the details after each successful load
+ * @returns {{data: Object|null, error: Object|null, isLoading: boolean, isRetrying: boolean, retry: Function}}
+ *   Details, a classified error, loading flags and a retry function
+ */
+export const useDetails = (key, fetchDetails, { enabled = true, onStart, onLoad } = {}) => {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isRetrying, setIsRetrying] = useState(false)
+  // Bumped by retry() to re-run the request
+  const [reloadToken, setReloadToken] = useState(0)
+  const callbacksRef = useRef({ fetchDetails, onStart, onLoad })
+  const { locale } = useLocale()
+
+  useEffect(() => {
+    callbacksRef.current = { fetchDetails, onStart, onLoad }
+  })
+
+  useEffect(() => {
+    if (!enabled) return
+
+    const controller = new AbortController()
+    const { signal } = controller
+
+    const loadDetails = async () => {
+      const { fetchDetails, onStart } = callbacksRef.current
+      setIsLoading(true)
+      onStart?.()
+
+      try {
+        const result = await fetchDetails({
+          signal,
+          onRevalidate: (fresh) => !signal.aborted && setData(fresh)
+        })
+        if (signal.aborted) return
+        setData(result)
+        setError(null)
+        callbacksRef.current.onLoad?.(result)
+      } catch (err) {
+        if (signal.aborted) return
+        console.error(`Error fetching details for ${key}: ${err}`)
+        setError(classifyError(err))
+      } finally {
+        if (!signal.aborted) {
+          setIsLoading(false)
+          setIsRetrying(false)
+        }
+      }
+    }
+
+    loadDetails()
+
+    return () => {
+      controller.abort()
+    }
+  }, [key, enabled, reloadToken, locale])
+
+  const retry = () => {
+    setIsRetrying(true)
+    setReloadToken(token => token + 1)
+  }
+
+  return { data, error, isLoading, isRetrying, retry }
+}
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react'
+import { useLocale } from './useLocale.js'
+import { getLoadedGenres, loadGenres } from '../metadata.js'
+
+/**
+ * Custom hook that loads TMDB genre names in the current locale's language
+ * Until they arrive (or if they can't be fetched) the built-in English movie genres are used
+ * @param {'movie'|'tv'|'all'} type - Which genres (default: 'movie')
+ * @returns {Object<number, string>} Names by genre ID
+ */
+export const useGenres = (type = 'movie') => {
+  const { locale } = useLocale()
+  const [genres, setGenres] = useState(() => getLoadedGenres(type, locale))
+
+  useEffect(() => {
+    let isCurrent = true
+    loadGenres(type, locale)
+      .then((result) => {
+        if (isCurrent) setGenres(result)
+      })
+      .catch((error) => {
+        console.warn('Error fetching genres:', error.message)
+      })
+
+    return () => {
+      isCurrent = false
+    }
+  }, [type, locale])
+
+  return genres
+}
@@ -0,0 +1,38 @@
+import { useEffect, useRef } from 'react'
+
+/**
+ * Custom hook that calls `onLoadMore` when a sentinel element scrolls into view
+ * @param {Function} onLoadMore - Called when the sentinel becomes visible
+ * @param {Object} options - Hook options
+ * @param {boolean} options.enabled - Whether more items can be loaded
+ * @param {string} options.rootMargin - How far ahead of the viewport to trigger (default: '400px')
+ * @returns {import('react').RefObject} Ref to attach to the sentinel element
+ */
+export const useInfiniteScroll = (onLoadMore, { enabled = true, rootMargin = '400px' } = {}) => {
+  const sentinelRef = useRef(null)
+  const callbackRef = useRef(onLoadMore)
+
+  // Keep the latest callback without re-creating the observer on every render
+  useEffect(() => {
+    callbackRef.current = onLoadMore
+  }, [onLoadMore])
+
+  useEffect(() => {
+    const node = sentinelRef.current
+    if (!enabled || !node || typeof IntersectionObserver === 'undefined') return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        callbackRef.current()
+      }
+    }, { rootMargin })
+
+    observer.observe(node)
+
+    return () => {
+      observer.disconnect()
+    }
+  }, [enabled, rootMargin])
+
+  return sentinelRef
+}
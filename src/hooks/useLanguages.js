@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react'
+import { useLocale } from './useLocale.js'
+import { getLoadedLanguages, loadLanguages } from '../metadata.js'
+
+/**
+ * Custom hook that loads the original languages TMDB knows, named in the current locale
+ * Until they arrive (or if they can't be fetched) a short built-in list is used
+ * @returns {import('../metadata.js').LanguageOption[]} Options sorted by name
+ */
+export const useLanguages = () => {
+  const { locale } = useLocale()
+  const [languages, setLanguages] = useState(() => getLoadedLanguages(locale))
+
+  useEffect(() => {
+    let isCurrent = true
+    loadLanguages(locale)
+      .then((result) => {
+        if (isCurrent) setLanguages(result)
+      })
+      .catch((error) => {
+        console.warn('Error fetching languages:', error.message)
+      })
+
+    return () => {
+      isCurrent = false
+    }
+  }, [locale])
+
+  return languages
+}
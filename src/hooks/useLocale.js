@@ -0,0 +1,17 @@
+import { useEffect, useState } from 'react'
+import { getLocale, setLocale, subscribeToLocale, t } from '../i18n.js'
+
+/**
+ * Custom hook exposing the current locale, re-rendering when it changes
+ * @returns {{locale: string, setLocale: Function, t: Function}} `t` translates a message
+ *   key for the current locale (see i18n.js)
+ */
+export const useLocale = () => {
+  const [locale, setCurrentLocale] = useState(getLocale)
+
+  useEffect(() => (
+    subscribeToLocale(() => setCurrentLocale(getLocale()))
+  ), [])
+
+  return { locale, setLocale, t }
+}
@@ -0,0 +1,284 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { classifyError, tmdb } from '../tmdb.js'
+import { APP_CONFIG, DEFAULT_PARAMS } from '../constants.js'
+import { getMediaKey, isTitleResult, mergeUniqueById } from '../utils.js'
+
+/**
+ * @typedef {Object} MovieFeed
+ * @property {string} key - Stable identity of the feed (changes reset the list)
+ * @property {'search'|'discover'|'popular'|'top_rated'|'upcoming'|'trending'} type - Which TMDB list to load
+ * @property {string} [query] - Search query for 'search' feeds
+ * @property {'day'|'week'} [window] - Time window for 'trending' feeds
+ * @property {Object} [params] - Extra TMDB parameters for 'discover' feeds, by media type
+ * @property {'movie'|'tv'|'all'} [mediaType] - What the list shows (default: 'movie')
+ * @property {string} [locale] - Locale the list was requested in (the TMDB client sends the
+ *   current one; this only keeps lists in different languages apart)
+ */
+
+// How each feed type loads a page of one media type
+const FETCHERS = {
+  movie: {
+    search: (feed, params, options) => tmdb.searchMovies(feed.query, params, options),
+    popular: (feed, params, options) => tmdb.getPopular(params, options),
+    top_rated: (feed, params, options) => tmdb.getTopRated(params, options),
+    upcoming: (feed, params, options) => tmdb.getUpcoming(params, options),
+    trending: (feed, params, options) => tmdb.getTrending(feed.window, params, options),
+    discover: (feed, params, options) => tmdb.discoverMovies({ ...feed.params?.movie, ...params }, options)
+  },
+  tv: {
+    search: (feed, params, options) => tmdb.searchTv(feed.query, params, options),
+    popular: (feed, params, options) => tmdb.getPopularTv(params, options),
+    top_rated: (feed, params, options) => tmdb.getTopRatedTv(params, options),
+    upcoming: (feed, params, options) => tmdb.getOnTheAirTv(params, options),
+    trending: (feed, params, options) => tmdb.getTrendingTv(feed.window, params, options),
+    discover: (feed, params, options) => tmdb.discoverTv({ ...feed.params?.tv, ...params }, options)
+  }
+}
+
+const tagResults = (data, mediaType) => ({
+  ...data,
+  results: (data.results || []).map(item => ({ ...item, media_type: mediaType }))
+})
+
+// Lists of one media type don't say what they hold, so their results (fresh ones included) are tagged here
+const fetchTypedPage = async (mediaType, feed, page, { signal, onRevalidate }) => {
+  const fetcher = FETCHERS[mediaType][feed.type] || FETCHERS[mediaType].discover
+  const data = await fetcher(feed, { page }, {
+    signal,
+    onRevalidate: onRevalidate && ((fresh) => onRevalidate(tagResults(fresh, mediaType)))
+  })
+  return tagResults(data, mediaType)
+}
+
+// Alternate two lists, so neither fills the page before the other shows
+const interleave = (first, second) => (
+  Array.from({ length: Math.max(first.length, second.length) }, (_, index) => [first[index], second[index]])
+    .flat()
+    .filter(Boolean)
+)
+
+// `onRevalidate` gets the whole page again when a stale cached page is refreshed
+const fetchFeedPage = async (feed, page, options) => {
+  if (feed.mediaType !== 'all') return fetchTypedPage(feed.mediaType || 'movie', feed, page, options)
+
+  // Multi search and mixed trending come tagged from TMDB (people included)
+  if (feed.type === 'search') return tmdb.searchMulti(feed.query, { page }, options)
+  if (feed.type === 'trending') return tmdb.getTrendingAll(feed.window, { page }, options)
+
+  // Other lists have no mixed endpoint: load both and take the longer one's page count
+  const halves = {}
+  const combine = () => ({
+    page,
+    results: interleave(halves.movie.results, halves.tv.results),
+    total_pages: Math.max(halves.movie.total_pages || 0, halves.tv.total_pages || 0),
+    total_results: (halves.movie.total_results || 0) + (halves.tv.total_results || 0)
+  })
+  // A refreshed half is recombined with the other one
+  const revalidateHalf = (mediaType) => options.onRevalidate && ((fresh) => {
+    halves[mediaType] = fresh
+    if (halves.movie && halves.tv) options.onRevalidate(combine())
+  })
+
+  const [movies, shows] = await Promise.all([
+    fetchTypedPage('movie', feed, page, { signal: options.signal, onRevalidate: revalidateHalf('movie') }),
+    fetchTypedPage('tv', feed, page, { signal: options.signal, onRevalidate: revalidateHalf('tv') })
+  ])
+  halves.movie = halves.movie || movies
+  halves.tv = halves.tv || shows
+  return combine()
+}
+
+// People (from mixed lists) have no card; a movie and a show may share an ID
+const mergeResults = (list, data) => (
+  mergeUniqueById(list, (data.results || []).filter(isTitleResult), getMediaKey)
+)
+
+// The list for pages loaded so far, in page order
+const buildList = (pages) => (
+  [...pages.keys()].sort((a, b) => a - b).reduce((list, pageNumber) => mergeResults(list, pages.get(pageNumber)), [])
+)
+
+// A short page means TMDB has nothing further, whatever total_pages says
+// (counted before people are dropped, so a page of mostly people isn't mistaken for the end)
+const getTotalPages = (data, page) => {
+  const results = data.results || []
+  if (results.length < APP_CONFIG.ITEMS_PER_PAGE) return page
+  return Math.min(data.total_pages || 0, APP_CONFIG.MAX_PAGES)
+}
+
+/**
+ * Custom hook that loads a paginated TMDB movie or TV list
+ * Every result carries its `media_type`
+ * @param {MovieFeed|null} feed - Feed to load, or null to load nothing
+ * @param {Object} options - Hook options
+ * @param {number} options.initialPage - Load pages up to this one on first load (default: 1)
+ * @param {Function} options.onPageLoaded - Called with (feed, data, page) after each page loads
+ * @returns {Object} Feed state (`listKey` is the key of the feed currently shown, `error` a
+ *   ClassifiedError or null) plus `loadMore` and `retry` functions
+ */
+export const useMovieFeed = (feed, { initialPage = DEFAULT_PARAMS.page, onPageLoaded } = {}) => {
+  const [movieList, setMovieList] = useState([])
+  const [listKey, setListKey] = useState(null)
+  const [page, setPage] = useState(DEFAULT_PARAMS.page)
+  const [totalPages, setTotalPages] = useState(0)
+  const [error, setError] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
+  const [isRetrying, setIsRetrying] = useState(false)
+  // Bumped to re-run a failed first load
+  const [reloadToken, setReloadToken] = useState(0)
+
+  const feedRef = useRef(feed)
+  const onPageLoadedRef = useRef(onPageLoaded)
+  const initialPageRef = useRef(initialPage)
+
+  useEffect(() => {
+    feedRef.current = feed
+    onPageLoadedRef.current = onPageLoaded
+    initialPageRef.current = initialPage
+  })
+
+  // One controller for whichever request currently owns the list
+  const controllerRef = useRef(null)
+
+  const startRequest = () => {
+    controllerRef.current?.abort()
+    controllerRef.current = new AbortController()
+    return controllerRef.current.signal
+  }
+
+  // Pages loaded for the feed on screen, kept so a background refresh can replace its page
+  const pagesRef = useRef({ key: null, pages: new Map() })
+
+  // A stale page from the response cache was refreshed: show the fresh results in its place
+  const handleRevalidate = useCallback((currentFeed, pageNumber, data) => {
+    const { key, pages } = pagesRef.current
+    if (key !== currentFeed.key || !pages.has(pageNumber)) return
+
+    pages.set(pageNumber, data)
+    setMovieList(buildList(pages))
+  }, [])
+
+  // Only report pages for the request that still owns the list, so a slow
+  // response for an old query never reaches `onPageLoaded`
+  const loadPage = useCallback(async (currentFeed, pageNumber, signal) => {
+    const data = await fetchFeedPage(currentFeed, pageNumber, {
+      signal,
+      onRevalidate: (fresh) => handleRevalidate(currentFeed, pageNumber, fresh)
+    })
+    if (signal.aborted) throw new DOMException('Request superseded', 'AbortError')
+
+    pagesRef.current.pages.set(pageNumber, data)
+    onPageLoadedRef.current?.(currentFeed, data, pageNumber)
+    return data
+  }, [handleRevalidate])
+
+  useEffect(() => {
+    const currentFeed = feedRef.current
+    const signal = startRequest()
+    // Nothing to load (e.g. My List); an unfinished request for the previous feed is cancelled
+    if (!currentFeed) return () => controllerRef.current?.abort()
+
+    const loadInitialPages = async () => {
+      setIsLoading(true)
+      setIsLoadingMore(false)
+      setMovieList([])
+      setListKey(null)
+      setPage(DEFAULT_PARAMS.page)
+      setTotalPages(0)
+      pagesRef.current = { key: currentFeed.key, pages: new Map() }
+
+      let lastPage = 0
+      let total = 0
+
+      try {
+        // Restoring a shared link like ?page=3 needs every page up to it
+        const targetPage = Math.max(DEFAULT_PARAMS.page, initialPageRef.current)
+        for (let pageNumber = DEFAULT_PARAMS.page; pageNumber <= targetPage; pageNumber++) {
+          const data = await loadPage(currentFeed, pageNumber, signal)
+          lastPage = pageNumber
+          total = getTotalPages(data, pageNumber)
+          if (pageNumber >= total) break
+        }
+        setError(null)
+      } catch (err) {
+        if (signal.aborted) return
+        console.error(`Error fetching movies: ${err}`)
+        setError(classifyError(err))
+      } finally {
+        if (!signal.aborted) {
+          // Built from the stored pages, so a refresh that landed mid-load isn't lost
+          setMovieList(buildList(pagesRef.current.pages))
+          setListKey(currentFeed.key)
+          setPage(lastPage || DEFAULT_PARAMS.page)
+          setTotalPages(total)
+          setIsLoading(false)
+          setIsRetrying(false)
+        }
+      }
+    }
+
+    loadInitialPages()
+
+    // Cancel when the feed changes or the component unmounts
+    return () => controllerRef.current?.abort()
+  }, [feed?.key, reloadToken, loadPage])
+
+  const hasMore = page < totalPages
+
+  const loadMore = useCallback(async () => {
+    if (isLoading || isLoadingMore || !hasMore) return
+
+    // Any previous error stays visible until this attempt settles, so a retry can show progress
+    const signal = startRequest()
+    setIsLoadingMore(true)
+
+    try {
+      const nextPage = page + 1
+      const data = await loadPage(feedRef.current, nextPage, signal)
+
+      setMovieList((previous) => mergeResults(previous, data))
+      setPage(nextPage)
+      setTotalPages(getTotalPages(data, nextPage))
+      setError(null)
+    } catch (err) {
+      if (signal.aborted) return
+      console.error(`Error fetching movies: ${err}`)
+      setError(classifyError(err))
+    } finally {
+      if (!signal.aborted) {
+        setIsLoadingMore(false)
+        setIsRetrying(false)
+      }
+    }
+  }, [isLoading, isLoadingMore, hasMore, page, loadPage])
+
+  /**
+   * Re-run whichever request failed: the next page if some results are
+   * already showing, otherwise the first load
+   */
+  const retry = useCallback(() => {
+    if (!error || isLoading || isLoadingMore) return
+
+    setIsRetrying(true)
+    if (movieList.length > 0) {
+      loadMore()
+    } else {
+      setReloadToken(token => token + 1)
+    }
+  }, [error, isLoading, isLoadingMore, movieList.length, loadMore])
+
+  return {
+    listKey,
+    movieList,
+    page,
+    totalPages,
+    hasMore,
+    error,
+    isLoading,
+    isLoadingMore,
+    isRetrying,
+    loadMore,
+    retry
+  }
+}
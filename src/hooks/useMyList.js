@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import {
+  getMyList,
+  subscribeToMyList,
+  toggleFavorite,
+  toggleWatched,
+  toggleWatchlist
+} from '../myList.js'
+
+/**
+ * Custom hook exposing the saved watchlist and favorites
+ * Stays in sync with changes made elsewhere in the app or in other tabs
+ * @returns {{items: Object[], getItem: Function, toggle: Function}} `toggle(movie, field)`
+ *   flips 'watchlist', 'favorite' or 'watched' for a movie
+ */
+export const useMyList = () => {
+  const [items, setItems] = useState(getMyList)
+
+  useEffect(() => (
+    subscribeToMyList(() => setItems(getMyList()))
+  ), [])
+
+  const itemsById = useMemo(() => new Map(items.map(item => [item.id, item])), [items])
+  const getItem = useCallback((movieId) => itemsById.get(Number(movieId)) || null, [itemsById])
+
+  const toggle = useCallback((movie, field) => {
+    if (field === 'watchlist') return toggleWatchlist(movie)
+    if (field === 'favorite') return toggleFavorite(movie)
+    if (field === 'watched') return toggleWatched(movie)
+    return null
+  }, [])
+
+  return { items, getItem, toggle }
+}
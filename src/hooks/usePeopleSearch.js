@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react'
+import { useLocale } from './useLocale.js'
+import { tmdb } from '../tmdb.js'
+import { APP_CONFIG } from '../constants.js'
+
+/**
+ * Custom hook that finds people (actors, directors, ...) matching a search
+ * Failures only hide the people row, so they're logged rather than surfaced
+ * @param {string} query - Search query, '' for none
+ * @returns {Object[]} TMDB people, most relevant first
+ */
+export const usePeopleSearch = (query) => {
+  const [people, setPeople] = useState([])
+  const { locale } = useLocale()
+
+  useEffect(() => {
+    if (!query) {
+      setPeople([])
+      return
+    }
+
+    const controller = new AbortController()
+
+    tmdb.searchPeople(query, {}, { signal: controller.signal })
+      .then((data) => {
+        if (controller.signal.aborted) return
+        setPeople((data.results || []).slice(0, APP_CONFIG.PEOPLE_RESULTS_COUNT))
+      })
+      .catch((error) => {
+        if (!controller.signal.aborted) {
+          console.warn('Error searching people:', error.message)
+          setPeople([])
+        }
+      })
+
+    return () => {
+      controller.abort()
+    }
+  }, [query, locale])
+
+  return people
+}
@@ -0,0 +1,54 @@
+import { useLayoutEffect, useRef } from 'react'
+import { ANIMATION_DURATIONS } from '../constants.js'
+
+/**
+ * Custom hook that animates a list's children to their new places when the order changes
+ * (FLIP: measure, let React move the elements, then play each one back from where it was).
+ * Children are matched by their `data-key` attribute; new ones fade in.
+ * @param {string[]} keys - Keys in display order
+ * @param {Object} options - Hook options
+ * @param {number} options.duration - Animation length in ms (default: ANIMATION_DURATIONS.SLOW)
+ * @returns {Object} Ref to attach to the list element
+ */
+export const useReorderAnimation = (keys, { duration = ANIMATION_DURATIONS.SLOW } = {}) => {
+  const listRef = useRef(null)
+  // Offsets (not viewport rects) so scrolling the list between updates isn't mistaken for a move
+  const positions = useRef(new Map())
+  const order = keys.join('\n')
+
+  useLayoutEffect(() => {
+    const list = listRef.current
+    if (!list) return
+
+    const items = [...list.children].filter(element => element.dataset.key)
+    const previous = positions.current
+    positions.current = new Map(items.map(element => [
+      element.dataset.key,
+      { left: element.offsetLeft, top: element.offsetTop }
+    ]))
+
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches
+    if (reduceMotion || typeof Element.prototype.animate !== 'function') return
+
+    for (const element of items) {
+      const from = previous.get(element.dataset.key)
+      const to = positions.current.get(element.dataset.key)
+
+      if (!from) {
+        element.animate([{ opacity: 0 }, { opacity: 1 }], { duration, easing: 'ease-out' })
+        continue
+      }
+
+      const dx = from.left - to.left
+      const dy = from.top - to.top
+      if (dx || dy) {
+        element.animate(
+          [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }],
+          { duration, easing: 'ease-in-out' }
+        )
+      }
+    }
+  }, [order, duration])
+
+  return listRef
+}
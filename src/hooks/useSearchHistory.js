@@ -0,0 +1,27 @@
+import { useCallback, useEffect, useState } from 'react'
+import {
+  addToSearchHistory,
+  clearSearchHistory,
+  getSearchHistory,
+  removeFromSearchHistory,
+  subscribeToSearchHistory
+} from '../searchHistory.js'
+
+/**
+ * Custom hook exposing the locally stored search history
+ * Stays in sync with changes made elsewhere in the app or in other tabs
+ * @returns {{history: Object[], add: Function, remove: Function, clear: Function}}
+ */
+export const useSearchHistory = () => {
+  const [history, setHistory] = useState(getSearchHistory)
+
+  useEffect(() => (
+    subscribeToSearchHistory(() => setHistory(getSearchHistory()))
+  ), [])
+
+  const add = useCallback((term) => addToSearchHistory(term), [])
+  const remove = useCallback((term) => removeFromSearchHistory(term), [])
+  const clear = useCallback(() => clearSearchHistory(), [])
+
+  return { history, add, remove, clear }
+}
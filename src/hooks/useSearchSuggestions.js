@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react'
+import { useDebounce } from './useDebounce.js'
+import { getPopularSearchTerms } from '../searchStore.js'
+import { tmdb } from '../tmdb.js'
+import { APP_CONFIG } from '../constants.js'
+import { formatReleaseDate, getMediaDate, getMediaTitle, getMediaType, isTitleResult } from '../utils.js'
+
+/**
+ * Custom hook that loads popular search terms and live title suggestions for the Search box
+ * Title lookups share the TMDB response cache, so settling on a suggested query is instant
+ * @param {string} term - Current input value
+ * @param {Object} options - Hook options
+ * @param {boolean} options.enabled - Only fetch while the dropdown is open
+ * @param {'movie'|'tv'|'all'} options.mediaType - Which titles to suggest (default: 'movie')
+ * @returns {{popular: string[], titles: Object[]}} Suggestions (each title has its `mediaType`)
+ */
+export const useSearchSuggestions = (term, { enabled = true, mediaType = 'movie' } = {}) => {
+  const query = useDebounce(term.trim(), APP_CONFIG.SUGGESTION_DEBOUNCE_MS)
+  const [popular, setPopular] = useState([])
+  const [titles, setTitles] = useState([])
+
+  useEffect(() => {
+    if (!enabled) return
+
+    let isCurrent = true
+    getPopularSearchTerms(query, APP_CONFIG.SUGGESTIONS_PER_GROUP).then((terms) => {
+      if (isCurrent) setPopular(terms)
+    })
+
+    return () => {
+      isCurrent = false
+    }
+  }, [query, enabled])
+
+  useEffect(() => {
+    if (!enabled || query.length < APP_CONFIG.SEARCH_MIN_LENGTH) {
+      setTitles([])
+      return
+    }
+
+    const controller = new AbortController()
+
+    const search = { movie: tmdb.searchMovies, tv: tmdb.searchTv, all: tmdb.searchMulti }[mediaType] || tmdb.searchMovies
+
+    search(query, {}, { signal: controller.signal })
+      .then((data) => {
+        if (controller.signal.aborted) return
+        setTitles((data.results || [])
+          .filter(isTitleResult)
+          .slice(0, APP_CONFIG.SUGGESTIONS_PER_GROUP)
+          .map(item => ({
+            id: item.id,
+            mediaType: mediaType === 'all' ? getMediaType(item) : mediaType,
+            title: getMediaTitle(item),
+            year: formatReleaseDate(getMediaDate(item), null)
+          })))
+      })
+      .catch((error) => {
+        if (!controller.signal.aborted) {
+          console.warn('Error fetching title suggestions:', error.message)
+          setTitles([])
+        }
+      })
+
+    return () => {
+      controller.abort()
+    }
+  }, [query, enabled, mediaType])
+
+  return { popular, titles }
+}
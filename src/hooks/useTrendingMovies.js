@@ -0,0 +1,69 @@
+import { useEffect, useState } from 'react'
+import { getTrendingMovies, subscribeToTrending, supportsTrendingWindows } from '../searchStore.js'
+import { APP_CONFIG } from '../constants.js'
+
+/**
+ * Custom hook that loads trending movies and keeps them live
+ * Realtime updates arrive in bursts (one search writes several documents), so reloads
+ * wait for a quiet moment, but never longer than TRENDING_REFRESH_MAX_WAIT_MS
+ * @param {string} timeWindow - A SEARCH_TRENDING_WINDOWS key, ignored when the store can't limit trending
+ * @param {Object} options - Hook options
+ * @param {number} options.revision - Change to reload and resubscribe (e.g. after the store changed)
+ * @returns {{movies: Object[], isWindowEnabled: boolean}} Trending movies, best first, and whether
+ *   the store in use honours `timeWindow`
+ */
+export const useTrendingMovies = (timeWindow, { revision = 0 } = {}) => {
+  const [movies, setMovies] = useState([])
+  const [isWindowEnabled, setIsWindowEnabled] = useState(false)
+
+  useEffect(() => {
+    let isCurrent = true
+    let latestRequest = 0
+    let timer = null
+    let firstUpdateAt = null
+
+    const load = async () => {
+      const request = ++latestRequest
+      try {
+        // The store may have changed since the last load (see `revision`)
+        const windowEnabled = await supportsTrendingWindows()
+        const result = await getTrendingMovies(APP_CONFIG.MAX_TRENDING_COUNT, {
+          window: windowEnabled ? timeWindow : 'all'
+        })
+        // A slower earlier request mustn't overwrite a newer ranking
+        if (isCurrent && request === latestRequest) {
+          setMovies(result)
+          setIsWindowEnabled(windowEnabled)
+        }
+      } catch (error) {
+        console.error(`Error fetching trending movies: ${error}`)
+      }
+    }
+
+    const scheduleLoad = () => {
+      const now = Date.now()
+      firstUpdateAt ??= now
+      clearTimeout(timer)
+
+      const wait = Math.min(
+        APP_CONFIG.TRENDING_REFRESH_DEBOUNCE_MS,
+        firstUpdateAt + APP_CONFIG.TRENDING_REFRESH_MAX_WAIT_MS - now
+      )
+      timer = setTimeout(() => {
+        firstUpdateAt = null
+        load()
+      }, Math.max(0, wait))
+    }
+
+    load()
+    const unsubscribe = subscribeToTrending(scheduleLoad)
+
+    return () => {
+      isCurrent = false
+      clearTimeout(timer)
+      unsubscribe()
+    }
+  }, [timeWindow, revision])
+
+  return { movies, isWindowEnabled }
+}
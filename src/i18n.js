@@ -0,0 +1,154 @@
+import en from './locales/en.js'
+import es from './locales/es.js'
+import fr from './locales/fr.js'
+import { DEFAULT_LOCALE, FALLBACK_LOCALE, LOCALES, STORAGE_KEYS } from './constants.js'
+import { getLocalStorage } from './utils.js'
+
+// Message catalogs by language (the part of a locale before the region)
+const CATALOGS = { en, es, fr }
+
+const LOCALE_EVENT = 'app:locale'
+
+const storage = getLocalStorage()
+
+// Keys already reported missing, so a re-rendering component doesn't flood the console
+const reportedMissing = new Set()
+
+const getLanguage = (locale) => locale.split('-')[0]
+
+/**
+ * Pick the supported locale closest to a list of preferred ones
+ * An exact match wins, then the first of LOCALES in the same language
+ * @param {string[]} preferred - BCP 47 tags, most preferred first (e.g. navigator.languages)
+ * @returns {string|null} LOCALES key, or null when none match
+ */
+export const matchLocale = (preferred = []) => {
+  const supported = Object.keys(LOCALES)
+
+  for (const tag of preferred) {
+    if (typeof tag !== 'string' || !tag) continue
+    const exact = supported.find(locale => locale.toLowerCase() === tag.toLowerCase())
+    if (exact) return exact
+
+    const language = getLanguage(tag).toLowerCase()
+    const sameLanguage = supported.find(locale => getLanguage(locale) === language)
+    if (sameLanguage) return sameLanguage
+  }
+
+  return null
+}
+
+// The saved choice, else the browser's languages
+const readLocale = () => {
+  const stored = storage?.getItem(STORAGE_KEYS.LOCALE)
+  if (LOCALES[stored]) return stored
+
+  const preferred = typeof navigator !== 'undefined'
+    ? navigator.languages || [navigator.language]
+    : []
+  return matchLocale(preferred) || DEFAULT_LOCALE
+}
+
+const applyLocale = (locale) => {
+  currentLocale = locale
+  if (typeof document !== 'undefined') document.documentElement.lang = locale
+}
+
+let currentLocale = DEFAULT_LOCALE
+applyLocale(readLocale())
+
+// Another tab picked a language: follow it
+if (storage && typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEYS.LOCALE) return
+    const locale = readLocale()
+    if (locale === currentLocale) return
+    applyLocale(locale)
+    window.dispatchEvent(new Event(LOCALE_EVENT))
+  })
+}
+
+/**
+ * Get the current locale
+ * @returns {string} LOCALES key
+ */
+export const getLocale = () => currentLocale
+
+/**
+ * Switch locale, remembering the choice in this browser
+ * @param {string} locale - LOCALES key
+ * @throws {Error} When the locale isn't supported
+ */
+export const setLocale = (locale) => {
+  if (!LOCALES[locale]) throw new Error(`Unsupported locale "${locale}"`)
+  if (locale === currentLocale) return
+
+  try {
+    storage?.setItem(STORAGE_KEYS.LOCALE, locale)
+  } catch (error) {
+    console.warn('Could not save the language:', error.message)
+  }
+  applyLocale(locale)
+  if (typeof window !== 'undefined') window.dispatchEvent(new Event(LOCALE_EVENT))
+}
+
+/**
+ * Listen for locale changes from this tab or others
+ * @param {Function} callback - Called after each change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToLocale = (callback) => {
+  window.addEventListener(LOCALE_EVENT, callback)
+  return () => {
+    window.removeEventListener(LOCALE_EVENT, callback)
+  }
+}
+
+const lookup = (catalog, key) => key.split('.').reduce((value, part) => value?.[part], catalog)
+
+const interpolate = (message, params) => message.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] === undefined ? match : String(params[name])
+))
+
+/**
+ * Check whether a message exists in the current or fallback catalog
+ * @param {string} key - Dot-separated message key (e.g. 'authErrors.user_blocked')
+ * @returns {boolean} True when t() would find it
+ */
+export const hasMessage = (key) => (
+  [currentLocale, FALLBACK_LOCALE].some(locale => lookup(CATALOGS[getLanguage(locale)], key) !== undefined)
+)
+
+/**
+ * Translate a message for the current locale
+ * Reads the catalog for the locale's language, then the FALLBACK_LOCALE one
+ * @param {string} key - Dot-separated message key (e.g. 'errors.NETWORK_ERROR')
+ * @param {Object} params - Values for `{name}` placeholders
+ * @returns {string|string[]} Message (lists such as suggestions come back as arrays),
+ *   or the key itself when no catalog has it
+ */
+export const t = (key, params) => {
+  const message = [currentLocale, FALLBACK_LOCALE]
+    .map(locale => lookup(CATALOGS[getLanguage(locale)], key))
+    .find(value => value !== undefined)
+
+  if (message === undefined) {
+    if (!reportedMissing.has(key)) {
+      reportedMissing.add(key)
+      console.warn(`Missing message "${key}"`)
+    }
+    return key
+  }
+
+  return typeof message === 'string' && params ? interpolate(message, params) : message
+}
+
+/**
+ * TMDB `language` and `region` parameters for a locale
+ * @param {string} locale - LOCALES key (default: current locale)
+ * @returns {{language: string, region: string}} Parameters
+ */
+export const getTmdbLocaleParams = (locale = currentLocale) => ({
+  language: locale,
+  region: locale.split('-')[1]
+})
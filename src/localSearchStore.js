@@ -0,0 +1,272 @@
+import {
+  getDayBucket,
+  getMovieFields,
+  getSignalCounts,
+  normalizeSearchTerm,
+  scoreDailyCounts,
+  toTrendingMovie
+} from './searchCounts.js'
+import { summarizeSearchStats } from './searchStats.js'
+import {
+  APP_CONFIG,
+  MOVIE_SIGNAL_WEIGHTS,
+  SEARCH_TRENDING_WINDOWS,
+  STORAGE_KEYS
+} from './constants.js'
+import { getLocalStorage, getMediaKey } from './utils.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Daily counters older than the longest window or the insights chart are never read
+const DAILY_RETENTION_DAYS = Math.max(
+  APP_CONFIG.STATS_DAYS,
+  ...Object.values(SEARCH_TRENDING_WINDOWS).map(window => window.days || 0)
+)
+
+const getEmptyState = () => ({ terms: {}, movies: {}, daily: {} })
+
+/**
+ * Create a search store kept in the browser (or only in memory)
+ * Documents have the same fields as the Appwrite collections, so trending and insights
+ * are computed the same way. Meant for local development, tests and running without
+ * an Appwrite project; counts are per browser.
+ * @param {Object} options - Store options
+ * @param {Storage|null} options.storage - Storage to persist to (default: localStorage, null for memory only)
+ * @param {string} options.storageKey - Storage key (default: STORAGE_KEYS.SEARCH_COUNTS)
+ * @param {number} options.maxTerms - Search terms kept before the least recently searched are dropped
+ * @param {Function} options.now - Clock, injectable for tests
+ * @returns {Object} Search store (see searchStore.js)
+ */
+export const createLocalSearchStore = ({
+  storage = getLocalStorage(),
+  storageKey = STORAGE_KEYS.SEARCH_COUNTS,
+  maxTerms = APP_CONFIG.LOCAL_MAX_SEARCH_TERMS,
+  now = Date.now
+} = {}) => {
+  let state = getEmptyState()
+  const listeners = new Set()
+
+  const load = () => {
+    if (!storage) return
+
+    try {
+      const stored = JSON.parse(storage.getItem(storageKey) || 'null')
+      state = stored && typeof stored === 'object' ? { ...getEmptyState(), ...stored } : getEmptyState()
+    } catch (error) {
+      console.warn('Ignoring unreadable search counts:', error.message)
+      storage.removeItem(storageKey)
+    }
+  }
+
+  const prune = () => {
+    const oldestDay = getDayBucket(now() - DAILY_RETENTION_DAYS * DAY_MS)
+    for (const [id, doc] of Object.entries(state.daily)) {
+      if (doc.day < oldestDay) delete state.daily[id]
+    }
+
+    const terms = Object.values(state.terms)
+    if (terms.length > maxTerms) {
+      terms
+        .sort((a, b) => Date.parse(a.lastSearched) - Date.parse(b.lastSearched))
+        .slice(0, terms.length - maxTerms)
+        .forEach((doc) => {
+          delete state.terms[doc.searchTerm]
+        })
+    }
+  }
+
+  const save = () => {
+    prune()
+
+    try {
+      storage?.setItem(storageKey, JSON.stringify(state))
+    } catch (error) {
+      console.warn('Could not save search counts:', error.message)
+    }
+    listeners.forEach(listener => listener())
+  }
+
+  load()
+
+  // Another tab counted a search: pick up its copy so ours doesn't overwrite it
+  if (storage && typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== storageKey) return
+      load()
+      listeners.forEach(listener => listener())
+    })
+  }
+
+  const countMovie = (documents, id, movie, signal, term, extraFields) => {
+    const timestamp = new Date(now()).toISOString()
+    const existing = documents[id]
+
+    if (!existing) {
+      documents[id] = {
+        ...getMovieFields(movie),
+        ...extraFields,
+        score: MOVIE_SIGNAL_WEIGHTS[signal],
+        ...getSignalCounts(signal),
+        searchTerms: term ? [term] : [],
+        lastActivity: timestamp
+      }
+      return documents[id]
+    }
+
+    documents[id] = {
+      ...existing,
+      ...getMovieFields(movie),
+      score: existing.score + MOVIE_SIGNAL_WEIGHTS[signal],
+      [`${signal}Count`]: (existing[`${signal}Count`] || 0) + 1,
+      searchTerms: term
+        ? [term, ...existing.searchTerms.filter(item => item !== term)].slice(0, APP_CONFIG.MAX_TERMS_PER_MOVIE)
+        : existing.searchTerms,
+      lastActivity: timestamp
+    }
+    return documents[id]
+  }
+
+  /**
+   * Count an interaction with a movie towards trending
+   * @param {Object} movie - TMDB movie
+   * @param {'search'|'open'|'click'} signal - Kind of interaction (see MOVIE_SIGNAL_WEIGHTS)
+   * @param {string} searchTerm - Search that led to the movie, if any
+   * @returns {Promise<Object|null>} The all-time movie document
+   */
+  const recordMovieSignal = async (movie, signal, searchTerm = '') => {
+    if (!movie?.id) return null
+    if (!MOVIE_SIGNAL_WEIGHTS[signal]) throw new Error(`Unknown movie signal "${signal}"`)
+
+    const term = normalizeSearchTerm(searchTerm)
+    const day = getDayBucket(now())
+    const key = getMediaKey(movie)
+    countMovie(state.daily, `${key}_${day}`, movie, signal, term, { day })
+    const doc = countMovie(state.movies, key, movie, signal, term)
+    save()
+    return doc
+  }
+
+  /**
+   * Count one search for a term
+   * @param {string} searchTerm - The search term
+   * @param {Object|null} movie - The top movie from TMDB, or null when the search found nothing
+   * @returns {Promise<Object|null>} The updated or created document
+   */
+  const updateSearchCount = async (searchTerm, movie) => {
+    const term = normalizeSearchTerm(searchTerm)
+    if (!term) return null
+
+    if (movie) await recordMovieSignal(movie, 'search', term)
+
+    const timestamp = new Date(now()).toISOString()
+    const existing = state.terms[term] || {
+      searchTerm: term,
+      count: 0,
+      zeroResultCount: 0,
+      firstSearched: timestamp
+    }
+    state.terms[term] = {
+      ...existing,
+      ...(movie && getMovieFields(movie)),
+      count: existing.count + 1,
+      zeroResultCount: existing.zeroResultCount + (movie ? 0 : 1),
+      lastSearched: timestamp
+    }
+    save()
+    return state.terms[term]
+  }
+
+  /**
+   * Get trending movies, one entry per movie, with the search terms that found it
+   * @param {number} limit - Number of trending movies to return (default: 10)
+   * @param {Object} options - Options
+   * @param {string} options.window - A SEARCH_TRENDING_WINDOWS key (default: 'all')
+   * @returns {Promise<Array>} Array of trending movies
+   */
+  const getTrendingMovies = async (limit = 10, { window: timeWindow = 'all' } = {}) => {
+    const windowConfig = SEARCH_TRENDING_WINDOWS[timeWindow]
+    const docs = windowConfig?.days
+      ? scoreDailyCounts(Object.values(state.daily), windowConfig, now())
+      : Object.values(state.movies).sort((a, b) => b.score - a.score)
+
+    return docs.slice(0, limit).map(toTrendingMovie)
+  }
+
+  /**
+   * Get the most searched terms, optionally only those starting with a prefix
+   * @param {string} prefix - Prefix to match (default: '' for all terms)
+   * @param {number} limit - Number of terms to return (default: 5)
+   * @returns {Promise<string[]>} Search terms, most searched first
+   */
+  const getPopularSearchTerms = async (prefix = '', limit = 5) => {
+    const sanitizedPrefix = normalizeSearchTerm(prefix)
+
+    return Object.values(state.terms)
+      .filter(doc => doc.searchTerm.startsWith(sanitizedPrefix))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit)
+      .map(doc => doc.searchTerm)
+  }
+
+  /**
+   * Get search statistics
+   * @param {Object} options - Options
+   * @param {number} options.days - Days of daily activity to include (default: APP_CONFIG.STATS_DAYS)
+   * @returns {Promise<Object>} Search statistics (see summarizeSearchStats)
+   */
+  const getSearchStats = async ({ days = APP_CONFIG.STATS_DAYS } = {}) => summarizeSearchStats({
+    termDocs: Object.values(state.terms),
+    movieDocs: Object.values(state.movies),
+    dailyDocs: Object.values(state.daily),
+    days,
+    now: now()
+  })
+
+  /**
+   * Delete search terms not repeated for a while
+   * @param {number} daysOld - Delete terms last searched more than this many days ago
+   * @returns {Promise<number>} Number of deleted terms
+   */
+  const clearOldSearches = async (daysOld = 90) => {
+    const cutoff = now() - daysOld * DAY_MS
+    const expired = Object.values(state.terms).filter(doc => Date.parse(doc.lastSearched) < cutoff)
+
+    expired.forEach((doc) => {
+      delete state.terms[doc.searchTerm]
+    })
+    save()
+    return expired.length
+  }
+
+  /**
+   * Listen for count changes from this tab or others
+   * @param {Function} callback - Called after each change
+   * @returns {Function} Unsubscribe function
+   */
+  const subscribe = (callback) => {
+    listeners.add(callback)
+    return () => {
+      listeners.delete(callback)
+    }
+  }
+
+  /**
+   * Forget every count (e.g. between tests)
+   */
+  const clear = () => {
+    state = getEmptyState()
+    storage?.removeItem(storageKey)
+  }
+
+  return {
+    supportsTrendingWindows: true,
+    updateSearchCount,
+    recordMovieSignal,
+    getTrendingMovies,
+    getPopularSearchTerms,
+    getSearchStats,
+    clearOldSearches,
+    subscribe,
+    clear
+  }
+}
@@ -0,0 +1,372 @@
+// English messages: the fallback catalog, so every key used in the app must exist here.
+// `{name}` placeholders are filled in by t() (see i18n.js)
+export default {
+  // By TmdbError code, plus app-level errors
+  errors: {
+    NETWORK_ERROR: 'Network error. Please check your connection and try again.',
+    OFFLINE: 'You appear to be offline. Reconnect and try again.',
+    API_KEY_MISSING: 'TMDB API key is not configured. Please check your environment variables.',
+    API_KEY_INVALID: 'Invalid API credentials. Please check your TMDB API key.',
+    RATE_LIMIT: 'Too many requests. Please wait a moment and try again.',
+    SERVER_ERROR: 'Server error. Please try again later.',
+    NO_RESULTS: 'No movies found. Try different keywords.',
+    NO_FILTER_MATCHES: 'No movies match these filters.',
+    GENERIC_ERROR: 'Something went wrong. Please try again.',
+    APPWRITE_CONFIG: 'Database configuration error. Please check your Appwrite settings.',
+    APPWRITE_UNREACHABLE: 'Can\'t reach the Appwrite server. Searches are only being counted in this browser.',
+    APPWRITE_COLLECTION: 'The Appwrite search collection can\'t be read. Searches are only being counted in this browser.'
+  },
+
+  // Account errors by Appwrite error type
+  authErrors: {
+    user_invalid_credentials: 'Incorrect email or password.',
+    user_already_exists: 'An account with this email already exists.',
+    user_email_already_exists: 'An account with this email already exists.',
+    user_blocked: 'This account has been blocked.',
+    user_invalid_token: 'This reset link is invalid or has expired. Request a new one.',
+    user_password_recently_used: 'Choose a password you haven\'t used recently.',
+    user_password_personal_data: 'Your password can\'t contain your name or email.',
+    general_rate_limit_exceeded: 'Too many attempts. Please wait a moment and try again.',
+    user_unauthorized: 'Please sign in again.',
+    user_session_already_exists: 'You\'re signed in as a guest. Signing in to another account ends the guest session, and the movies saved in it are lost for good, even if the sign-in then fails.'
+  },
+
+  success: {
+    MOVIES_LOADED: 'Movies loaded successfully',
+    SEARCH_UPDATED: 'Search count updated',
+    TRENDING_LOADED: 'Trending movies loaded'
+  },
+
+  loading: {
+    GENERIC: 'Loading...',
+    SEARCHING: 'Searching for movies...',
+    LOADING_POPULAR: 'Loading popular movies...',
+    LOADING_TRENDING: 'Loading trending movies...',
+    MOVIES: 'Loading movies...',
+    RETRYING: 'Retrying...',
+    SUBMITTING: 'Please wait...'
+  },
+
+  // ErrorMessage titles and default suggestions by ERROR_TYPES value
+  errorTypes: {
+    offline: {
+      title: 'You\'re Offline',
+      suggestions: ['Check your internet connection', 'We\'ll be ready when you reconnect']
+    },
+    network: {
+      title: 'Connection Problem',
+      suggestions: ['Check your internet connection', 'Try refreshing the page']
+    },
+    search: {
+      title: 'No Results Found',
+      suggestions: ['Try different keywords', 'Check for typos']
+    },
+    auth: {
+      title: 'Not Authorized',
+      suggestions: ['Check the TMDB API key in your environment variables']
+    },
+    'rate-limit': {
+      title: 'Slow Down a Little',
+      suggestions: ['Too many requests were sent in a short time', 'Wait a moment before trying again']
+    },
+    config: {
+      title: 'Setup Problem',
+      suggestions: ['Check your environment variables']
+    },
+    server: {
+      title: 'Server Error',
+      suggestions: ['The service is temporarily unavailable', 'Please try again in a moment']
+    },
+    general: {
+      title: 'Something went wrong',
+      suggestions: []
+    }
+  },
+
+  errorMessage: {
+    suggestionsHeading: 'Try these suggestions:',
+    tryAgain: 'Try Again',
+    tryAgainIn: 'Try Again in {seconds}s',
+    dismiss: 'Dismiss'
+  },
+
+  // Appwrite health check advice
+  health: {
+    setEnvVars: 'Set {names} in .env.local',
+    checkEndpoint: 'Check that {endpoint} is the right endpoint (VITE_APPWRITE_ENDPOINT)',
+    acceptCertificate: 'Open {url} in this browser and accept its certificate',
+    addPlatform: 'Add this site as a web platform in your Appwrite project, so requests aren\'t blocked',
+    grantRead: 'Give the "any" role read access to the search collection',
+    checkIds: 'Check VITE_APPWRITE_PROJECT_ID, VITE_APPWRITE_DATABASE_ID and VITE_APPWRITE_COLLECTION_ID'
+  },
+
+  common: {
+    notAvailable: 'N/A',
+    ratingIcon: 'Star Icon',
+    close: 'Close'
+  },
+
+  nav: {
+    label: 'Main',
+    browse: 'Browse',
+    myList: 'My List',
+    language: 'Language'
+  },
+
+  hero: {
+    imageAlt: 'Hero Banner',
+    titleStart: 'Find',
+    titleHighlight: 'Movies',
+    titleEnd: 'You\'ll Enjoy Without the Hassle'
+  },
+
+  search: {
+    iconAlt: 'search',
+    label: 'Search movies',
+    placeholder: 'Search through thousands of movies',
+    suggestions: 'Search suggestions',
+    recent: 'Recent searches',
+    popular: 'Popular searches',
+    titles: 'Movies',
+    titlesTv: 'TV Shows',
+    titlesAll: 'Movies & TV',
+    clearRecent: 'Clear',
+    removeRecent: 'Remove "{term}" from recent searches',
+    removeRecentHint: 'Press Delete to remove the highlighted recent search'
+  },
+
+  trending: {
+    title: 'Trending Movies',
+    subtitle: 'Most searched by our users',
+    windowLabel: 'Trending time window',
+    empty: 'No searches in this time window yet.',
+    searchedAs: 'Searched as: {terms}',
+    windows: {
+      '24h': '24 Hours',
+      '7d': '7 Days',
+      '30d': '30 Days',
+      all: 'All Time'
+    }
+  },
+
+  mediaTypes: {
+    label: 'Show',
+    movie: 'Movies',
+    tv: 'TV Shows',
+    all: 'All'
+  },
+
+  feeds: {
+    label: 'Browse movies',
+    windowLabel: 'Trending time window',
+    searchResults: 'Search Results',
+    trendingTitle: 'Trending {window}',
+    discover: 'All Movies',
+    discoverTv: 'All TV Shows',
+    discoverAll: 'Movies & TV',
+    popular: 'Popular',
+    top_rated: 'Top Rated',
+    upcoming: 'Upcoming',
+    on_the_air: 'On the Air',
+    trending: 'TMDB Trending',
+    windows: {
+      day: 'Today',
+      week: 'This Week'
+    }
+  },
+
+  filters: {
+    toggle: 'Filters',
+    sortBy: 'Sort by',
+    clearAll: 'Clear all',
+    genres: 'Genres',
+    yearFrom: 'From year',
+    yearTo: 'To year',
+    minRating: 'Min rating',
+    minVotes: 'Min votes',
+    language: 'Language',
+    any: 'Any'
+  },
+
+  sort: {
+    popularity: 'Most Popular',
+    rating: 'Highest Rated',
+    newest: 'Newest',
+    oldest: 'Oldest',
+    revenue: 'Highest Grossing',
+    title: 'Title (A-Z)'
+  },
+
+  card: {
+    details: 'Details',
+    trailer: '▶ Trailer',
+    genres: 'Genres',
+    tv: 'TV'
+  },
+
+  details: {
+    label: 'Movie details',
+    close: 'Close details',
+    watchTrailer: '▶ Watch Trailer',
+    topCast: 'Top Cast',
+    similar: 'Similar Movies',
+    labelTv: 'TV show details',
+    similarTv: 'Similar Shows',
+    seasonCount: 'Seasons: {count}',
+    episodeCount: 'Episodes: {count}'
+  },
+
+  seasons: {
+    title: 'Seasons',
+    select: 'Season',
+    episodeNumber: 'E{number}',
+    noEpisodes: 'No episodes listed for this season yet.'
+  },
+
+  people: {
+    title: 'People',
+    knownFor: 'Known for {titles}'
+  },
+
+  // TMDB departments, by the English name TMDB sends (known_for_department)
+  departments: {
+    Acting: 'Acting',
+    Directing: 'Directing',
+    Writing: 'Writing',
+    Production: 'Production',
+    Creator: 'Creator',
+    Camera: 'Camera',
+    Editing: 'Editing',
+    Sound: 'Sound',
+    Art: 'Art',
+    'Costume & Make-Up': 'Costume & Make-Up',
+    'Visual Effects': 'Visual Effects',
+    Lighting: 'Lighting',
+    Crew: 'Crew'
+  },
+
+  person: {
+    label: 'Person details',
+    born: 'Born {date}',
+    bornIn: 'Born {date} in {place}',
+    died: 'Died {date}',
+    biography: 'Biography',
+    noBiography: 'No biography available.',
+    readMore: 'Read more',
+    showLess: 'Show less',
+    knownFor: 'Known For',
+    credits: 'Movie Credits ({count})',
+    sortBy: 'Sort credits',
+    noCredits: 'No movie credits yet.',
+    sort: {
+      year: 'Newest first',
+      rating: 'Highest rated'
+    }
+  },
+
+  listActions: {
+    watchlist: 'Watchlist',
+    favorite: 'Favorite',
+    watched: 'Watched',
+    addToWatchlist: 'Add to watchlist',
+    removeFromWatchlist: 'Remove from watchlist',
+    addToFavorites: 'Add to favorites',
+    removeFromFavorites: 'Remove from favorites',
+    markWatched: 'Mark as watched',
+    markUnwatched: 'Mark as unwatched'
+  },
+
+  myList: {
+    title: 'My List',
+    statusLabel: 'Watched status',
+    noneWithStatus: 'Nothing here with this status.',
+    empty: {
+      watchlist: 'Your watchlist is empty. Use the buttons on any movie to add it.',
+      favorite: 'You have no favorites yet. Use the buttons on any movie to add one.'
+    },
+    views: {
+      watchlist: 'Watchlist',
+      favorite: 'Favorites'
+    },
+    statuses: {
+      all: 'All',
+      unwatched: 'Unwatched',
+      watched: 'Watched'
+    },
+    sort: {
+      added: 'Recently Added',
+      title: 'Title (A-Z)',
+      release: 'Release Date',
+      rating: 'Highest Rated'
+    }
+  },
+
+  account: {
+    signIn: 'Sign In',
+    guest: 'Guest',
+    insights: 'Insights',
+    saveAccount: 'Save Account',
+    signOut: 'Sign Out'
+  },
+
+  auth: {
+    titles: {
+      login: 'Sign In',
+      signup: 'Create Account',
+      recover: 'Reset Password'
+    },
+    guestHint: 'Your saved movies will move to your new account.',
+    name: 'Name',
+    email: 'Email',
+    password: 'Password',
+    recoverySent: 'If an account exists for that email, a reset link is on its way.',
+    forgotPassword: 'Forgot password?',
+    createAccount: 'Create an account',
+    backToSignIn: 'Back to sign in',
+    continueAsGuest: 'Continue as guest',
+    replaceGuest: 'End guest session and sign in'
+  },
+
+  resetPassword: {
+    title: 'Reset Password',
+    mismatch: 'Passwords don\'t match.',
+    incompleteLink: 'This reset link is incomplete. Request a new one from the sign in form.',
+    done: 'Your password has been changed.',
+    backToMovies: 'Back to movies',
+    newPassword: 'New password',
+    confirmPassword: 'Confirm password',
+    submit: 'Set Password'
+  },
+
+  insights: {
+    title: 'Search Insights',
+    adminOnly: 'Search insights are only available to admins.',
+    totalSearches: 'Total searches',
+    uniqueTerms: 'Unique terms',
+    zeroResultSearches: 'No results',
+    clickRate: 'Search-to-click rate',
+    chartLabel: 'Searches per day',
+    barTitle: '{day}: {searches} searches, {clicks} clicks',
+    exportCsv: 'Export CSV',
+    empty: 'Nothing recorded yet.',
+    tables: {
+      topTerms: 'Top Searches',
+      zeroResultTerms: 'Searches With No Results',
+      topMovies: 'Top Movies',
+      daily: 'Last {days} Days'
+    },
+    columns: {
+      searchTerm: 'Search term',
+      searches: 'Searches',
+      noResults: 'No results',
+      topResult: 'Top result',
+      times: 'Times',
+      lastSearched: 'Last searched',
+      movie: 'Movie',
+      opens: 'Opens',
+      clicks: 'Clicks',
+      searchTerms: 'Search terms',
+      day: 'Day'
+    }
+  }
+}
@@ -0,0 +1,366 @@
+// Spanish messages (keys missing here fall back to en.js)
+export default {
+  errors: {
+    NETWORK_ERROR: 'Error de red. Comprueba tu conexión e inténtalo de nuevo.',
+    OFFLINE: 'Parece que no tienes conexión. Vuelve a conectarte e inténtalo de nuevo.',
+    API_KEY_MISSING: 'La clave de la API de TMDB no está configurada. Revisa tus variables de entorno.',
+    API_KEY_INVALID: 'Credenciales de la API no válidas. Revisa tu clave de la API de TMDB.',
+    RATE_LIMIT: 'Demasiadas solicitudes. Espera un momento e inténtalo de nuevo.',
+    SERVER_ERROR: 'Error del servidor. Inténtalo de nuevo más tarde.',
+    NO_RESULTS: 'No se encontraron películas. Prueba con otras palabras.',
+    NO_FILTER_MATCHES: 'Ninguna película coincide con estos filtros.',
+    GENERIC_ERROR: 'Algo salió mal. Inténtalo de nuevo.',
+    APPWRITE_CONFIG: 'Error de configuración de la base de datos. Revisa los ajustes de Appwrite.',
+    APPWRITE_UNREACHABLE: 'No se puede conectar con el servidor de Appwrite. Las búsquedas solo se cuentan en este navegador.',
+    APPWRITE_COLLECTION: 'No se puede leer la colección de búsquedas de Appwrite. Las búsquedas solo se cuentan en este navegador.'
+  },
+
+  authErrors: {
+    user_invalid_credentials: 'Correo electrónico o contraseña incorrectos.',
+    user_already_exists: 'Ya existe una cuenta con este correo electrónico.',
+    user_email_already_exists: 'Ya existe una cuenta con este correo electrónico.',
+    user_blocked: 'Esta cuenta ha sido bloqueada.',
+    user_invalid_token: 'Este enlace para restablecer la contraseña no es válido o ha caducado. Solicita uno nuevo.',
+    user_password_recently_used: 'Elige una contraseña que no hayas usado recientemente.',
+    user_password_personal_data: 'Tu contraseña no puede contener tu nombre ni tu correo electrónico.',
+    general_rate_limit_exceeded: 'Demasiados intentos. Espera un momento e inténtalo de nuevo.',
+    user_unauthorized: 'Vuelve a iniciar sesión.',
+    user_session_already_exists: 'Has iniciado sesión como invitado. Al entrar en otra cuenta se cierra la sesión de invitado y las películas guardadas en ella se pierden para siempre, aunque luego falle el inicio de sesión.'
+  },
+
+  success: {
+    MOVIES_LOADED: 'Películas cargadas',
+    SEARCH_UPDATED: 'Recuento de búsquedas actualizado',
+    TRENDING_LOADED: 'Películas en tendencia cargadas'
+  },
+
+  loading: {
+    GENERIC: 'Cargando...',
+    SEARCHING: 'Buscando películas...',
+    LOADING_POPULAR: 'Cargando películas populares...',
+    LOADING_TRENDING: 'Cargando películas en tendencia...',
+    MOVIES: 'Cargando películas...',
+    RETRYING: 'Reintentando...',
+    SUBMITTING: 'Espera un momento...'
+  },
+
+  errorTypes: {
+    offline: {
+      title: 'Sin conexión',
+      suggestions: ['Comprueba tu conexión a internet', 'Todo estará listo cuando vuelvas a conectarte']
+    },
+    network: {
+      title: 'Problema de conexión',
+      suggestions: ['Comprueba tu conexión a internet', 'Prueba a recargar la página']
+    },
+    search: {
+      title: 'Sin resultados',
+      suggestions: ['Prueba con otras palabras', 'Revisa la ortografía']
+    },
+    auth: {
+      title: 'No autorizado',
+      suggestions: ['Revisa la clave de la API de TMDB en tus variables de entorno']
+    },
+    'rate-limit': {
+      title: 'Más despacio',
+      suggestions: ['Se enviaron demasiadas solicitudes en poco tiempo', 'Espera un momento antes de volver a intentarlo']
+    },
+    config: {
+      title: 'Problema de configuración',
+      suggestions: ['Revisa tus variables de entorno']
+    },
+    server: {
+      title: 'Error del servidor',
+      suggestions: ['El servicio no está disponible temporalmente', 'Inténtalo de nuevo en un momento']
+    },
+    general: {
+      title: 'Algo salió mal',
+      suggestions: []
+    }
+  },
+
+  errorMessage: {
+    suggestionsHeading: 'Prueba lo siguiente:',
+    tryAgain: 'Reintentar',
+    tryAgainIn: 'Reintentar en {seconds} s',
+    dismiss: 'Descartar'
+  },
+
+  health: {
+    setEnvVars: 'Define {names} en .env.local',
+    checkEndpoint: 'Comprueba que {endpoint} es el endpoint correcto (VITE_APPWRITE_ENDPOINT)',
+    acceptCertificate: 'Abre {url} en este navegador y acepta su certificado',
+    addPlatform: 'Añade este sitio como plataforma web en tu proyecto de Appwrite para que no se bloqueen las solicitudes',
+    grantRead: 'Da al rol "any" acceso de lectura a la colección de búsquedas',
+    checkIds: 'Revisa VITE_APPWRITE_PROJECT_ID, VITE_APPWRITE_DATABASE_ID y VITE_APPWRITE_COLLECTION_ID'
+  },
+
+  common: {
+    notAvailable: 'N/D',
+    ratingIcon: 'Icono de estrella',
+    close: 'Cerrar'
+  },
+
+  nav: {
+    label: 'Principal',
+    browse: 'Explorar',
+    myList: 'Mi lista',
+    language: 'Idioma'
+  },
+
+  hero: {
+    imageAlt: 'Banner principal',
+    titleStart: 'Encuentra',
+    titleHighlight: 'películas',
+    titleEnd: 'que disfrutarás sin complicaciones'
+  },
+
+  search: {
+    iconAlt: 'buscar',
+    label: 'Buscar películas',
+    placeholder: 'Busca entre miles de películas',
+    suggestions: 'Sugerencias de búsqueda',
+    recent: 'Búsquedas recientes',
+    popular: 'Búsquedas populares',
+    titles: 'Películas',
+    titlesTv: 'Series',
+    titlesAll: 'Películas y series',
+    clearRecent: 'Borrar',
+    removeRecent: 'Quitar "{term}" de las búsquedas recientes',
+    removeRecentHint: 'Pulsa Supr para quitar la búsqueda reciente resaltada'
+  },
+
+  trending: {
+    title: 'Películas en tendencia',
+    subtitle: 'Las más buscadas por nuestros usuarios',
+    windowLabel: 'Periodo de tendencia',
+    empty: 'Todavía no hay búsquedas en este periodo.',
+    searchedAs: 'Buscada como: {terms}',
+    windows: {
+      '24h': '24 horas',
+      '7d': '7 días',
+      '30d': '30 días',
+      all: 'Siempre'
+    }
+  },
+
+  mediaTypes: {
+    label: 'Mostrar',
+    movie: 'Películas',
+    tv: 'Series',
+    all: 'Todo'
+  },
+
+  feeds: {
+    label: 'Explorar películas',
+    windowLabel: 'Periodo de tendencia',
+    searchResults: 'Resultados de búsqueda',
+    trendingTitle: 'Tendencias: {window}',
+    discover: 'Todas las películas',
+    discoverTv: 'Todas las series',
+    discoverAll: 'Películas y series',
+    popular: 'Populares',
+    top_rated: 'Mejor valoradas',
+    upcoming: 'Próximamente',
+    on_the_air: 'En emisión',
+    trending: 'Tendencias de TMDB',
+    windows: {
+      day: 'Hoy',
+      week: 'Esta semana'
+    }
+  },
+
+  filters: {
+    toggle: 'Filtros',
+    sortBy: 'Ordenar por',
+    clearAll: 'Borrar todo',
+    genres: 'Géneros',
+    yearFrom: 'Desde el año',
+    yearTo: 'Hasta el año',
+    minRating: 'Valoración mínima',
+    minVotes: 'Votos mínimos',
+    language: 'Idioma',
+    any: 'Cualquiera'
+  },
+
+  sort: {
+    popularity: 'Más populares',
+    rating: 'Mejor valoradas',
+    newest: 'Más recientes',
+    oldest: 'Más antiguas',
+    revenue: 'Más taquilleras',
+    title: 'Título (A-Z)'
+  },
+
+  card: {
+    details: 'Detalles',
+    trailer: '▶ Tráiler',
+    genres: 'Géneros',
+    tv: 'TV'
+  },
+
+  details: {
+    label: 'Detalles de la película',
+    close: 'Cerrar detalles',
+    watchTrailer: '▶ Ver tráiler',
+    topCast: 'Reparto principal',
+    similar: 'Películas similares',
+    labelTv: 'Detalles de la serie',
+    similarTv: 'Series similares',
+    seasonCount: 'Temporadas: {count}',
+    episodeCount: 'Episodios: {count}'
+  },
+
+  seasons: {
+    title: 'Temporadas',
+    select: 'Temporada',
+    episodeNumber: 'E{number}',
+    noEpisodes: 'Todavía no hay episodios en esta temporada.'
+  },
+
+  people: {
+    title: 'Personas',
+    knownFor: 'Conocido por {titles}'
+  },
+
+  departments: {
+    Acting: 'Interpretación',
+    Directing: 'Dirección',
+    Writing: 'Guion',
+    Production: 'Producción',
+    Creator: 'Creación',
+    Camera: 'Cámara',
+    Editing: 'Montaje',
+    Sound: 'Sonido',
+    Art: 'Dirección de arte',
+    'Costume & Make-Up': 'Vestuario y maquillaje',
+    'Visual Effects': 'Efectos visuales',
+    Lighting: 'Iluminación',
+    Crew: 'Equipo técnico'
+  },
+
+  person: {
+    label: 'Detalles de la persona',
+    born: 'Nació el {date}',
+    bornIn: 'Nació el {date} en {place}',
+    died: 'Falleció el {date}',
+    biography: 'Biografía',
+    noBiography: 'No hay biografía disponible.',
+    readMore: 'Leer más',
+    showLess: 'Mostrar menos',
+    knownFor: 'Conocido por',
+    credits: 'Películas ({count})',
+    sortBy: 'Ordenar películas',
+    noCredits: 'Todavía no hay películas.',
+    sort: {
+      year: 'Más recientes',
+      rating: 'Mejor valoradas'
+    }
+  },
+
+  listActions: {
+    watchlist: 'Pendientes',
+    favorite: 'Favorita',
+    watched: 'Vista',
+    addToWatchlist: 'Añadir a pendientes',
+    removeFromWatchlist: 'Quitar de pendientes',
+    addToFavorites: 'Añadir a favoritas',
+    removeFromFavorites: 'Quitar de favoritas',
+    markWatched: 'Marcar como vista',
+    markUnwatched: 'Marcar como no vista'
+  },
+
+  myList: {
+    title: 'Mi lista',
+    statusLabel: 'Estado de visualización',
+    noneWithStatus: 'No hay nada con este estado.',
+    empty: {
+      watchlist: 'Tu lista de pendientes está vacía. Usa los botones de cualquier película para añadirla.',
+      favorite: 'Todavía no tienes favoritas. Usa los botones de cualquier película para añadir una.'
+    },
+    views: {
+      watchlist: 'Pendientes',
+      favorite: 'Favoritas'
+    },
+    statuses: {
+      all: 'Todas',
+      unwatched: 'No vistas',
+      watched: 'Vistas'
+    },
+    sort: {
+      added: 'Añadidas recientemente',
+      title: 'Título (A-Z)',
+      release: 'Fecha de estreno',
+      rating: 'Mejor valoradas'
+    }
+  },
+
+  account: {
+    signIn: 'Iniciar sesión',
+    guest: 'Invitado',
+    insights: 'Estadísticas',
+    saveAccount: 'Guardar cuenta',
+    signOut: 'Cerrar sesión'
+  },
+
+  auth: {
+    titles: {
+      login: 'Iniciar sesión',
+      signup: 'Crear cuenta',
+      recover: 'Restablecer contraseña'
+    },
+    guestHint: 'Tus películas guardadas pasarán a tu nueva cuenta.',
+    name: 'Nombre',
+    email: 'Correo electrónico',
+    password: 'Contraseña',
+    recoverySent: 'Si existe una cuenta con ese correo, te enviaremos un enlace para restablecer la contraseña.',
+    forgotPassword: '¿Has olvidado la contraseña?',
+    createAccount: 'Crear una cuenta',
+    backToSignIn: 'Volver a iniciar sesión',
+    continueAsGuest: 'Continuar como invitado',
+    replaceGuest: 'Cerrar sesión de invitado y entrar'
+  },
+
+  resetPassword: {
+    title: 'Restablecer contraseña',
+    mismatch: 'Las contraseñas no coinciden.',
+    incompleteLink: 'Este enlace está incompleto. Solicita uno nuevo desde el formulario de inicio de sesión.',
+    done: 'Tu contraseña se ha cambiado.',
+    backToMovies: 'Volver a las películas',
+    newPassword: 'Nueva contraseña',
+    confirmPassword: 'Confirmar contraseña',
+    submit: 'Guardar contraseña'
+  },
+
+  insights: {
+    title: 'Estadísticas de búsqueda',
+    adminOnly: 'Las estadísticas de búsqueda solo están disponibles para administradores.',
+    totalSearches: 'Búsquedas totales',
+    uniqueTerms: 'Términos únicos',
+    zeroResultSearches: 'Sin resultados',
+    clickRate: 'Tasa de clics por búsqueda',
+    chartLabel: 'Búsquedas por día',
+    barTitle: '{day}: {searches} búsquedas, {clicks} clics',
+    exportCsv: 'Exportar CSV',
+    empty: 'Todavía no hay datos.',
+    tables: {
+      topTerms: 'Búsquedas principales',
+      zeroResultTerms: 'Búsquedas sin resultados',
+      topMovies: 'Películas principales',
+      daily: 'Últimos {days} días'
+    },
+    columns: {
+      searchTerm: 'Término de búsqueda',
+      searches: 'Búsquedas',
+      noResults: 'Sin resultados',
+      topResult: 'Primer resultado',
+      times: 'Veces',
+      lastSearched: 'Última búsqueda',
+      movie: 'Película',
+      opens: 'Aperturas',
+      clicks: 'Clics',
+      searchTerms: 'Términos de búsqueda',
+      day: 'Día'
+    }
+  }
+}
@@ -0,0 +1,366 @@
+// French messages (keys missing here fall back to en.js)
+export default {
+  errors: {
+    NETWORK_ERROR: 'Erreur réseau. Vérifiez votre connexion et réessayez.',
+    OFFLINE: 'Vous semblez être hors ligne. Reconnectez-vous et réessayez.',
+    API_KEY_MISSING: 'La clé d\'API TMDB n\'est pas configurée. Vérifiez vos variables d\'environnement.',
+    API_KEY_INVALID: 'Identifiants d\'API invalides. Vérifiez votre clé d\'API TMDB.',
+    RATE_LIMIT: 'Trop de requêtes. Patientez un instant et réessayez.',
+    SERVER_ERROR: 'Erreur du serveur. Réessayez plus tard.',
+    NO_RESULTS: 'Aucun film trouvé. Essayez d\'autres mots-clés.',
+    NO_FILTER_MATCHES: 'Aucun film ne correspond à ces filtres.',
+    GENERIC_ERROR: 'Une erreur s\'est produite. Veuillez réessayer.',
+    APPWRITE_CONFIG: 'Erreur de configuration de la base de données. Vérifiez vos paramètres Appwrite.',
+    APPWRITE_UNREACHABLE: 'Impossible de joindre le serveur Appwrite. Les recherches ne sont comptées que dans ce navigateur.',
+    APPWRITE_COLLECTION: 'La collection de recherches Appwrite est illisible. Les recherches ne sont comptées que dans ce navigateur.'
+  },
+
+  authErrors: {
+    user_invalid_credentials: 'E-mail ou mot de passe incorrect.',
+    user_already_exists: 'Un compte existe déjà avec cet e-mail.',
+    user_email_already_exists: 'Un compte existe déjà avec cet e-mail.',
+    user_blocked: 'Ce compte a été bloqué.',
+    user_invalid_token: 'Ce lien de réinitialisation est invalide ou a expiré. Demandez-en un nouveau.',
+    user_password_recently_used: 'Choisissez un mot de passe que vous n\'avez pas utilisé récemment.',
+    user_password_personal_data: 'Votre mot de passe ne peut pas contenir votre nom ou votre e-mail.',
+    general_rate_limit_exceeded: 'Trop de tentatives. Patientez un instant et réessayez.',
+    user_unauthorized: 'Veuillez vous reconnecter.',
+    user_session_already_exists: 'Vous êtes connecté en tant qu\'invité. Se connecter à un autre compte ferme la session invité, et les films enregistrés dans celle-ci sont définitivement perdus, même si la connexion échoue ensuite.'
+  },
+
+  success: {
+    MOVIES_LOADED: 'Films chargés',
+    SEARCH_UPDATED: 'Compteur de recherches mis à jour',
+    TRENDING_LOADED: 'Films tendance chargés'
+  },
+
+  loading: {
+    GENERIC: 'Chargement...',
+    SEARCHING: 'Recherche de films...',
+    LOADING_POPULAR: 'Chargement des films populaires...',
+    LOADING_TRENDING: 'Chargement des films tendance...',
+    MOVIES: 'Chargement des films...',
+    RETRYING: 'Nouvelle tentative...',
+    SUBMITTING: 'Veuillez patienter...'
+  },
+
+  errorTypes: {
+    offline: {
+      title: 'Vous êtes hors ligne',
+      suggestions: ['Vérifiez votre connexion internet', 'Tout sera prêt dès votre reconnexion']
+    },
+    network: {
+      title: 'Problème de connexion',
+      suggestions: ['Vérifiez votre connexion internet', 'Essayez de recharger la page']
+    },
+    search: {
+      title: 'Aucun résultat',
+      suggestions: ['Essayez d\'autres mots-clés', 'Vérifiez l\'orthographe']
+    },
+    auth: {
+      title: 'Accès refusé',
+      suggestions: ['Vérifiez la clé d\'API TMDB dans vos variables d\'environnement']
+    },
+    'rate-limit': {
+      title: 'Doucement',
+      suggestions: ['Trop de requêtes ont été envoyées en peu de temps', 'Patientez un instant avant de réessayer']
+    },
+    config: {
+      title: 'Problème de configuration',
+      suggestions: ['Vérifiez vos variables d\'environnement']
+    },
+    server: {
+      title: 'Erreur du serveur',
+      suggestions: ['Le service est temporairement indisponible', 'Réessayez dans un instant']
+    },
+    general: {
+      title: 'Une erreur s\'est produite',
+      suggestions: []
+    }
+  },
+
+  errorMessage: {
+    suggestionsHeading: 'Quelques pistes :',
+    tryAgain: 'Réessayer',
+    tryAgainIn: 'Réessayer dans {seconds} s',
+    dismiss: 'Ignorer'
+  },
+
+  health: {
+    setEnvVars: 'Définissez {names} dans .env.local',
+    checkEndpoint: 'Vérifiez que {endpoint} est le bon endpoint (VITE_APPWRITE_ENDPOINT)',
+    acceptCertificate: 'Ouvrez {url} dans ce navigateur et acceptez son certificat',
+    addPlatform: 'Ajoutez ce site comme plateforme web dans votre projet Appwrite pour que les requêtes ne soient pas bloquées',
+    grantRead: 'Donnez au rôle "any" l\'accès en lecture à la collection de recherches',
+    checkIds: 'Vérifiez VITE_APPWRITE_PROJECT_ID, VITE_APPWRITE_DATABASE_ID et VITE_APPWRITE_COLLECTION_ID'
+  },
+
+  common: {
+    notAvailable: 'N/D',
+    ratingIcon: 'Icône étoile',
+    close: 'Fermer'
+  },
+
+  nav: {
+    label: 'Principale',
+    browse: 'Parcourir',
+    myList: 'Ma liste',
+    language: 'Langue'
+  },
+
+  hero: {
+    imageAlt: 'Bannière',
+    titleStart: 'Trouvez des',
+    titleHighlight: 'films',
+    titleEnd: 'qui vous plairont, sans effort'
+  },
+
+  search: {
+    iconAlt: 'rechercher',
+    label: 'Rechercher des films',
+    placeholder: 'Recherchez parmi des milliers de films',
+    suggestions: 'Suggestions de recherche',
+    recent: 'Recherches récentes',
+    popular: 'Recherches populaires',
+    titles: 'Films',
+    titlesTv: 'Séries',
+    titlesAll: 'Films et séries',
+    clearRecent: 'Effacer',
+    removeRecent: 'Retirer « {term} » des recherches récentes',
+    removeRecentHint: 'Appuyez sur Suppr pour retirer la recherche récente en surbrillance'
+  },
+
+  trending: {
+    title: 'Films tendance',
+    subtitle: 'Les plus recherchés par nos utilisateurs',
+    windowLabel: 'Période de tendance',
+    empty: 'Aucune recherche sur cette période pour l\'instant.',
+    searchedAs: 'Recherché comme : {terms}',
+    windows: {
+      '24h': '24 heures',
+      '7d': '7 jours',
+      '30d': '30 jours',
+      all: 'Depuis toujours'
+    }
+  },
+
+  mediaTypes: {
+    label: 'Afficher',
+    movie: 'Films',
+    tv: 'Séries',
+    all: 'Tout'
+  },
+
+  feeds: {
+    label: 'Parcourir les films',
+    windowLabel: 'Période de tendance',
+    searchResults: 'Résultats de recherche',
+    trendingTitle: 'Tendances : {window}',
+    discover: 'Tous les films',
+    discoverTv: 'Toutes les séries',
+    discoverAll: 'Films et séries',
+    popular: 'Populaires',
+    top_rated: 'Les mieux notés',
+    upcoming: 'Prochainement',
+    on_the_air: 'En cours de diffusion',
+    trending: 'Tendances TMDB',
+    windows: {
+      day: 'Aujourd\'hui',
+      week: 'Cette semaine'
+    }
+  },
+
+  filters: {
+    toggle: 'Filtres',
+    sortBy: 'Trier par',
+    clearAll: 'Tout effacer',
+    genres: 'Genres',
+    yearFrom: 'À partir de',
+    yearTo: 'Jusqu\'à',
+    minRating: 'Note minimale',
+    minVotes: 'Votes minimum',
+    language: 'Langue',
+    any: 'Toutes'
+  },
+
+  sort: {
+    popularity: 'Les plus populaires',
+    rating: 'Les mieux notés',
+    newest: 'Les plus récents',
+    oldest: 'Les plus anciens',
+    revenue: 'Meilleures recettes',
+    title: 'Titre (A-Z)'
+  },
+
+  card: {
+    details: 'Détails',
+    trailer: '▶ Bande-annonce',
+    genres: 'Genres',
+    tv: 'TV'
+  },
+
+  details: {
+    label: 'Détails du film',
+    close: 'Fermer les détails',
+    watchTrailer: '▶ Voir la bande-annonce',
+    topCast: 'Têtes d\'affiche',
+    similar: 'Films similaires',
+    labelTv: 'Détails de la série',
+    similarTv: 'Séries similaires',
+    seasonCount: 'Saisons : {count}',
+    episodeCount: 'Épisodes : {count}'
+  },
+
+  seasons: {
+    title: 'Saisons',
+    select: 'Saison',
+    episodeNumber: 'É{number}',
+    noEpisodes: 'Aucun épisode pour cette saison pour l\'instant.'
+  },
+
+  people: {
+    title: 'Personnalités',
+    knownFor: 'Connu pour {titles}'
+  },
+
+  departments: {
+    Acting: 'Interprétation',
+    Directing: 'Réalisation',
+    Writing: 'Scénario',
+    Production: 'Production',
+    Creator: 'Création',
+    Camera: 'Image',
+    Editing: 'Montage',
+    Sound: 'Son',
+    Art: 'Direction artistique',
+    'Costume & Make-Up': 'Costumes et maquillage',
+    'Visual Effects': 'Effets visuels',
+    Lighting: 'Éclairage',
+    Crew: 'Équipe technique'
+  },
+
+  person: {
+    label: 'Détails de la personnalité',
+    born: 'Né(e) le {date}',
+    bornIn: 'Né(e) le {date} à {place}',
+    died: 'Décédé(e) le {date}',
+    biography: 'Biographie',
+    noBiography: 'Aucune biographie disponible.',
+    readMore: 'Lire la suite',
+    showLess: 'Réduire',
+    knownFor: 'Connu pour',
+    credits: 'Filmographie ({count})',
+    sortBy: 'Trier la filmographie',
+    noCredits: 'Aucun film pour l\'instant.',
+    sort: {
+      year: 'Plus récents',
+      rating: 'Mieux notés'
+    }
+  },
+
+  listActions: {
+    watchlist: 'À voir',
+    favorite: 'Favori',
+    watched: 'Vu',
+    addToWatchlist: 'Ajouter à ma liste à voir',
+    removeFromWatchlist: 'Retirer de ma liste à voir',
+    addToFavorites: 'Ajouter aux favoris',
+    removeFromFavorites: 'Retirer des favoris',
+    markWatched: 'Marquer comme vu',
+    markUnwatched: 'Marquer comme non vu'
+  },
+
+  myList: {
+    title: 'Ma liste',
+    statusLabel: 'Statut de visionnage',
+    noneWithStatus: 'Rien ici avec ce statut.',
+    empty: {
+      watchlist: 'Votre liste à voir est vide. Utilisez les boutons de n\'importe quel film pour l\'ajouter.',
+      favorite: 'Vous n\'avez pas encore de favoris. Utilisez les boutons de n\'importe quel film pour en ajouter un.'
+    },
+    views: {
+      watchlist: 'À voir',
+      favorite: 'Favoris'
+    },
+    statuses: {
+      all: 'Tous',
+      unwatched: 'Non vus',
+      watched: 'Vus'
+    },
+    sort: {
+      added: 'Ajoutés récemment',
+      title: 'Titre (A-Z)',
+      release: 'Date de sortie',
+      rating: 'Les mieux notés'
+    }
+  },
+
+  account: {
+    signIn: 'Se connecter',
+    guest: 'Invité',
+    insights: 'Statistiques',
+    saveAccount: 'Enregistrer le compte',
+    signOut: 'Se déconnecter'
+  },
+
+  auth: {
+    titles: {
+      login: 'Se connecter',
+      signup: 'Créer un compte',
+      recover: 'Réinitialiser le mot de passe'
+    },
+    guestHint: 'Vos films enregistrés seront transférés vers votre nouveau compte.',
+    name: 'Nom',
+    email: 'E-mail',
+    password: 'Mot de passe',
+    recoverySent: 'Si un compte existe pour cet e-mail, un lien de réinitialisation est en route.',
+    forgotPassword: 'Mot de passe oublié ?',
+    createAccount: 'Créer un compte',
+    backToSignIn: 'Retour à la connexion',
+    continueAsGuest: 'Continuer en tant qu\'invité',
+    replaceGuest: 'Fermer la session invité et se connecter'
+  },
+
+  resetPassword: {
+    title: 'Réinitialiser le mot de passe',
+    mismatch: 'Les mots de passe ne correspondent pas.',
+    incompleteLink: 'Ce lien de réinitialisation est incomplet. Demandez-en un nouveau depuis le formulaire de connexion.',
+    done: 'Votre mot de passe a été modifié.',
+    backToMovies: 'Retour aux films',
+    newPassword: 'Nouveau mot de passe',
+    confirmPassword: 'Confirmer le mot de passe',
+    submit: 'Enregistrer le mot de passe'
+  },
+
+  insights: {
+    title: 'Statistiques de recherche',
+    adminOnly: 'Les statistiques de recherche sont réservées aux administrateurs.',
+    totalSearches: 'Recherches au total',
+    uniqueTerms: 'Termes uniques',
+    zeroResultSearches: 'Sans résultat',
+    clickRate: 'Taux de clic par recherche',
+    chartLabel: 'Recherches par jour',
+    barTitle: '{day} : {searches} recherches, {clicks} clics',
+    exportCsv: 'Exporter en CSV',
+    empty: 'Rien n\'a encore été enregistré.',
+    tables: {
+      topTerms: 'Recherches principales',
+      zeroResultTerms: 'Recherches sans résultat',
+      topMovies: 'Films principaux',
+      daily: '{days} derniers jours'
+    },
+    columns: {
+      searchTerm: 'Terme de recherche',
+      searches: 'Recherches',
+      noResults: 'Sans résultat',
+      topResult: 'Premier résultat',
+      times: 'Fois',
+      lastSearched: 'Dernière recherche',
+      movie: 'Film',
+      opens: 'Ouvertures',
+      clicks: 'Clics',
+      searchTerms: 'Termes de recherche',
+      day: 'Jour'
+    }
+  }
+}
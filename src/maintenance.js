@@ -0,0 +1,179 @@
+import { Query } from 'appwrite'
+import { listAllDocuments } from './appwritePaging.js'
+import { createSearchCounter, getDayBucket } from './searchCounts.js'
+import { SEARCH_TRENDING_WINDOWS, TMDB_IMAGE_BASE_URL } from './constants.js'
+import { getMediaKey, getMediaTitle, mapWithConcurrency } from './utils.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const MAINTENANCE_DEFAULTS = {
+  retentionDays: 90,
+  // Older days fall outside every trending window, so they no longer count
+  dailyRetentionDays: Math.max(...Object.values(SEARCH_TRENDING_WINDOWS).map(window => window.days || 0)),
+  staleDays: 30,
+  concurrency: 5
+}
+
+// Copy of a document without Appwrite's system fields, for re-creating it elsewhere
+const getDocumentData = (doc) => Object.fromEntries(
+  Object.entries(doc).filter(([key]) => !key.startsWith('$'))
+)
+
+const countOutcomes = (results) => ({
+  succeeded: results.filter(result => result.status === 'fulfilled').length,
+  failed: results.filter(result => result.status === 'rejected').length
+})
+
+/**
+ * Maintain the counter collections: drop or archive old searches, drop daily counters older
+ * than any trending window, merge duplicate terms and refresh stale movie info from TMDB
+ * The movies collection keeps all-time totals, one document per title, and is left alone.
+ * Every step pages through the whole collection with cursors. With `dryRun` nothing is
+ * written and the report shows what would change.
+ * @param {Object} options - Maintenance options
+ * @param {Object} options.database - Databases instance (node-appwrite with an API key, or a mock)
+ * @param {string} options.databaseId - Database ID
+ * @param {string} options.collectionId - Search-count collection ID
+ * @param {string|null} options.archiveCollectionId - Copy old searches here before deleting (default: just delete)
+ * @param {string|null} options.dailyCollectionId - Daily movie-count collection (default: skip its retention)
+ * @param {Object|null} options.tmdb - TMDB client from createTmdbClient (default: skip the refresh)
+ * @param {number} options.retentionDays - Remove searches not repeated for this many days
+ * @param {number} options.dailyRetentionDays - Remove daily counters older than this many days
+ * @param {number} options.staleDays - Refresh movie info not updated for this many days
+ * @param {number} options.concurrency - Maximum writes or TMDB requests in flight
+ * @param {boolean} options.dryRun - Report without writing
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Promise<Object>} Report with a section per step
+ */
+export const runMaintenance = async ({
+  database,
+  databaseId,
+  collectionId,
+  archiveCollectionId = null,
+  dailyCollectionId = null,
+  tmdb = null,
+  retentionDays = MAINTENANCE_DEFAULTS.retentionDays,
+  dailyRetentionDays = MAINTENANCE_DEFAULTS.dailyRetentionDays,
+  staleDays = MAINTENANCE_DEFAULTS.staleDays,
+  concurrency = MAINTENANCE_DEFAULTS.concurrency,
+  dryRun = false,
+  log = console.log,
+  now = Date.now()
+}) => {
+  const startedAt = Date.now()
+  const report = { dryRun, retention: null, dailyRetention: null, duplicates: null, refresh: null }
+
+  // 1. Retention: searches nobody has repeated within the window
+  const retentionCutoff = new Date(now - retentionDays * DAY_MS).toISOString()
+  const expired = await listAllDocuments(database, databaseId, collectionId, [
+    Query.lessThan('lastSearched', retentionCutoff)
+  ])
+  log(`Found ${expired.length} searches not repeated since ${retentionCutoff}`)
+
+  report.retention = {
+    cutoff: retentionCutoff,
+    action: archiveCollectionId ? 'archive' : 'delete',
+    matched: expired.length,
+    terms: expired.map(doc => doc.searchTerm),
+    succeeded: 0,
+    failed: 0
+  }
+
+  if (!dryRun) {
+    const results = await mapWithConcurrency(expired, concurrency, async (doc) => {
+      if (archiveCollectionId) {
+        try {
+          await database.createDocument(databaseId, archiveCollectionId, doc.$id, getDocumentData(doc))
+        } catch (error) {
+          // Already archived by an earlier run that failed before deleting
+          if (error?.code !== 409) throw error
+        }
+      }
+      await database.deleteDocument(databaseId, collectionId, doc.$id)
+    })
+    Object.assign(report.retention, countOutcomes(results))
+  }
+
+  // 2. Daily retention: days before the cutoff day are outside every trending window
+  // (the cutoff day itself can still count in part, so it's kept)
+  if (dailyCollectionId) {
+    const dailyCutoff = getDayBucket(now - dailyRetentionDays * DAY_MS)
+    const oldDays = await listAllDocuments(database, databaseId, dailyCollectionId, [
+      Query.lessThan('day', dailyCutoff)
+    ])
+    log(`Found ${oldDays.length} daily counters from before ${dailyCutoff}`)
+
+    report.dailyRetention = { cutoff: dailyCutoff, matched: oldDays.length, succeeded: 0, failed: 0 }
+
+    if (!dryRun) {
+      const results = await mapWithConcurrency(oldDays, concurrency, doc => (
+        database.deleteDocument(databaseId, dailyCollectionId, doc.$id)
+      ))
+      Object.assign(report.dailyRetention, countOutcomes(results))
+    }
+  }
+
+  // 3. Duplicates: terms written more than once before the unique index existed
+  const counter = createSearchCounter({ database, databaseId, collectionId })
+  report.duplicates = await counter.mergeDuplicates({ dryRun })
+  log(`Merged ${report.duplicates.groups} duplicate terms (${report.duplicates.removed} documents removed)`)
+
+  // 4. Refresh: movie info that hasn't been rewritten by a search for a while
+  if (tmdb) {
+    const staleCutoff = new Date(now - staleDays * DAY_MS).toISOString()
+    // In a dry run the expired searches are still there; don't report them twice
+    const expiredIds = new Set(expired.map(doc => doc.$id))
+    const stale = (await listAllDocuments(database, databaseId, collectionId, [
+      Query.lessThan('$updatedAt', staleCutoff),
+      Query.isNotNull('movie_id')
+    ])).filter(doc => !expiredIds.has(doc.$id))
+    log(`Checking ${stale.length} searches with movie info older than ${staleCutoff}`)
+
+    const changes = []
+    const missing = []
+    const lookups = await mapWithConcurrency(stale, concurrency, async (doc) => {
+      try {
+        // Searches can credit a TV show (documents from before TV support are movies)
+        const movie = doc.media_type === 'tv'
+          ? await tmdb.getTvDetails(doc.movie_id)
+          : await tmdb.getMovieDetails(doc.movie_id)
+        const fresh = {
+          title: getMediaTitle(movie),
+          poster_url: movie.poster_path ? `${TMDB_IMAGE_BASE_URL}/w500${movie.poster_path}` : null
+        }
+        if (fresh.title !== doc.title || fresh.poster_url !== doc.poster_url) {
+          changes.push({ doc, fresh })
+        }
+      } catch (error) {
+        // Removed from TMDB: leave the document for retention to clear
+        if (error?.status === 404) {
+          missing.push(getMediaKey({ id: doc.movie_id, media_type: doc.media_type }))
+          return
+        }
+        throw error
+      }
+    })
+
+    report.refresh = {
+      cutoff: staleCutoff,
+      checked: stale.length,
+      changed: changes.map(({ doc, fresh }) => ({ searchTerm: doc.searchTerm, from: doc.title, to: fresh.title })),
+      missing,
+      lookupsFailed: countOutcomes(lookups).failed,
+      succeeded: 0,
+      failed: 0
+    }
+
+    if (!dryRun) {
+      const results = await mapWithConcurrency(changes, concurrency, ({ doc, fresh }) => (
+        database.updateDocument(databaseId, collectionId, doc.$id, fresh)
+      ))
+      Object.assign(report.refresh, countOutcomes(results))
+    }
+    log(`${changes.length} searches have changed movie info`)
+  }
+
+  report.durationMs = Date.now() - startedAt
+  return report
+}
@@ -0,0 +1,107 @@
+import { tmdb } from './tmdb.js'
+import { GENRES, LANGUAGES } from './constants.js'
+
+/**
+ * @typedef {Object} LanguageOption
+ * @property {string} code - ISO 639-1 code
+ * @property {string} name - Name in the locale it was loaded for
+ */
+
+// Loads by `${locale}:${what}`, so each locale's lists are requested once per page load
+// (the TMDB response cache keeps them across visits)
+const pending = new Map()
+// Finished loads, readable synchronously so components don't flash the fallback
+const loaded = new Map()
+
+const load = (key, loader) => {
+  if (!pending.has(key)) {
+    const promise = loader()
+      .then((value) => {
+        loaded.set(key, value)
+        return value
+      })
+      .catch((error) => {
+        // Let the next caller try again
+        pending.delete(key)
+        throw error
+      })
+    pending.set(key, promise)
+  }
+  return pending.get(key)
+}
+
+const fetchGenreMap = async (type, locale) => {
+  const { genres = [] } = await tmdb.getGenres(type, { language: locale })
+  return Object.fromEntries(genres.map(genre => [genre.id, genre.name]))
+}
+
+/**
+ * Get genre names by ID, in a locale's language
+ * Movie and TV genres share the IDs they have in common, so 'all' merges both lists
+ * @param {'movie'|'tv'|'all'} type - Which genres (default: 'movie')
+ * @param {string} locale - LOCALES key
+ * @returns {Promise<Object<number, string>>} Names by genre ID
+ */
+export const loadGenres = (type = 'movie', locale) => load(`${locale}:genres:${type}`, async () => {
+  if (type !== 'all') return fetchGenreMap(type, locale)
+
+  const [movie, tv] = await Promise.all([loadGenres('movie', locale), loadGenres('tv', locale)])
+  return { ...tv, ...movie }
+})
+
+/**
+ * Get genres already loaded for a locale, or the built-in English movie genres
+ * @param {'movie'|'tv'|'all'} type - Which genres
+ * @param {string} locale - LOCALES key
+ * @returns {Object<number, string>} Names by genre ID
+ */
+export const getLoadedGenres = (type, locale) => loaded.get(`${locale}:genres:${type}`) || GENRES
+
+/**
+ * Build language options named in a locale's language, sorted by name
+ * Names come from Intl.DisplayNames, falling back to the given (English) names
+ * @param {Object<string, string>} englishNames - English names by ISO 639-1 code
+ * @param {string} locale - LOCALES key
+ * @returns {LanguageOption[]} Options
+ */
+export const toLanguageOptions = (englishNames, locale) => {
+  let displayNames = null
+  try {
+    displayNames = new Intl.DisplayNames([locale], { type: 'language' })
+  } catch {
+    // Older browsers: keep TMDB's English names
+  }
+
+  const collator = new Intl.Collator(locale)
+  return Object.entries(englishNames)
+    .map(([code, englishName]) => {
+      const name = displayNames?.of(code)
+      return { code, name: name && name !== code ? name : englishName }
+    })
+    .sort((a, b) => collator.compare(a.name, b.name))
+}
+
+/**
+ * Get every original language TMDB knows, named in a locale's language
+ * @param {string} locale - LOCALES key
+ * @returns {Promise<LanguageOption[]>} Options sorted by name
+ */
+export const loadLanguages = (locale) => load(`${locale}:languages`, async () => {
+  const languages = await tmdb.getLanguages()
+  const englishNames = Object.fromEntries(
+    languages
+      // 'xx' is TMDB's "No Language"
+      .filter(language => /^[a-z]{2}$/.test(language.iso_639_1) && language.iso_639_1 !== 'xx')
+      .map(language => [language.iso_639_1, language.english_name])
+  )
+  return toLanguageOptions(englishNames, locale)
+})
+
+/**
+ * Get languages already loaded for a locale, or the short built-in list
+ * @param {string} locale - LOCALES key
+ * @returns {LanguageOption[]} Options sorted by name
+ */
+export const getLoadedLanguages = (locale) => (
+  loaded.get(`${locale}:languages`) || toLanguageOptions(LANGUAGES, locale)
+)
@@ -0,0 +1,213 @@
+import { getUserListItems, saveUserListItem } from './appwrite.js'
+import { APP_CONFIG, STORAGE_KEYS } from './constants.js'
+import { getLocalStorage } from './utils.js'
+
+/**
+ * @typedef {Object} ListItem
+ * @property {number} id - TMDB movie ID
+ * @property {string} title - Movie title
+ * @property {string|null} poster_path - TMDB poster path
+ * @property {string|null} release_date - Release date (YYYY-MM-DD)
+ * @property {number|null} vote_average - TMDB rating
+ * @property {string|null} original_language - ISO 639-1 code
+ * @property {boolean} watchlist - On the watchlist
+ * @property {boolean} favorite - Marked as a favorite
+ * @property {boolean} watched - Marked as watched
+ * @property {string} addedAt - ISO timestamp of when it was first saved
+ * @property {string} updatedAt - ISO timestamp of the latest change, used to resolve sync conflicts
+ */
+
+const LIST_EVENT = 'app:my-list'
+
+// Null where storage is missing or disabled; the list then isn't kept on this device
+const storage = getLocalStorage()
+
+// Set while signed in, so local changes are pushed to Appwrite as they happen
+let syncUserId = null
+
+// An item on neither list is kept as a tombstone so the removal can win a later merge
+const isSaved = (item) => item.watchlist || item.favorite
+
+const isFreshTombstone = (item) => {
+  const age = Date.now() - Date.parse(item.updatedAt)
+  return age < APP_CONFIG.LIST_TOMBSTONE_DAYS * 24 * 60 * 60 * 1000
+}
+
+const readAll = () => {
+  try {
+    const stored = JSON.parse(storage?.getItem(STORAGE_KEYS.MY_LIST) || '[]')
+    return Array.isArray(stored) ? stored.filter(item => Number.isFinite(item?.id)) : []
+  } catch {
+    return []
+  }
+}
+
+const writeAll = (items) => {
+  const kept = items.filter(item => isSaved(item) || isFreshTombstone(item))
+  try {
+    storage?.setItem(STORAGE_KEYS.MY_LIST, JSON.stringify(kept))
+  } catch (error) {
+    console.warn('Could not save your list:', error.message)
+  }
+  window.dispatchEvent(new Event(LIST_EVENT))
+  return kept
+}
+
+/**
+ * Get saved movies (on the watchlist or favorites), most recently added first
+ * @returns {ListItem[]} Saved movies
+ */
+export const getMyList = () => (
+  readAll()
+    .filter(isSaved)
+    .sort((a, b) => Date.parse(b.addedAt) - Date.parse(a.addedAt))
+)
+
+/**
+ * Sort saved movies for the My List view
+ * @param {ListItem[]} items - Saved movies
+ * @param {string} sortBy - A MY_LIST_SORT_OPTIONS key
+ * @returns {ListItem[]} New sorted array
+ */
+export const sortListItems = (items, sortBy) => {
+  const byDate = field => (a, b) => (Date.parse(b[field]) || 0) - (Date.parse(a[field]) || 0)
+
+  const compare = {
+    title: (a, b) => (a.title || '').localeCompare(b.title || ''),
+    release: byDate('release_date'),
+    rating: (a, b) => (b.vote_average || 0) - (a.vote_average || 0)
+  }[sortBy] || byDate('addedAt')
+
+  return [...items].sort(compare)
+}
+
+/**
+ * Apply a change to one movie, creating its item if needed
+ * @param {Object} movie - TMDB movie (or an existing ListItem)
+ * @param {Function} change - Receives the current item and returns the fields to change
+ * @returns {ListItem} Updated item
+ */
+const updateItem = (movie, change) => {
+  const items = readAll()
+  const current = items.find(item => item.id === movie.id)
+  const timestamp = new Date().toISOString()
+
+  const base = current || {
+    id: movie.id,
+    watchlist: false,
+    favorite: false,
+    watched: false,
+    addedAt: timestamp
+  }
+
+  const updated = {
+    ...base,
+    // Refresh the display fields in case TMDB's data changed
+    title: movie.title ?? base.title,
+    poster_path: movie.poster_path ?? base.poster_path ?? null,
+    release_date: movie.release_date ?? base.release_date ?? null,
+    vote_average: movie.vote_average ?? base.vote_average ?? null,
+    original_language: movie.original_language ?? base.original_language ?? null,
+    ...change(base),
+    updatedAt: timestamp
+  }
+  // Re-adding a removed movie counts as newly added
+  if (current && !isSaved(current) && isSaved(updated)) updated.addedAt = timestamp
+
+  writeAll([updated, ...items.filter(item => item.id !== movie.id)])
+  if (syncUserId) saveUserListItem(syncUserId, updated)
+  return updated
+}
+
+/**
+ * Add a movie to the watchlist, or remove it if it's already there
+ * @param {Object} movie - TMDB movie
+ * @returns {ListItem} Updated item
+ */
+export const toggleWatchlist = (movie) => updateItem(movie, item => ({ watchlist: !item.watchlist }))
+
+/**
+ * Add a movie to favorites, or remove it if it's already there
+ * @param {Object} movie - TMDB movie
+ * @returns {ListItem} Updated item
+ */
+export const toggleFavorite = (movie) => updateItem(movie, item => ({ favorite: !item.favorite }))
+
+/**
+ * Flip a movie's watched state
+ * @param {Object} movie - TMDB movie
+ * @returns {ListItem} Updated item
+ */
+export const toggleWatched = (movie) => updateItem(movie, item => ({ watched: !item.watched }))
+
+/**
+ * Merge two copies of the list, keeping whichever version of each movie changed last
+ * @param {ListItem[]} local - Items stored in this browser
+ * @param {ListItem[]} remote - Items stored in Appwrite
+ * @returns {ListItem[]} Merged items
+ */
+export const mergeListItems = (local, remote) => {
+  const merged = new Map()
+
+  for (const item of [...local, ...remote]) {
+    const existing = merged.get(item.id)
+    if (!existing || Date.parse(item.updatedAt) > Date.parse(existing.updatedAt)) {
+      merged.set(item.id, item)
+    }
+  }
+
+  return [...merged.values()]
+}
+
+/**
+ * Merge the local list with the user's Appwrite copy, push local changes the
+ * server hasn't seen, and keep pushing changes until `stopMyListSync`
+ * @param {string} userId - Appwrite user ID
+ * @returns {Promise<ListItem[]>} Saved movies after the merge
+ */
+export const syncMyList = async (userId) => {
+  syncUserId = userId
+
+  const remote = await getUserListItems(userId)
+  // Without the server's copy a push could overwrite newer changes made elsewhere
+  if (!remote || syncUserId !== userId) return getMyList()
+
+  const remoteById = new Map(remote.map(item => [item.id, item]))
+  const merged = mergeListItems(readAll(), remote)
+  writeAll(merged)
+
+  // Compare as dates: Appwrite returns timestamps in its own ISO format
+  const outdated = merged.filter((item) => {
+    const remoteItem = remoteById.get(item.id)
+    return !remoteItem || Date.parse(item.updatedAt) > Date.parse(remoteItem.updatedAt)
+  })
+  await Promise.all(outdated.map(item => saveUserListItem(userId, item)))
+
+  return getMyList()
+}
+
+/**
+ * Stop pushing local changes (e.g. on logout). The local copy is kept.
+ */
+export const stopMyListSync = () => {
+  syncUserId = null
+}
+
+/**
+ * Subscribe to list changes from this tab or others
+ * @param {Function} callback - Called when the list changes
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMyList = (callback) => {
+  const handleStorage = (event) => {
+    if (event.key === STORAGE_KEYS.MY_LIST) callback()
+  }
+
+  window.addEventListener(LIST_EVENT, callback)
+  window.addEventListener('storage', handleStorage)
+
+  return () => {
+    window.removeEventListener(LIST_EVENT, callback)
+    window.removeEventListener('storage', handleStorage)
+  }
+}
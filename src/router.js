@@ -0,0 +1,120 @@
+import { useMemo, useSyncExternalStore } from 'react'
+import { ROUTES } from './constants.js'
+import { buildQueryString } from './utils.js'
+
+const NAVIGATE_EVENT = 'app:navigate'
+
+// Scroll positions are stored per history entry and restored by the app
+if (typeof window !== 'undefined' && 'scrollRestoration' in window.history) {
+  window.history.scrollRestoration = 'manual'
+}
+
+const compiledRoutes = Object.entries(ROUTES).map(([name, pattern]) => {
+  const keys = []
+  const source = pattern.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key)
+    return '([^/]+)'
+  })
+  return { name, keys, regex: new RegExp(`^${source}/?$`) }
+})
+
+/**
+ * Match a pathname against ROUTES
+ * @param {string} pathname - URL pathname
+ * @returns {{name: string, params: Object}|null} Matched route name (ROUTES key) and params,
+ *   or null when nothing matches (including params that aren't valid percent-encoding)
+ */
+export const matchRoute = (pathname) => {
+  for (const { name, keys, regex } of compiledRoutes) {
+    const match = pathname.match(regex)
+    if (match) {
+      const params = {}
+      try {
+        keys.forEach((key, index) => {
+          params[key] = decodeURIComponent(match[index + 1])
+        })
+      } catch (error) {
+        // A malformed link such as /movie/%E0
+        if (error instanceof URIError) return null
+        throw error
+      }
+      return { name, params }
+    }
+  }
+  return null
+}
+
+/**
+ * Build an app URL from a route pattern, its params and a query object
+ * @param {string} pattern - Route pattern from ROUTES
+ * @param {Object} params - Path parameters
+ * @param {Object} query - Query parameters (empty values are dropped)
+ * @returns {string} URL path with query string
+ */
+export const buildPath = (pattern, params = {}, query = {}) => {
+  const path = pattern.replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key]))
+  const search = buildQueryString(query)
+  return search ? `${path}?${search}` : path
+}
+
+/**
+ * Parse a URL path (with optional query string) into location parts
+ * @param {string} url - URL path, e.g. '/search?q=batman'
+ * @param {Object} state - History state for the entry
+ * @returns {Object} Location with pathname, search, query, route and state
+ */
+export const parseLocation = (url, state = null) => {
+  const [pathname, search = ''] = url.split('?')
+  return {
+    url,
+    pathname,
+    search: search ? `?${search}` : '',
+    query: new URLSearchParams(search),
+    route: matchRoute(pathname) || { name: 'HOME', params: {} },
+    state
+  }
+}
+
+/**
+ * Navigate to a new URL without reloading the page
+ * The current scroll position is saved on the entry being left
+ * @param {string} to - URL path with optional query string
+ * @param {Object} options - Navigation options
+ * @param {boolean} options.replace - Replace the current entry instead of pushing
+ * @param {Object} options.state - State stored on the new history entry (a replace without
+ *   one keeps the entry's current state, e.g. its saved scroll position and background page)
+ */
+export const navigate = (to, { replace = false, state = null } = {}) => {
+  const { history } = window
+  if (to === getCurrentUrl() && !state) return
+
+  if (replace) {
+    history.replaceState(state ?? history.state, '', to)
+  } else {
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '')
+    history.pushState(state, '', to)
+  }
+
+  window.dispatchEvent(new Event(NAVIGATE_EVENT))
+}
+
+const getCurrentUrl = () => `${window.location.pathname}${window.location.search}`
+
+const subscribe = (callback) => {
+  window.addEventListener('popstate', callback)
+  window.addEventListener(NAVIGATE_EVENT, callback)
+
+  return () => {
+    window.removeEventListener('popstate', callback)
+    window.removeEventListener(NAVIGATE_EVENT, callback)
+  }
+}
+
+/**
+ * Subscribe to the current location
+ * @returns {Object} Location (see parseLocation)
+ */
+export const useLocation = () => {
+  const url = useSyncExternalStore(subscribe, getCurrentUrl)
+  return useMemo(() => parseLocation(url, window.history.state), [url])
+}
@@ -0,0 +1,14 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { matchRoute, parseLocation } from './router.js'
+
+describe('matchRoute', () => {
+  it('decodes route params', () => {
+    assert.deepEqual(matchRoute('/person/a%20b'), { name: 'PERSON', params: { id: 'a b' } })
+  })
+
+  it('treats malformed percent-encoding as no match instead of throwing', () => {
+    assert.equal(matchRoute('/movie/%E0'), null)
+    assert.equal(parseLocation('/movie/%E0').route.name, 'HOME')
+  })
+})
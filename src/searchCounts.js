@@ -0,0 +1,349 @@
+import { ID, Query } from 'appwrite'
+import { APP_CONFIG, MOVIE_SIGNAL_WEIGHTS, TMDB_IMAGE_BASE_URL } from './constants.js'
+import { listAllDocuments } from './appwritePaging.js'
+import { getMediaDate, getMediaKey, getMediaTitle, getMediaType } from './utils.js'
+
+// Appwrite's error for a write that breaks a unique index or reuses a document ID
+const CONFLICT_CODE = 409
+const NOT_FOUND_CODE = 404
+
+/**
+ * Normalize a search term so variants of the same search share one document
+ * @param {string} term - Search term as typed
+ * @returns {string} Trimmed, lowercased term with single spaces
+ */
+export const normalizeSearchTerm = (term) => (term || '').trim().toLowerCase().replace(/\s+/g, ' ')
+
+/**
+ * Movie fields stored on counter documents
+ * A TV show is stored the same way, with its name as `title` and first air date as `release_date`
+ * @param {Object} movie - TMDB movie or TV show
+ * @returns {Object} `movie_id`, `media_type`, `title`, `poster_url`, `release_date` and `vote_average`
+ */
+export const getMovieFields = (movie) => ({
+  movie_id: movie.id,
+  media_type: getMediaType(movie),
+  title: getMediaTitle(movie),
+  poster_url: movie.poster_path ? `${TMDB_IMAGE_BASE_URL}/w500${movie.poster_path}` : null,
+  release_date: getMediaDate(movie) || null,
+  vote_average: movie.vote_average || 0
+})
+
+/**
+ * Get the media key (see getMediaKey) of the title a counter document credits
+ * Documents written before TV support have no `media_type` and are movies
+ * @param {Object} doc - Counter document
+ * @returns {string} Key, e.g. '550' or 'tv_1399'
+ */
+export const getDocumentMediaKey = (doc) => getMediaKey({ id: doc.movie_id, media_type: doc.media_type })
+
+const getTime = (value) => Date.parse(value) || 0
+
+/**
+ * Starting per-signal counts for a new movie document, e.g. `{ searchCount: 1, openCount: 0, ... }`
+ * @param {string} signal - The first interaction (see MOVIE_SIGNAL_WEIGHTS)
+ * @returns {Object} Counts
+ */
+export const getSignalCounts = (signal) => Object.fromEntries(
+  Object.keys(MOVIE_SIGNAL_WEIGHTS).map(key => [`${key}Count`, key === signal ? 1 : 0])
+)
+
+/**
+ * Create the search counter for a search-count collection
+ * Writes never read-modify-write the count: a new term is created and relies on the
+ * collection's unique `searchTerm` index to reject a concurrent duplicate, and an
+ * existing term is bumped with Appwrite's atomic increment.
+ * @param {Object} options - Counter options
+ * @param {Object} options.database - Appwrite Databases instance (or a mock with the same methods)
+ * @param {string} options.databaseId - Database ID
+ * @param {string} options.collectionId - Search-count collection ID
+ * @param {number} options.maxAttempts - Create/update rounds before giving up (default: APP_CONFIG.RETRY_ATTEMPTS)
+ * @returns {{increment: Function, mergeDuplicates: Function}} Counter
+ */
+export const createSearchCounter = ({
+  database,
+  databaseId,
+  collectionId,
+  maxAttempts = APP_CONFIG.RETRY_ATTEMPTS
+}) => {
+  const findByTerm = async (searchTerm) => {
+    const result = await database.listDocuments(databaseId, collectionId, [
+      Query.equal('searchTerm', searchTerm),
+      Query.limit(1)
+    ])
+    return result.documents[0] || null
+  }
+
+  /**
+   * Count one search for a term
+   * @param {string} term - Search term
+   * @param {Object|null} movie - Top TMDB result for the search, or null when it found nothing
+   *   (counted in `zeroResultCount`; the term keeps any movie from earlier searches)
+   * @returns {Promise<Object>} The updated or created document
+   * @throws {Error} Appwrite errors other than a create conflict, or when every attempt conflicted
+   */
+  const increment = async (term, movie) => {
+    const searchTerm = normalizeSearchTerm(term)
+    const now = new Date().toISOString()
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const existing = await findByTerm(searchTerm)
+
+      if (existing) {
+        await database.incrementDocumentAttribute(databaseId, collectionId, existing.$id, 'count', 1)
+        if (!movie) {
+          await database.incrementDocumentAttribute(databaseId, collectionId, existing.$id, 'zeroResultCount', 1)
+        }
+        // Movie info may have changed; last write wins, which is fine for display fields
+        return database.updateDocument(databaseId, collectionId, existing.$id, {
+          ...(movie && getMovieFields(movie)),
+          lastSearched: now
+        })
+      }
+
+      try {
+        return await database.createDocument(databaseId, collectionId, ID.unique(), {
+          searchTerm,
+          count: 1,
+          zeroResultCount: movie ? 0 : 1,
+          ...(movie && getMovieFields(movie)),
+          firstSearched: now,
+          lastSearched: now
+        })
+      } catch (error) {
+        // Another search created the term first: go round again and increment it
+        if (error?.code !== CONFLICT_CODE) throw error
+      }
+    }
+
+    throw new Error(`Could not count search for "${searchTerm}" after ${maxAttempts} attempts`)
+  }
+
+  /**
+   * Collapse documents that share a normalized search term into one, summing their counts
+   * Needed for data written before the unique index existed (the index can't be created
+   * while duplicates remain)
+   * @param {Object} options - Merge options
+   * @param {boolean} options.dryRun - Report what would change without writing (default: false)
+   * @returns {Promise<{groups: number, removed: number}>} Terms merged and documents deleted
+   */
+  const mergeDuplicates = async ({ dryRun = false } = {}) => {
+    const byTerm = new Map()
+    const documents = await listAllDocuments(database, databaseId, collectionId)
+    documents.forEach((doc) => {
+      const key = normalizeSearchTerm(doc.searchTerm)
+      byTerm.set(key, [...(byTerm.get(key) || []), doc])
+    })
+
+    let groups = 0
+    let removed = 0
+
+    for (const [searchTerm, docs] of byTerm) {
+      if (docs.length < 2 && docs[0].searchTerm === searchTerm) continue
+
+      // Keep the oldest document; take movie info from the most recent search
+      const [keeper, ...duplicates] = [...docs].sort((a, b) => getTime(a.firstSearched) - getTime(b.firstSearched))
+      const withMovie = docs.filter(doc => doc.movie_id)
+      const latest = (withMovie.length > 0 ? withMovie : docs)
+        .reduce((a, b) => (getTime(b.lastSearched) > getTime(a.lastSearched) ? b : a))
+
+      groups++
+      removed += duplicates.length
+      if (dryRun) continue
+
+      // Move each duplicate's counts onto the keeper, then zero them on the duplicate before
+      // deleting it. A rerun after a failure finds moved duplicates at zero and only deletes
+      // them, so nothing is counted twice; the one gap is a failure between the increment and
+      // the zeroing. Counts are added rather than overwritten, so searches counted meanwhile stay
+      for (const doc of duplicates) {
+        const fields = ['count', 'zeroResultCount'].filter(field => doc[field] > 0)
+        for (const field of fields) {
+          await database.incrementDocumentAttribute(databaseId, collectionId, keeper.$id, field, doc[field])
+        }
+        if (fields.length > 0) {
+          await database.updateDocument(databaseId, collectionId, doc.$id, { count: 0, zeroResultCount: 0 })
+        }
+        await database.deleteDocument(databaseId, collectionId, doc.$id)
+      }
+      // Last, once the duplicates are gone, so the keeper can take the normalized term without a conflict
+      await database.updateDocument(databaseId, collectionId, keeper.$id, {
+        searchTerm,
+        movie_id: latest.movie_id,
+        media_type: latest.media_type || 'movie',
+        title: latest.title,
+        poster_url: latest.poster_url,
+        release_date: latest.release_date,
+        vote_average: latest.vote_average,
+        lastSearched: latest.lastSearched
+      })
+    }
+
+    return { groups, removed }
+  }
+
+  return { increment, mergeDuplicates }
+}
+
+/**
+ * Create the interaction counter for a movie-keyed collection
+ * Each movie (per bucket) has one document whose ID is derived from its media key (the
+ * movie ID, or `tv_<id>` for a show), so a concurrent first write fails with a conflict
+ * instead of creating a duplicate.
+ * `score` and the per-signal counts only change through Appwrite's atomic increment.
+ * @param {Object} options - Counter options
+ * @param {Object} options.database - Appwrite Databases instance (or a mock with the same methods)
+ * @param {string} options.databaseId - Database ID
+ * @param {string} options.collectionId - Movie-count collection ID
+ * @param {number} options.maxAttempts - Create/update rounds before giving up (default: APP_CONFIG.RETRY_ATTEMPTS)
+ * @param {Function} options.getBucket - Returns extra fields that, with the movie, identify a
+ *   document (e.g. `{ day }` for daily counters)
+ * @returns {{record: Function}} Counter
+ */
+export const createMovieCounter = ({
+  database,
+  databaseId,
+  collectionId,
+  maxAttempts = APP_CONFIG.RETRY_ATTEMPTS,
+  getBucket = () => ({})
+}) => {
+  /**
+   * Count one interaction with a movie
+   * @param {Object} movie - TMDB movie
+   * @param {Object} options - Interaction details
+   * @param {'search'|'open'|'click'} options.signal - Kind of interaction (see MOVIE_SIGNAL_WEIGHTS)
+   * @param {string} options.searchTerm - Search that led to the movie, added to its terms
+   * @returns {Promise<Object>} The updated or created document
+   * @throws {Error} Appwrite errors other than a missing document or create conflict
+   */
+  const record = async (movie, { signal = 'search', searchTerm = '' } = {}) => {
+    const weight = MOVIE_SIGNAL_WEIGHTS[signal]
+    if (!weight) throw new Error(`Unknown movie signal "${signal}"`)
+
+    const bucket = getBucket()
+    const documentId = [getMediaKey(movie), ...Object.values(bucket)].join('_')
+    const term = normalizeSearchTerm(searchTerm)
+    const now = new Date().toISOString()
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let doc
+
+      try {
+        doc = await database.incrementDocumentAttribute(databaseId, collectionId, documentId, 'score', weight)
+      } catch (error) {
+        if (error?.code !== NOT_FOUND_CODE) throw error
+
+        try {
+          return await database.createDocument(databaseId, collectionId, documentId, {
+            ...getMovieFields(movie),
+            ...bucket,
+            score: weight,
+            ...getSignalCounts(signal),
+            searchTerms: term ? [term] : [],
+            lastActivity: now
+          })
+        } catch (createError) {
+          // Another interaction created it first: go round again and increment it
+          if (createError?.code !== CONFLICT_CODE) throw createError
+          continue
+        }
+      }
+
+      await database.incrementDocumentAttribute(databaseId, collectionId, documentId, `${signal}Count`, 1)
+
+      // The term list is best effort: a concurrent write may drop a term, never a count
+      const searchTerms = term
+        ? [term, ...(doc.searchTerms || []).filter(item => item !== term)].slice(0, APP_CONFIG.MAX_TERMS_PER_MOVIE)
+        : doc.searchTerms || []
+
+      return database.updateDocument(databaseId, collectionId, documentId, {
+        ...getMovieFields(movie),
+        searchTerms,
+        lastActivity: now
+      })
+    }
+
+    throw new Error(`Could not record ${signal} for ${getMediaType(movie)} ${movie.id} after ${maxAttempts} attempts`)
+  }
+
+  return { record }
+}
+
+/**
+ * Shape a search-count or movie-count document for components
+ * @param {Object} doc - Counter document
+ * @returns {Object} Trending movie, with the search terms that found it
+ */
+export const toTrendingMovie = (doc) => {
+  const searchTerms = doc.searchTerms || (doc.searchTerm ? [doc.searchTerm] : [])
+
+  return {
+    $id: getDocumentMediaKey(doc),
+    movie_id: doc.movie_id,
+    media_type: doc.media_type || 'movie',
+    searchTerm: searchTerms[0] || null,
+    searchTerms,
+    title: doc.title,
+    poster_path: doc.poster_url ? doc.poster_url.replace(`${TMDB_IMAGE_BASE_URL}/w500`, '') : null,
+    poster_url: doc.poster_url,
+    // Movie documents count each kind of interaction separately
+    count: doc.count ?? Object.keys(MOVIE_SIGNAL_WEIGHTS).reduce((sum, key) => sum + (doc[`${key}Count`] || 0), 0),
+    score: doc.score ?? doc.count,
+    vote_average: doc.vote_average,
+    release_date: doc.release_date,
+    lastSearched: doc.lastActivity || doc.lastSearched
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Get the UTC day bucket (YYYY-MM-DD) for a time
+ * @param {number} time - Time in ms (default: now)
+ * @returns {string} Day
+ */
+export const getDayBucket = (time = Date.now()) => new Date(time).toISOString().slice(0, 10)
+
+/**
+ * Score daily movie counters for a trending window
+ * Days partly outside the window count in proportion, and older days are decayed
+ * so a burst of interest fades out instead of dropping off a cliff.
+ * @param {Object[]} docs - Daily counter documents (`movie_id`, `media_type`, `day`, `score`,
+ *   `searchTerms`, movie fields)
+ * @param {{days: number, halfLifeDays: number}} window - Window from SEARCH_TRENDING_WINDOWS
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {Object[]} One entry per movie with its decayed `score` and recent `searchTerms`, best first
+ */
+export const scoreDailyCounts = (docs, { days, halfLifeDays }, now = Date.now()) => {
+  const windowStart = now - days * DAY_MS
+  const byMovie = new Map()
+
+  // Newest days first, so each movie shows its latest details and terms
+  const newestFirst = [...docs].sort((a, b) => b.day.localeCompare(a.day))
+
+  newestFirst.forEach((doc) => {
+    const dayStart = Date.parse(`${doc.day}T00:00:00Z`)
+    const start = Math.max(dayStart, windowStart)
+    const end = Math.min(dayStart + DAY_MS, now)
+    if (end <= start) return
+
+    const fraction = (end - start) / DAY_MS
+    const ageDays = (now - (start + end) / 2) / DAY_MS
+    const score = (doc.score || 0) * fraction * Math.pow(0.5, ageDays / halfLifeDays)
+
+    const key = getDocumentMediaKey(doc)
+    const entry = byMovie.get(key)
+    if (!entry) {
+      byMovie.set(key, { ...doc, score, searchTerms: [...(doc.searchTerms || [])] })
+      return
+    }
+
+    entry.score += score
+    for (const term of doc.searchTerms || []) {
+      if (!entry.searchTerms.includes(term)) entry.searchTerms.push(term)
+    }
+  })
+
+  return [...byMovie.values()]
+    .map(entry => ({ ...entry, searchTerms: entry.searchTerms.slice(0, APP_CONFIG.MAX_TERMS_PER_MOVIE) }))
+    .sort((a, b) => b.score - a.score)
+}
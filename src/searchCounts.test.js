@@ -0,0 +1,193 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSearchCounter } from './searchCounts.js'
+
+const appwriteError = (code) => Object.assign(new Error(`Appwrite error ${code}`), { code })
+
+/**
+ * An in-memory stand-in for Appwrite's Databases, for one collection
+ * Supports the `equal`, `limit`, `orderAsc` and `cursorAfter` queries the counters send.
+ * `hooks` can replace any method for one test (e.g. to fail a call); they get the
+ * stub's own implementation as their last argument.
+ */
+const createDatabaseStub = (documents = [], hooks = {}) => {
+  const docs = new Map(documents.map(doc => [doc.$id, { ...doc }]))
+  const calls = []
+  let nextId = 1
+
+  const methods = {
+    listDocuments: async (databaseId, collectionId, queries = []) => {
+      let results = [...docs.values()]
+      let limit = 25
+      queries.map(query => JSON.parse(query)).forEach(({ method, attribute, values }) => {
+        if (method === 'equal') results = results.filter(doc => values.includes(doc[attribute]))
+        if (method === 'orderAsc') results.sort((a, b) => String(a[attribute]).localeCompare(String(b[attribute])))
+        if (method === 'cursorAfter') results = results.slice(results.findIndex(doc => doc.$id === values[0]) + 1)
+        if (method === 'limit') limit = values[0]
+      })
+      return { total: results.length, documents: results.slice(0, limit).map(doc => ({ ...doc })) }
+    },
+    createDocument: async (databaseId, collectionId, documentId, data) => {
+      const $id = documentId === 'unique()' ? `doc${nextId++}` : documentId
+      if (docs.has($id) || [...docs.values()].some(doc => doc.searchTerm === data.searchTerm)) {
+        throw appwriteError(409)
+      }
+      docs.set($id, { $id, ...data })
+      return { ...docs.get($id) }
+    },
+    updateDocument: async (databaseId, collectionId, documentId, data) => {
+      if (!docs.has(documentId)) throw appwriteError(404)
+      docs.set(documentId, { ...docs.get(documentId), ...data })
+      return { ...docs.get(documentId) }
+    },
+    incrementDocumentAttribute: async (databaseId, collectionId, documentId, attribute, value = 1) => {
+      if (!docs.has(documentId)) throw appwriteError(404)
+      const doc = docs.get(documentId)
+      doc[attribute] = (doc[attribute] || 0) + value
+      return { ...doc }
+    },
+    deleteDocument: async (databaseId, collectionId, documentId) => {
+      if (!docs.delete(documentId)) throw appwriteError(404)
+    }
+  }
+
+  const database = Object.fromEntries(Object.entries(methods).map(([name, method]) => [
+    name,
+    (...args) => {
+      calls.push({ name, args })
+      return hooks[name] ? hooks[name](...args, method) : method(...args)
+    }
+  ]))
+
+  return { database, docs, calls }
+}
+
+const createCounter = (database, options = {}) => createSearchCounter({
+  database,
+  databaseId: 'db',
+  collectionId: 'searches',
+  ...options
+})
+
+const movie = { id: 550, title: 'Fight Club', poster_path: '/fc.jpg', release_date: '1999-10-15', vote_average: 8.4 }
+
+describe('createSearchCounter increment', () => {
+  it('creates a document for a new term, normalized', async () => {
+    const { database, docs } = createDatabaseStub()
+
+    await createCounter(database).increment('  Fight   CLUB ', movie)
+
+    const [doc] = docs.values()
+    assert.equal(doc.searchTerm, 'fight club')
+    assert.equal(doc.count, 1)
+    assert.equal(doc.zeroResultCount, 0)
+    assert.equal(doc.movie_id, 550)
+  })
+
+  it('increments an existing term and counts searches that found nothing', async () => {
+    const { database, docs } = createDatabaseStub([
+      { $id: 'a', searchTerm: 'fight club', count: 4, zeroResultCount: 0, movie_id: 550 }
+    ])
+
+    await createCounter(database).increment('fight club', null)
+
+    assert.equal(docs.get('a').count, 5)
+    assert.equal(docs.get('a').zeroResultCount, 1)
+    // A search that found nothing keeps the movie from earlier ones
+    assert.equal(docs.get('a').movie_id, 550)
+  })
+
+  it('retries a 409 conflict by incrementing the term created meanwhile', async () => {
+    const { database, docs } = createDatabaseStub([], {
+      // Another browser creates the term between our lookup and our create
+      createDocument: async (databaseId, collectionId, documentId, data, create) => {
+        await create(databaseId, collectionId, 'theirs', { ...data, count: 1 })
+        return create(databaseId, collectionId, documentId, data)
+      }
+    })
+
+    await createCounter(database).increment('fight club', movie)
+
+    assert.equal(docs.size, 1)
+    assert.equal(docs.get('theirs').count, 2)
+  })
+
+  it('gives up after maxAttempts conflicts', async () => {
+    const { database, calls } = createDatabaseStub([], {
+      createDocument: async () => { throw appwriteError(409) }
+    })
+
+    await assert.rejects(createCounter(database, { maxAttempts: 2 }).increment('fight club', movie), /after 2 attempts/)
+    assert.equal(calls.filter(call => call.name === 'createDocument').length, 2)
+  })
+
+  it('passes other Appwrite errors straight through', async () => {
+    const { database } = createDatabaseStub([], {
+      createDocument: async () => { throw appwriteError(401) }
+    })
+
+    await assert.rejects(createCounter(database).increment('fight club', movie), { code: 401 })
+  })
+})
+
+describe('createSearchCounter mergeDuplicates', () => {
+  const duplicates = () => [
+    { $id: 'a', searchTerm: 'Fight Club', count: 3, zeroResultCount: 1, firstSearched: '2024-01-01T00:00:00Z', lastSearched: '2024-01-02T00:00:00Z' },
+    { $id: 'b', searchTerm: 'fight club', count: 5, zeroResultCount: 0, movie_id: 550, title: 'Fight Club', firstSearched: '2024-02-01T00:00:00Z', lastSearched: '2024-03-01T00:00:00Z' },
+    { $id: 'c', searchTerm: 'fight  club', count: 2, zeroResultCount: 2, firstSearched: '2024-03-01T00:00:00Z', lastSearched: '2024-03-02T00:00:00Z' },
+    { $id: 'd', searchTerm: 'alien', count: 1, zeroResultCount: 0, firstSearched: '2024-01-01T00:00:00Z' }
+  ]
+
+  it('sums duplicates into the oldest document and normalizes its term', async () => {
+    const { database, docs } = createDatabaseStub(duplicates())
+
+    const result = await createCounter(database).mergeDuplicates()
+
+    assert.deepEqual(result, { groups: 1, removed: 2 })
+    assert.deepEqual([...docs.keys()].sort(), ['a', 'd'])
+    assert.equal(docs.get('a').searchTerm, 'fight club')
+    assert.equal(docs.get('a').count, 10)
+    assert.equal(docs.get('a').zeroResultCount, 3)
+    assert.equal(docs.get('a').movie_id, 550)
+  })
+
+  it('writes nothing on a dry run', async () => {
+    const { database, calls } = createDatabaseStub(duplicates())
+
+    const result = await createCounter(database).mergeDuplicates({ dryRun: true })
+
+    assert.deepEqual(result, { groups: 1, removed: 2 })
+    assert.ok(calls.every(call => call.name === 'listDocuments'))
+  })
+
+  it('counts nothing twice when it fails partway, and a rerun finishes the merge', async () => {
+    let failDelete = true
+    const { database, docs } = createDatabaseStub(duplicates(), {
+      // The run stops on the second delete, e.g. on a rate limit
+      deleteDocument: async (databaseId, collectionId, documentId, remove) => {
+        if (documentId === 'c' && failDelete) throw appwriteError(429)
+        return remove(databaseId, collectionId, documentId)
+      }
+    })
+    const counter = createCounter(database)
+    const total = () => [...docs.values()]
+      .filter(doc => doc.searchTerm.replace(/\s+/g, ' ').toLowerCase() === 'fight club')
+      .reduce((sum, doc) => sum + doc.count, 0)
+
+    await assert.rejects(counter.mergeDuplicates(), { code: 429 })
+
+    // 'b' and 'c' were both moved onto the keeper; 'c' is still there, but zeroed
+    assert.deepEqual([...docs.keys()].sort(), ['a', 'c', 'd'])
+    assert.equal(docs.get('a').count, 10)
+    assert.equal(docs.get('c').count, 0)
+    assert.equal(total(), 10)
+
+    failDelete = false
+    await counter.mergeDuplicates()
+
+    assert.deepEqual([...docs.keys()].sort(), ['a', 'd'])
+    assert.equal(docs.get('a').searchTerm, 'fight club')
+    assert.equal(docs.get('a').count, 10)
+    assert.equal(docs.get('a').zeroResultCount, 3)
+  })
+})
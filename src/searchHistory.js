@@ -0,0 +1,91 @@
+import { APP_CONFIG, STORAGE_KEYS } from './constants.js'
+import { getLocalStorage } from './utils.js'
+
+/**
+ * @typedef {Object} SearchHistoryEntry
+ * @property {string} term - Search term as typed (trimmed)
+ * @property {string} searchedAt - ISO timestamp of the latest search
+ */
+
+const HISTORY_EVENT = 'app:search-history'
+
+// Without storage (disabled, or outside a browser) searches simply aren't remembered
+const storage = getLocalStorage()
+
+const normalize = (term) => term.trim().toLowerCase()
+
+const write = (entries) => {
+  try {
+    storage?.setItem(STORAGE_KEYS.SEARCH_HISTORY, JSON.stringify(entries))
+  } catch (error) {
+    console.warn('Could not save search history:', error.message)
+  }
+  window.dispatchEvent(new Event(HISTORY_EVENT))
+  return entries
+}
+
+/**
+ * Get recent searches, most recent first
+ * @returns {SearchHistoryEntry[]} Search history
+ */
+export const getSearchHistory = () => {
+  try {
+    const stored = JSON.parse(storage?.getItem(STORAGE_KEYS.SEARCH_HISTORY) || '[]')
+    return Array.isArray(stored) ? stored.filter(entry => typeof entry?.term === 'string') : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Record a search, moving repeats to the top and keeping at most MAX_SEARCH_HISTORY entries
+ * @param {string} term - Search term
+ * @returns {SearchHistoryEntry[]} Updated history
+ */
+export const addToSearchHistory = (term) => {
+  const trimmed = term?.trim()
+  if (!trimmed) return getSearchHistory()
+
+  const key = normalize(trimmed)
+  const rest = getSearchHistory().filter(entry => normalize(entry.term) !== key)
+
+  return write([
+    { term: trimmed, searchedAt: new Date().toISOString() },
+    ...rest
+  ].slice(0, APP_CONFIG.MAX_SEARCH_HISTORY))
+}
+
+/**
+ * Remove one search from the history
+ * @param {string} term - Search term to remove
+ * @returns {SearchHistoryEntry[]} Updated history
+ */
+export const removeFromSearchHistory = (term) => {
+  const key = normalize(term)
+  return write(getSearchHistory().filter(entry => normalize(entry.term) !== key))
+}
+
+/**
+ * Remove every search from the history
+ * @returns {SearchHistoryEntry[]} Empty history
+ */
+export const clearSearchHistory = () => write([])
+
+/**
+ * Subscribe to history changes from this tab or others
+ * @param {Function} callback - Called when the history changes
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSearchHistory = (callback) => {
+  const handleStorage = (event) => {
+    if (event.key === STORAGE_KEYS.SEARCH_HISTORY) callback()
+  }
+
+  window.addEventListener(HISTORY_EVENT, callback)
+  window.addEventListener('storage', handleStorage)
+
+  return () => {
+    window.removeEventListener(HISTORY_EVENT, callback)
+    window.removeEventListener('storage', handleStorage)
+  }
+}
@@ -0,0 +1,125 @@
+import { APP_CONFIG } from './constants.js'
+import { getMediaKey } from './utils.js'
+
+/**
+ * @typedef {Object} DailyStats
+ * @property {string} day - UTC day (YYYY-MM-DD)
+ * @property {number} searches - Searches that found a movie
+ * @property {number} opens - Detail opens
+ * @property {number} clicks - Movie card clicks
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const byCountDesc = field => (a, b) => (b[field] || 0) - (a[field] || 0)
+
+const sum = (docs, field) => docs.reduce((total, doc) => total + (doc[field] || 0), 0)
+
+// Group term documents by the movie they credit, for when there are no movie counters
+const getMoviesFromTerms = (termDocs) => {
+  const byMovie = new Map()
+
+  termDocs.filter(doc => doc.movie_id).forEach((doc) => {
+    const key = getMediaKey({ id: doc.movie_id, media_type: doc.media_type })
+    const movie = byMovie.get(key) || {
+      movie_id: doc.movie_id,
+      media_type: doc.media_type || 'movie',
+      title: doc.title,
+      searchCount: 0,
+      openCount: null,
+      clickCount: null,
+      searchTerms: []
+    }
+    movie.searchCount += doc.count || 0
+    movie.searchTerms.push(doc.searchTerm)
+    byMovie.set(key, movie)
+  })
+
+  return [...byMovie.values()]
+}
+
+// One row per day, oldest first, with days without activity filled in
+const getDailyStats = (dailyDocs, days, now) => {
+  const rows = new Map()
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const day = new Date(now - offset * DAY_MS).toISOString().slice(0, 10)
+    rows.set(day, { day, searches: 0, opens: 0, clicks: 0 })
+  }
+
+  dailyDocs.forEach((doc) => {
+    const row = rows.get(doc.day)
+    if (!row) return
+    row.searches += doc.searchCount || 0
+    row.opens += doc.openCount || 0
+    row.clicks += doc.clickCount || 0
+  })
+
+  return [...rows.values()]
+}
+
+/**
+ * Aggregate search analytics from every counter document
+ * @param {Object} data - Documents to summarize
+ * @param {Object[]} data.termDocs - Search-count documents
+ * @param {Object[]|null} data.movieDocs - Movie-count documents (null when not configured)
+ * @param {Object[]|null} data.dailyDocs - Daily movie-count documents (null when not configured)
+ * @param {number} data.days - Days to include in `daily`
+ * @param {number} data.now - Current time in ms
+ * @returns {Object} Totals, top lists, daily rows and the search-to-click rate (null without movie counters)
+ */
+export const summarizeSearchStats = ({
+  termDocs,
+  movieDocs = null,
+  dailyDocs = null,
+  days = APP_CONFIG.STATS_DAYS,
+  now = Date.now()
+}) => {
+  const top = APP_CONFIG.STATS_TOP_COUNT
+  const totalSearches = sum(termDocs, 'count')
+  const zeroResultSearches = sum(termDocs, 'zeroResultCount')
+  const clicks = movieDocs ? sum(movieDocs, 'clickCount') : null
+
+  const topTerms = [...termDocs].sort(byCountDesc('count')).slice(0, top).map(doc => ({
+    term: doc.searchTerm,
+    count: doc.count || 0,
+    zeroResultCount: doc.zeroResultCount || 0,
+    title: doc.title || null
+  }))
+
+  const zeroResultTerms = termDocs
+    .filter(doc => doc.zeroResultCount > 0)
+    .sort(byCountDesc('zeroResultCount'))
+    .slice(0, top)
+    .map(doc => ({
+      term: doc.searchTerm,
+      count: doc.zeroResultCount,
+      lastSearched: doc.lastSearched
+    }))
+
+  const topMovies = (movieDocs || getMoviesFromTerms(termDocs))
+    .sort(byCountDesc(movieDocs ? 'score' : 'searchCount'))
+    .slice(0, top)
+    .map(doc => ({
+      movie_id: doc.movie_id,
+      media_type: doc.media_type || 'movie',
+      title: doc.title,
+      searchCount: doc.searchCount || 0,
+      openCount: doc.openCount,
+      clickCount: doc.clickCount,
+      searchTerms: doc.searchTerms || []
+    }))
+
+  return {
+    totalSearches,
+    uniqueTerms: termDocs.length,
+    zeroResultSearches,
+    clicks,
+    clickRate: clicks !== null && totalSearches > 0 ? clicks / totalSearches : null,
+    topSearch: topTerms[0] || null,
+    topTerms,
+    zeroResultTerms,
+    topMovies,
+    daily: dailyDocs ? getDailyStats(dailyDocs, days, now) : null,
+    lastUpdated: new Date(now).toISOString()
+  }
+}
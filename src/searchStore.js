@@ -0,0 +1,212 @@
+import {
+  checkAppwriteHealth,
+  clearOldSearches as clearAppwriteSearches,
+  getPopularSearchTerms as getAppwritePopularSearchTerms,
+  getSearchStats as getAppwriteSearchStats,
+  getTrendingMovies as getAppwriteTrendingMovies,
+  isAppwriteConfigured,
+  isTrendingWindowEnabled as isAppwriteTrendingWindowEnabled,
+  recordMovieSignal as recordAppwriteMovieSignal,
+  subscribeToTrendingChanges,
+  updateSearchCount as updateAppwriteSearchCount
+} from './appwrite.js'
+import { createLocalSearchStore } from './localSearchStore.js'
+import { APP_CONFIG, SEARCH_STORAGE_BACKENDS, SERVICE_STATUS } from './constants.js'
+import { getLocalStorage } from './utils.js'
+
+/**
+ * @typedef {Object} SearchStore
+ * @property {boolean} supportsTrendingWindows - Whether getTrendingMovies honours `window`
+ * @property {Function} updateSearchCount - (searchTerm, movie|null) => Promise<Object|null>
+ * @property {Function} recordMovieSignal - (movie, signal, searchTerm) => Promise<Object|null>
+ * @property {Function} getTrendingMovies - (limit, {window}) => Promise<Object[]>
+ * @property {Function} getPopularSearchTerms - (prefix, limit) => Promise<string[]>
+ * @property {Function} getSearchStats - ({days}) => Promise<Object>
+ * @property {Function} clearOldSearches - (daysOld) => Promise<number>
+ * @property {Function} subscribe - (callback) => unsubscribe; called when counts may have changed
+ */
+
+/** @type {SearchStore} */
+const appwriteStore = {
+  supportsTrendingWindows: isAppwriteTrendingWindowEnabled,
+  updateSearchCount: updateAppwriteSearchCount,
+  recordMovieSignal: recordAppwriteMovieSignal,
+  getTrendingMovies: getAppwriteTrendingMovies,
+  getPopularSearchTerms: getAppwritePopularSearchTerms,
+  getSearchStats: getAppwriteSearchStats,
+  clearOldSearches: clearAppwriteSearches,
+  subscribe: subscribeToTrendingChanges
+}
+
+// localStorage where there is one, otherwise memory only (e.g. Node)
+const getLocalBackend = () => (
+  getLocalStorage() ? SEARCH_STORAGE_BACKENDS.LOCAL : SEARCH_STORAGE_BACKENDS.MEMORY
+)
+
+// Local stores by backend, created once: each one listens for other tabs' writes,
+// so a recheck that falls back to local again must reuse it rather than add another
+const localStores = {}
+
+const createStore = (backend) => {
+  switch (backend) {
+    case SEARCH_STORAGE_BACKENDS.APPWRITE:
+      return appwriteStore
+    case SEARCH_STORAGE_BACKENDS.LOCAL:
+      return (localStores[SEARCH_STORAGE_BACKENDS.LOCAL] ??= createLocalSearchStore())
+    default:
+      return (localStores[SEARCH_STORAGE_BACKENDS.MEMORY] ??= createLocalSearchStore({ storage: null }))
+  }
+}
+
+const requested = import.meta.env?.VITE_SEARCH_STORAGE || APP_CONFIG.SEARCH_STORAGE
+const isKnownBackend = Object.values(SEARCH_STORAGE_BACKENDS).includes(requested)
+if (!isKnownBackend) {
+  console.warn(`Unknown search storage "${requested}", using ${APP_CONFIG.SEARCH_STORAGE}`)
+}
+const requestedBackend = isKnownBackend ? requested : APP_CONFIG.SEARCH_STORAGE
+
+// Chosen from config alone; a failed connection check can still switch Appwrite to local
+const configuredBackend = requestedBackend === SEARCH_STORAGE_BACKENDS.APPWRITE && !isAppwriteConfigured
+  ? getLocalBackend()
+  : requestedBackend
+
+let storePromise = null
+// Result of the last Appwrite health check, null when Appwrite isn't the configured backend
+let appwriteHealth = null
+
+/**
+ * Get the search store, checking Appwrite's health the first time
+ * @returns {Promise<SearchStore>} Search store
+ */
+export const getSearchStore = () => {
+  if (!storePromise) {
+    storePromise = (async () => {
+      let backend = configuredBackend
+      if (requestedBackend === SEARCH_STORAGE_BACKENDS.APPWRITE) {
+        appwriteHealth = await checkAppwriteHealth()
+        if (appwriteHealth.status !== SERVICE_STATUS.OK) backend = getLocalBackend()
+      }
+      if (backend !== requestedBackend) {
+        console.warn(`Search counts are stored in ${backend} storage instead of ${requestedBackend}`)
+      }
+      return createStore(backend)
+    })()
+  }
+  return storePromise
+}
+
+/**
+ * Get the startup Appwrite health check (see checkAppwriteHealth)
+ * @returns {Promise<Object|null>} Health, or null when another backend was configured
+ */
+export const getAppwriteHealth = async () => {
+  await getSearchStore()
+  return appwriteHealth
+}
+
+/**
+ * Check Appwrite again, switching search counts back to it if it's now healthy
+ * @returns {Promise<Object|null>} Health, or null when another backend was configured
+ */
+export const recheckAppwriteHealth = () => {
+  storePromise = null
+  return getAppwriteHealth()
+}
+
+/**
+ * Whether trending can be limited to a time window with the store in use
+ * Local stores always can; Appwrite needs the daily collection. Asks the store rather than
+ * the config, since a failed health check stores counts locally instead
+ * @returns {Promise<boolean>} True when getTrendingMovies honours `window`
+ */
+export const supportsTrendingWindows = async () => (await getSearchStore()).supportsTrendingWindows
+
+/**
+ * Use a specific store, e.g. an in-memory one in tests
+ * @param {SearchStore|string} store - Store, or a SEARCH_STORAGE_BACKENDS value
+ * @returns {SearchStore} The store now in use
+ */
+export const setSearchStore = (store) => {
+  const selected = typeof store === 'string' ? createStore(store) : store
+  storePromise = Promise.resolve(selected)
+  return selected
+}
+
+/**
+ * Count a search for a term (see the selected store's updateSearchCount)
+ * @param {string} searchTerm - The search term
+ * @param {Object|null} movie - The top movie from TMDB, or null when the search found nothing
+ * @returns {Promise<Object|null>} The updated or created record
+ */
+export const updateSearchCount = async (searchTerm, movie) => (
+  (await getSearchStore()).updateSearchCount(searchTerm, movie)
+)
+
+/**
+ * Count an interaction with a movie towards trending
+ * @param {Object} movie - TMDB movie
+ * @param {'search'|'open'|'click'} signal - Kind of interaction (see MOVIE_SIGNAL_WEIGHTS)
+ * @param {string} searchTerm - Search that led to the movie, if any
+ * @returns {Promise<Object|null>} The all-time movie record
+ */
+export const recordMovieSignal = async (movie, signal, searchTerm) => (
+  (await getSearchStore()).recordMovieSignal(movie, signal, searchTerm)
+)
+
+/**
+ * Get trending movies, one entry per movie, with the search terms that found it
+ * @param {number} limit - Number of trending movies to return
+ * @param {Object} options - Options
+ * @param {string} options.window - A SEARCH_TRENDING_WINDOWS key (default: 'all')
+ * @returns {Promise<Array>} Array of trending movies
+ */
+export const getTrendingMovies = async (limit, options) => (
+  (await getSearchStore()).getTrendingMovies(limit, options)
+)
+
+/**
+ * Get the most searched terms, optionally only those starting with a prefix
+ * @param {string} prefix - Prefix to match
+ * @param {number} limit - Number of terms to return
+ * @returns {Promise<string[]>} Search terms, most searched first
+ */
+export const getPopularSearchTerms = async (prefix, limit) => (
+  (await getSearchStore()).getPopularSearchTerms(prefix, limit)
+)
+
+/**
+ * Get search statistics
+ * @param {Object} options - Options (see summarizeSearchStats)
+ * @returns {Promise<Object>} Search statistics
+ */
+export const getSearchStats = async (options) => (
+  (await getSearchStore()).getSearchStats(options)
+)
+
+/**
+ * Delete searches not repeated for a while
+ * @param {number} daysOld - Delete records not searched for this many days
+ * @returns {Promise<number>} Number of deleted records
+ */
+export const clearOldSearches = async (daysOld) => (
+  (await getSearchStore()).clearOldSearches(daysOld)
+)
+
+/**
+ * Listen for changes that may affect trending, from any user (Appwrite) or tab (local)
+ * @param {Function} callback - Called on each change; may fire in bursts
+ * @returns {Function} Unsubscribe function, safe to call before the store is ready
+ */
+export const subscribeToTrending = (callback) => {
+  let unsubscribe = null
+  let isSubscribed = true
+
+  getSearchStore().then((store) => {
+    if (isSubscribed) unsubscribe = store.subscribe(callback)
+  })
+
+  return () => {
+    isSubscribed = false
+    unsubscribe?.()
+  }
+}
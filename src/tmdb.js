@@ -0,0 +1,447 @@
+import {
+  API_BASE_URL,
+  APP_CONFIG,
+  DEFAULT_LOCALE,
+  DEFAULT_PARAMS,
+  ENDPOINTS,
+  ERROR_TYPES
+} from './constants.js'
+import { buildQueryString, retryWithBackoff } from './utils.js'
+import { createResponseCache, getCacheKey } from './cache.js'
+import { getTmdbLocaleParams, hasMessage, t } from './i18n.js'
+
+/**
+ * @typedef {Object} MovieListResponse
+ * @property {number} page - Current page number
+ * @property {Object[]} results - Movies (or TV shows) on this page
+ * @property {number} total_pages - Total number of pages available
+ * @property {number} total_results - Total number of matching results
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Signal used to cancel the request
+ * @property {Function} [onRevalidate] - Called with fresh data when a stale cached response was returned
+ */
+
+/**
+ * Error thrown by the TMDB client
+ * `code` is the matching `errors` message key, `status` the HTTP status (null for network
+ * failures) and `retryAfter` the seconds a rate-limited caller should wait, when TMDB says
+ */
+export class TmdbError extends Error {
+  constructor(code, { status = null, retryAfter = null, cause } = {}) {
+    super(t(hasMessage(`errors.${code}`) ? `errors.${code}` : 'errors.GENERIC_ERROR'), { cause })
+    this.name = 'TmdbError'
+    this.code = code
+    this.status = status
+    this.retryAfter = retryAfter
+  }
+}
+
+const ERROR_TYPES_BY_CODE = {
+  NETWORK_ERROR: ERROR_TYPES.NETWORK,
+  API_KEY_MISSING: ERROR_TYPES.AUTH,
+  API_KEY_INVALID: ERROR_TYPES.AUTH,
+  RATE_LIMIT: ERROR_TYPES.RATE_LIMIT,
+  SERVER_ERROR: ERROR_TYPES.SERVER
+}
+
+/**
+ * @typedef {Object} ClassifiedError
+ * @property {string} type - ERROR_TYPES value
+ * @property {string} message - User-facing message, in the current locale
+ * @property {number|null} retryAfter - Seconds to wait before retrying, if known
+ */
+
+/**
+ * Classify any error thrown while talking to TMDB for display
+ * @param {Error} error - Error to classify
+ * @returns {ClassifiedError} Classified error
+ */
+export const classifyError = (error) => {
+  const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false
+
+  if (isOffline && (!(error instanceof TmdbError) || error.code === 'NETWORK_ERROR')) {
+    return { type: ERROR_TYPES.OFFLINE, message: t('errors.OFFLINE'), retryAfter: null }
+  }
+
+  if (error instanceof TmdbError) {
+    return {
+      type: ERROR_TYPES_BY_CODE[error.code] || ERROR_TYPES.GENERAL,
+      message: error.message,
+      retryAfter: error.retryAfter
+    }
+  }
+
+  return { type: ERROR_TYPES.GENERAL, message: t('errors.GENERIC_ERROR'), retryAfter: null }
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Seconds to wait, or null if absent or unreadable
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null
+
+  const seconds = Number(value)
+  if (!isNaN(seconds)) return Math.max(0, Math.ceil(seconds))
+
+  const date = Date.parse(value)
+  return isNaN(date) ? null : Math.max(0, Math.ceil((date - now) / 1000))
+}
+
+/**
+ * Map an HTTP status to a TmdbError code
+ * @param {number} status - HTTP status code
+ * @returns {string} TmdbError code
+ */
+export const getErrorCodeForStatus = (status) => {
+  if (status === 401) return 'API_KEY_INVALID'
+  if (status === 429) return 'RATE_LIMIT'
+  if (status >= 500) return 'SERVER_ERROR'
+  return 'GENERIC_ERROR'
+}
+
+// Rate limits, server errors and dropped connections are worth another attempt;
+// bad credentials, missing resources and cancelled requests are not. A rate limit
+// asking for a long wait goes straight to the caller, whose retry button counts it down
+const isRetryable = (error) => {
+  if (error?.name === 'AbortError') return false
+  if (!(error instanceof TmdbError)) return false
+  if (error.code === 'RATE_LIMIT') return !(error.retryAfter > APP_CONFIG.MAX_RETRY_AFTER_SECONDS)
+  return error.code === 'NETWORK_ERROR' || error.code === 'SERVER_ERROR'
+}
+
+// Wait as long as TMDB asked, when it said; otherwise back off
+const getRetryDelay = (error, backoff) => (
+  error.retryAfter != null ? error.retryAfter * 1000 : backoff
+)
+
+const { include_adult, page, sort_by } = DEFAULT_PARAMS
+
+/**
+ * Create a TMDB API client
+ * @param {Object} options - Client options
+ * @param {string} options.apiKey - TMDB read access token (default: VITE_TMDB_API_KEY)
+ * @param {Function} options.fetch - fetch implementation, injectable for tests
+ * @param {string} options.baseUrl - API base URL (default: API_BASE_URL)
+ * @param {number} options.retries - Retry attempts for transient failures
+ * @param {number} options.retryDelay - Initial retry delay in ms
+ * @param {Object|null} options.cache - Response cache from createResponseCache (default: none)
+ * @param {Function} options.getLocaleParams - Returns the `language` and `region` to send, read
+ *   on every request so a locale switch applies to the next one (default: DEFAULT_LOCALE)
+ * @returns {Object} TMDB client
+ */
+export const createTmdbClient = ({
+  apiKey = import.meta.env?.VITE_TMDB_API_KEY,
+  fetch: fetchImpl = globalThis.fetch?.bind(globalThis),
+  baseUrl = API_BASE_URL,
+  retries = APP_CONFIG.RETRY_ATTEMPTS,
+  retryDelay = APP_CONFIG.RETRY_DELAY_MS,
+  cache = null,
+  getLocaleParams = () => getTmdbLocaleParams(DEFAULT_LOCALE)
+} = {}) => {
+  // Keys with a background refresh already running
+  const revalidating = new Set()
+
+  // Region narrows release dates and certifications, so it's only sent to browse lists;
+  // searches and details only need the language
+  const getLanguage = () => ({ language: getLocaleParams().language })
+
+  const fetchOnce = async (url, signal) => {
+    let response
+    try {
+      response = await fetchImpl(url, {
+        method: 'GET',
+        headers: {
+          accept: 'application/json',
+          Authorization: `Bearer ${apiKey}`
+        },
+        signal
+      })
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error
+      throw new TmdbError('NETWORK_ERROR', { cause: error })
+    }
+
+    if (!response.ok) {
+      throw new TmdbError(getErrorCodeForStatus(response.status), {
+        status: response.status,
+        retryAfter: parseRetryAfter(response.headers?.get?.('Retry-After'))
+      })
+    }
+
+    return response.json()
+  }
+
+  const fetchWithRetry = (url, signal) => (
+    retryWithBackoff(() => fetchOnce(url, signal), retries, retryDelay, isRetryable, getRetryDelay)
+  )
+
+  const revalidate = async (key, url, path, onRevalidate) => {
+    if (revalidating.has(key)) return
+    revalidating.add(key)
+
+    try {
+      const data = await fetchWithRetry(url)
+      cache.set(key, data, path)
+      onRevalidate?.(data)
+    } catch (error) {
+      console.warn(`Background refresh failed for ${path}:`, error.message)
+    } finally {
+      revalidating.delete(key)
+    }
+  }
+
+  /**
+   * Perform a GET request against the TMDB API
+   * With a cache, fresh hits skip the network and stale hits are returned
+   * immediately while a background refresh updates the cache
+   * @param {string} path - Endpoint path (e.g. ENDPOINTS.SEARCH_MOVIES)
+   * @param {Object} params - Query parameters
+   * @param {RequestOptions} options - Request options
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  const request = async (path, params = {}, { signal, onRevalidate } = {}) => {
+    if (!apiKey) throw new TmdbError('API_KEY_MISSING')
+
+    const query = buildQueryString(params)
+    const url = `${baseUrl}${path}${query ? `?${query}` : ''}`
+    const key = getCacheKey(path, params)
+
+    const cached = cache?.get(key)
+    if (cached) {
+      if (cached.isStale) revalidate(key, url, path, onRevalidate)
+      return cached.value
+    }
+
+    const data = await fetchWithRetry(url, signal)
+    cache?.set(key, data, path)
+    return data
+  }
+
+  // One trending path per media type, with the window as its last segment
+  const trending = (endpoint, timeWindow, params, options) => request(
+    endpoint.replace(/\/(day|week)$/, `/${timeWindow}`),
+    { ...getLanguage(), page, ...params },
+    options
+  )
+
+  return {
+    request,
+
+    /**
+     * Search movies by title
+     * @param {string} query - Search query
+     * @param {Object} params - Extra query parameters (page, year, ...)
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    searchMovies: (query, params = {}, options) =>
+      request(ENDPOINTS.SEARCH_MOVIES, { query, include_adult, ...getLanguage(), page, ...params }, options),
+
+    /**
+     * Search TV shows by name
+     * @param {string} query - Search query
+     * @param {Object} params - Extra query parameters (page, first_air_date_year, ...)
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    searchTv: (query, params = {}, options) =>
+      request(ENDPOINTS.SEARCH_TV, { query, include_adult, ...getLanguage(), page, ...params }, options),
+
+    /**
+     * Search movies, TV shows and people at once; each result has a `media_type`
+     * @param {string} query - Search query
+     * @param {Object} params - Extra query parameters (page, ...)
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    searchMulti: (query, params = {}, options) =>
+      request(ENDPOINTS.SEARCH_MULTI, { query, include_adult, ...getLanguage(), page, ...params }, options),
+
+    /**
+     * Search people (actors, directors, ...) by name; each has a few `known_for` titles
+     * @param {string} query - Search query
+     * @param {Object} params - Extra query parameters (page, ...)
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    searchPeople: (query, params = {}, options) =>
+      request(ENDPOINTS.SEARCH_PEOPLE, { query, include_adult, ...getLanguage(), page, ...params }, options),
+
+    /**
+     * Discover movies with sorting and filters
+     * @param {Object} params - Discover parameters (sort_by, with_genres, ...)
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    discoverMovies: (params = {}, options) =>
+      request(ENDPOINTS.DISCOVER_MOVIES, { include_adult, ...getLocaleParams(), page, sort_by, ...params }, options),
+
+    /**
+     * Discover TV shows with sorting and filters
+     * @param {Object} params - Discover parameters (sort_by, with_genres, first_air_date.gte, ...)
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    discoverTv: (params = {}, options) =>
+      request(ENDPOINTS.DISCOVER_TV, { include_adult, ...getLocaleParams(), page, sort_by, ...params }, options),
+
+    /**
+     * Get full details for a movie
+     * @param {number|string} id - TMDB movie ID
+     * @param {Object} params - Extra query parameters (append_to_response, ...)
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<Object>} Movie details
+     */
+    getMovieDetails: (id, params = {}, options) =>
+      request(`${ENDPOINTS.MOVIE_DETAILS}/${id}`, { ...getLanguage(), ...params }, options),
+
+    /**
+     * Get full details for a TV show, including its list of seasons
+     * @param {number|string} id - TMDB TV show ID
+     * @param {Object} params - Extra query parameters (append_to_response, ...)
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<Object>} TV show details
+     */
+    getTvDetails: (id, params = {}, options) =>
+      request(`${ENDPOINTS.TV_DETAILS}/${id}`, { ...getLanguage(), ...params }, options),
+
+    /**
+     * Get one season of a TV show with its episodes
+     * @param {number|string} id - TMDB TV show ID
+     * @param {number} seasonNumber - Season number (0 is specials)
+     * @param {Object} params - Extra query parameters
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<Object>} Season details with `episodes`
+     */
+    getTvSeason: (id, seasonNumber, params = {}, options) =>
+      request(`${ENDPOINTS.TV_DETAILS}/${id}/season/${seasonNumber}`, { ...getLanguage(), ...params }, options),
+
+    /**
+     * Get a person's details and biography
+     * @param {number|string} id - TMDB person ID
+     * @param {Object} params - Extra query parameters (append_to_response, ...)
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<Object>} Person details
+     */
+    getPersonDetails: (id, params = {}, options) =>
+      request(`${ENDPOINTS.PERSON_DETAILS}/${id}`, { ...getLanguage(), ...params }, options),
+
+    /**
+     * Get TMDB trending movies
+     * @param {'day'|'week'} timeWindow - Trending window (default: 'day')
+     * @param {Object} params - Extra query parameters
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    getTrending: (timeWindow = 'day', params = {}, options) =>
+      trending(ENDPOINTS.TRENDING_MOVIES, timeWindow, params, options),
+
+    /**
+     * Get TMDB trending TV shows
+     * @param {'day'|'week'} timeWindow - Trending window (default: 'day')
+     * @param {Object} params - Extra query parameters
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    getTrendingTv: (timeWindow = 'day', params = {}, options) =>
+      trending(ENDPOINTS.TRENDING_TV, timeWindow, params, options),
+
+    /**
+     * Get TMDB trending movies, shows and people, each tagged with `media_type`
+     * @param {'day'|'week'} timeWindow - Trending window (default: 'day')
+     * @param {Object} params - Extra query parameters
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    getTrendingAll: (timeWindow = 'day', params = {}, options) =>
+      trending(ENDPOINTS.TRENDING_ALL, timeWindow, params, options),
+
+    /**
+     * Get popular movies
+     * @param {Object} params - Extra query parameters
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    getPopular: (params = {}, options) =>
+      request(ENDPOINTS.POPULAR_MOVIES, { ...getLocaleParams(), page, ...params }, options),
+
+    /**
+     * Get top rated movies
+     * @param {Object} params - Extra query parameters
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    getTopRated: (params = {}, options) =>
+      request(ENDPOINTS.TOP_RATED_MOVIES, { ...getLocaleParams(), page, ...params }, options),
+
+    /**
+     * Get upcoming movies
+     * @param {Object} params - Extra query parameters
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    getUpcoming: (params = {}, options) =>
+      request(ENDPOINTS.UPCOMING_MOVIES, { ...getLocaleParams(), page, ...params }, options),
+
+    /**
+     * Get popular TV shows
+     * @param {Object} params - Extra query parameters
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    getPopularTv: (params = {}, options) =>
+      request(ENDPOINTS.POPULAR_TV, { ...getLocaleParams(), page, ...params }, options),
+
+    /**
+     * Get top rated TV shows
+     * @param {Object} params - Extra query parameters
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    getTopRatedTv: (params = {}, options) =>
+      request(ENDPOINTS.TOP_RATED_TV, { ...getLocaleParams(), page, ...params }, options),
+
+    /**
+     * Get TV shows with an episode airing in the next seven days
+     * @param {Object} params - Extra query parameters
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<MovieListResponse>}
+     */
+    getOnTheAirTv: (params = {}, options) =>
+      request(ENDPOINTS.ON_THE_AIR_TV, { ...getLocaleParams(), page, ...params }, options),
+
+    /**
+     * Get the official genre list, with names in the current language
+     * @param {'movie'|'tv'} type - Movie or TV genres (default: 'movie')
+     * @param {Object} params - Extra query parameters (e.g. another `language`)
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<{genres: {id: number, name: string}[]}>}
+     */
+    getGenres: (type = 'movie', params = {}, options) =>
+      request(
+        type === 'tv' ? ENDPOINTS.TV_GENRES : ENDPOINTS.MOVIE_GENRES,
+        { ...getLanguage(), ...params },
+        options
+      ),
+
+    /**
+     * Get the languages TMDB knows (ISO 639-1), with English and native names
+     * @param {RequestOptions} options - Request options
+     * @returns {Promise<{iso_639_1: string, english_name: string, name: string}[]>}
+     */
+    getLanguages: (options) => request(ENDPOINTS.LANGUAGES, {}, options)
+  }
+}
+
+// Shared client configured from the environment and the current locale,
+// caching responses in localStorage
+export const tmdb = createTmdbClient({
+  cache: createResponseCache(),
+  getLocaleParams: getTmdbLocaleParams
+})
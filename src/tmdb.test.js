@@ -0,0 +1,193 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { classifyError, createTmdbClient, TmdbError } from './tmdb.js'
+import { createResponseCache } from './cache.js'
+import { ENDPOINTS, ERROR_TYPES } from './constants.js'
+
+// A fetch stand-in that answers from a list of canned responses and records each call
+const createFetch = (...responses) => {
+  const calls = []
+  const fetch = async (url, init) => {
+    calls.push({ url, init })
+    const next = responses.length > 1 ? responses.shift() : responses[0]
+    if (next instanceof Error) throw next
+    return next
+  }
+  return { fetch, calls }
+}
+
+const jsonResponse = (body, { status = 200, headers = {} } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body
+})
+
+const createClient = (fetch, options = {}) => createTmdbClient({
+  apiKey: 'test-key',
+  fetch,
+  retries: 0,
+  retryDelay: 0,
+  getLocaleParams: () => ({ language: 'en-US', region: 'US' }),
+  ...options
+})
+
+describe('createTmdbClient errors', () => {
+  it('rejects with API_KEY_MISSING before fetching when there is no key', async () => {
+    const { fetch, calls } = createFetch(jsonResponse({}))
+    const client = createClient(fetch, { apiKey: '' })
+
+    await assert.rejects(client.searchMovies('alien'), { code: 'API_KEY_MISSING' })
+    assert.equal(calls.length, 0)
+  })
+
+  it('classifies a 401 as an auth error', async () => {
+    const { fetch } = createFetch(jsonResponse({}, { status: 401 }))
+    const client = createClient(fetch)
+
+    const error = await client.searchMovies('alien').catch(err => err)
+    assert.ok(error instanceof TmdbError)
+    assert.equal(error.code, 'API_KEY_INVALID')
+    assert.equal(error.status, 401)
+    assert.equal(classifyError(error).type, ERROR_TYPES.AUTH)
+  })
+
+  it('reads Retry-After from a 429', async () => {
+    const { fetch } = createFetch(jsonResponse({}, { status: 429, headers: { 'Retry-After': '7' } }))
+    const client = createClient(fetch)
+
+    const error = await client.getPopular().catch(err => err)
+    assert.equal(error.code, 'RATE_LIMIT')
+    assert.equal(error.retryAfter, 7)
+    const { type, retryAfter } = classifyError(error)
+    assert.deepEqual({ type, retryAfter }, { type: ERROR_TYPES.RATE_LIMIT, retryAfter: 7 })
+  })
+
+  it('wraps a failed fetch as a network error', async () => {
+    const { fetch } = createFetch(new TypeError('Failed to fetch'))
+    const client = createClient(fetch)
+
+    const error = await client.getPopular().catch(err => err)
+    assert.equal(error.code, 'NETWORK_ERROR')
+    assert.equal(error.cause.message, 'Failed to fetch')
+    assert.equal(classifyError(error).type, ERROR_TYPES.NETWORK)
+  })
+
+  it('passes aborts through without wrapping or retrying', async () => {
+    const abort = new DOMException('Aborted', 'AbortError')
+    const { fetch, calls } = createFetch(abort)
+    const client = createClient(fetch, { retries: 2 })
+
+    await assert.rejects(client.getPopular(), { name: 'AbortError' })
+    assert.equal(calls.length, 1)
+  })
+
+  it('retries server errors and returns the first success', async () => {
+    const { fetch, calls } = createFetch(
+      jsonResponse({}, { status: 503 }),
+      jsonResponse({ results: [{ id: 1 }] })
+    )
+    const client = createClient(fetch, { retries: 2 })
+
+    const data = await client.getPopular()
+    assert.deepEqual(data.results, [{ id: 1 }])
+    assert.equal(calls.length, 2)
+  })
+
+  it('waits as long as Retry-After says instead of backing off', async () => {
+    const { fetch, calls } = createFetch(
+      jsonResponse({}, { status: 429, headers: { 'Retry-After': '0' } }),
+      jsonResponse({ results: [] })
+    )
+    // A backoff this long would time the test out
+    const client = createClient(fetch, { retries: 1, retryDelay: 60000 })
+
+    await client.getPopular()
+    assert.equal(calls.length, 2)
+  })
+
+  it('leaves long rate-limit waits to the caller', async () => {
+    const { fetch, calls } = createFetch(jsonResponse({}, { status: 429, headers: { 'Retry-After': '120' } }))
+    const client = createClient(fetch, { retries: 2 })
+
+    await assert.rejects(client.getPopular(), { code: 'RATE_LIMIT', retryAfter: 120 })
+    assert.equal(calls.length, 1)
+  })
+})
+
+describe('createTmdbClient cache', () => {
+  // A memory-only cache on a clock the test moves by hand
+  const createClock = () => {
+    let time = 0
+    return { now: () => time, advance: (ms) => { time += ms } }
+  }
+
+  const createCache = (clock) => createResponseCache({
+    storage: null,
+    now: clock.now,
+    ttls: { default: 1000 },
+    staleMs: 5000
+  })
+
+  it('serves a fresh hit without fetching again', async () => {
+    const clock = createClock()
+    const { fetch, calls } = createFetch(jsonResponse({ id: 550 }))
+    const client = createClient(fetch, { cache: createCache(clock) })
+
+    await client.getMovieDetails(550)
+    clock.advance(500)
+    const data = await client.getMovieDetails(550)
+
+    assert.deepEqual(data, { id: 550 })
+    assert.equal(calls.length, 1)
+    assert.ok(calls[0].url.includes(`${ENDPOINTS.MOVIE_DETAILS}/550`))
+  })
+
+  it('keys the cache by parameters', async () => {
+    const { fetch, calls } = createFetch(jsonResponse({ results: [] }))
+    const client = createClient(fetch, { cache: createCache(createClock()) })
+
+    await client.searchMovies('alien')
+    await client.searchMovies('alien', { page: 2 })
+    await client.searchMovies('alien')
+
+    assert.equal(calls.length, 2)
+  })
+
+  it('returns a stale hit at once and revalidates in the background', async () => {
+    const clock = createClock()
+    const { fetch, calls } = createFetch(
+      jsonResponse({ title: 'Old' }),
+      jsonResponse({ title: 'New' })
+    )
+    const client = createClient(fetch, { cache: createCache(clock) })
+
+    await client.getMovieDetails(550)
+    clock.advance(2000)
+
+    let revalidated
+    const refreshed = new Promise((resolve) => { revalidated = resolve })
+    const stale = await client.getMovieDetails(550, {}, { onRevalidate: revalidated })
+
+    assert.deepEqual(stale, { title: 'Old' })
+    assert.deepEqual(await refreshed, { title: 'New' })
+    assert.equal(calls.length, 2)
+    assert.deepEqual(await client.getMovieDetails(550), { title: 'New' })
+    assert.equal(calls.length, 2)
+  })
+
+  it('refetches once an entry is past its stale window', async () => {
+    const clock = createClock()
+    const { fetch, calls } = createFetch(
+      jsonResponse({ title: 'Old' }),
+      jsonResponse({ title: 'New' })
+    )
+    const client = createClient(fetch, { cache: createCache(clock) })
+
+    await client.getMovieDetails(550)
+    clock.advance(10000)
+
+    assert.deepEqual(await client.getMovieDetails(550), { title: 'New' })
+    assert.equal(calls.length, 2)
+  })
+})
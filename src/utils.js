@@ -14,13 +14,30 @@ export const getImageUrl = (path, size = 'medium', type = 'poster') => {
   return `${TMDB_IMAGE_BASE_URL}/${sizeCode}${path}`
 }
 
+/**
+ * Build a srcset covering every fixed-width TMDB size for an image type
+ * @param {string} path - Image path from TMDB API
+ * @param {string} type - Image type (poster or backdrop)
+ * @returns {string|null} srcset value (e.g. `.../w185/x.jpg 185w, ...`) or null if path is invalid
+ */
+export const getImageSrcSet = (path, type = 'poster') => {
+  if (!path) return null
+
+  return Object.values(IMAGE_SIZES[type] || IMAGE_SIZES.poster)
+    .filter(sizeCode => /^w\d+$/.test(sizeCode))
+    .map(sizeCode => `${TMDB_IMAGE_BASE_URL}/${sizeCode}${path} ${sizeCode.slice(1)}w`)
+    .join(', ')
+}
+
 /**
  * Format release date
  * @param {string} dateString - ISO date string
- * @returns {string} Formatted date or 'N/A'
+ * @param {string|null} fallback - Returned when there's no usable date; the UI passes the
+ *   localized t('common.notAvailable') (default: 'N/A')
+ * @returns {string|null} Formatted date or `fallback`
  */
-export const formatReleaseDate = (dateString) => {
-  if (!dateString) return 'N/A'
+export const formatReleaseDate = (dateString, fallback = 'N/A') => {
+  if (!dateString) return fallback
   
   try {
     const date = new Date(dateString)
@@ -36,31 +53,126 @@ export const formatReleaseDate = (dateString) => {
     //   day: 'numeric'
     // })
     
-    return 'N/A'
-  } catch (error) {
+    return fallback
+  } catch {
     console.warn('Invalid date format:', dateString)
-    return 'N/A'
+    return fallback
   }
 }
 
 /**
  * Format vote average rating
  * @param {number} rating - Rating from TMDB (0-10)
- * @returns {string} Formatted rating or 'N/A'
+ * @param {string} fallback - Returned for unrated titles, e.g. t('common.notAvailable') (default: 'N/A')
+ * @returns {string} Formatted rating or `fallback`
  */
-export const formatRating = (rating) => {
-  if (!rating || rating === 0) return 'N/A'
+export const formatRating = (rating, fallback = 'N/A') => {
+  if (!rating || rating === 0) return fallback
   return rating.toFixed(1)
 }
 
+/**
+ * Format runtime in minutes as hours and minutes
+ * @param {number} minutes - Runtime in minutes
+ * @param {string} fallback - Returned when the runtime is unknown, e.g. t('common.notAvailable') (default: 'N/A')
+ * @returns {string} Formatted runtime (e.g. '2h 12m') or `fallback`
+ */
+export const formatRuntime = (minutes, fallback = 'N/A') => {
+  if (!minutes || minutes <= 0) return fallback
+  const hours = Math.floor(minutes / 60)
+  const rest = minutes % 60
+  if (!hours) return `${rest}m`
+  return rest ? `${hours}h ${rest}m` : `${hours}h`
+}
+
+/**
+ * Pick the best trailer from a TMDB videos list
+ * Prefers official trailers, then any trailer, then teasers
+ * @param {Object[]} videos - Videos from the TMDB `videos.results` field
+ * @param {string[]} sites - Supported video sites
+ * @returns {Object|null} Trailer video or null if none found
+ */
+export const findTrailer = (videos, sites = ['YouTube', 'Vimeo']) => {
+  if (!Array.isArray(videos)) return null
+  const playable = videos.filter(video => sites.includes(video.site))
+  return playable.find(video => video.type === 'Trailer' && video.official)
+    || playable.find(video => video.type === 'Trailer')
+    || playable.find(video => video.type === 'Teaser')
+    || null
+}
+
+/**
+ * Get the certification (age rating) for a country from TMDB release dates
+ * @param {Object[]} releaseDates - Results from the TMDB `release_dates` field
+ * @param {string} country - ISO 3166-1 country code (default: 'US')
+ * @returns {string|null} Certification or null if none
+ */
+export const getCertification = (releaseDates, country = 'US') => {
+  if (!Array.isArray(releaseDates)) return null
+  const entry = releaseDates.find(item => item.iso_3166_1 === country)
+  const release = entry?.release_dates?.find(item => item.certification)
+  return release?.certification || null
+}
+
+/**
+ * Get the TV content rating for a country from TMDB content ratings
+ * @param {Object[]} contentRatings - Results from the TMDB `content_ratings` field
+ * @param {string} country - ISO 3166-1 country code (default: 'US')
+ * @returns {string|null} Rating or null if none
+ */
+export const getContentRating = (contentRatings, country = 'US') => {
+  if (!Array.isArray(contentRatings)) return null
+  return contentRatings.find(item => item.iso_3166_1 === country && item.rating)?.rating || null
+}
+
+/**
+ * Get what a TMDB result is
+ * Only multi search and mixed trending say; other lists are tagged when fetched (see useMovieFeed)
+ * @param {Object} item - TMDB result
+ * @returns {'movie'|'tv'|'person'} Media type (default: 'movie')
+ */
+export const getMediaType = (item) => item?.media_type || 'movie'
+
+/**
+ * Get a key that tells a movie and a TV show with the same TMDB ID apart
+ * Movies keep their plain ID, so keys stored before TV support still match
+ * @param {Object} item - TMDB result
+ * @returns {string} Key, e.g. '550' or 'tv_1399'
+ */
+export const getMediaKey = (item) => (
+  getMediaType(item) === 'tv' ? `tv_${item.id}` : String(item.id)
+)
+
+/**
+ * Get the title of a movie or the name of a TV show
+ * @param {Object} item - TMDB result
+ * @returns {string} Title
+ */
+export const getMediaTitle = (item) => item?.title || item?.name || ''
+
+/**
+ * Get the release date of a movie or the first air date of a TV show
+ * @param {Object} item - TMDB result
+ * @returns {string} ISO date, or '' if unknown
+ */
+export const getMediaDate = (item) => item?.release_date || item?.first_air_date || ''
+
+/**
+ * Check whether a TMDB result is a movie or a show (multi search also returns people)
+ * @param {Object} item - TMDB result
+ * @returns {boolean} Is a movie or TV show
+ */
+export const isTitleResult = (item) => getMediaType(item) !== 'person'
+
 /**
  * Get genre names from genre IDs
  * @param {number[]} genreIds - Array of genre IDs
+ * @param {Object<number, string>} genres - Names by genre ID (default: built-in movie genres)
  * @returns {string[]} Array of genre names
  */
-export const getGenreNames = (genreIds) => {
+export const getGenreNames = (genreIds, genres = GENRES) => {
   if (!Array.isArray(genreIds)) return []
-  return genreIds.map(id => GENRES[id]).filter(Boolean)
+  return genreIds.map(id => genres[id]).filter(Boolean)
 }
 
 /**
@@ -152,20 +264,43 @@ export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
  * @param {Function} fn - Function to retry
  * @param {number} retries - Number of retry attempts
  * @param {number} delay - Initial delay in ms
+ * @param {Function} shouldRetry - Predicate deciding whether an error is retryable (default: always)
+ * @param {Function} getDelay - Picks the wait before the next attempt from (error, backoff delay),
+ *   e.g. to honour a server's Retry-After (default: the backoff delay)
  * @returns {Promise} Promise that resolves with function result
  */
-export const retryWithBackoff = async (fn, retries = 3, delay = 1000) => {
+export const retryWithBackoff = async (
+  fn,
+  retries = 3,
+  delay = 1000,
+  shouldRetry = () => true,
+  getDelay = (error, backoff) => backoff
+) => {
   try {
     return await fn()
   } catch (error) {
-    if (retries > 0) {
-      await sleep(delay)
-      return retryWithBackoff(fn, retries - 1, delay * 2)
+    if (retries > 0 && shouldRetry(error)) {
+      await sleep(getDelay(error, delay))
+      return retryWithBackoff(fn, retries - 1, delay * 2, shouldRetry, getDelay)
     }
     throw error
   }
 }
 
+/**
+ * Build a query string, skipping empty values
+ * @param {Object} params - Query parameters
+ * @returns {string} Encoded query string (without leading '?')
+ */
+export const buildQueryString = (params = {}) => {
+  const search = new URLSearchParams()
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return
+    search.append(key, Array.isArray(value) ? value.join(',') : String(value))
+  })
+  return search.toString()
+}
+
 /**
  * Check if device is mobile
  * @returns {boolean} Is mobile device
@@ -221,6 +356,24 @@ export const deepClone = (obj) => {
   }
 }
 
+/**
+ * Append items to a list, skipping any whose id is already present
+ * @param {Object[]} existing - Current items
+ * @param {Object[]} incoming - Items to append
+ * @param {Function} getKey - Returns the identity of an item (default: its `id`)
+ * @returns {Object[]} Merged list without duplicate ids
+ */
+export const mergeUniqueById = (existing, incoming, getKey = item => item.id) => {
+  const seen = new Set(existing.map(getKey))
+  const additions = incoming.filter(item => {
+    const key = getKey(item)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+  return additions.length > 0 ? [...existing, ...additions] : existing
+}
+
 /**
  * Check if object is empty
  * @param {Object} obj - Object to check
@@ -272,4 +425,78 @@ export const parseErrorMessage = (error) => {
   if (error?.error) return error.error
   if (typeof error === 'object') return JSON.stringify(error)
   return 'An unknown error occurred'
-}
\ No newline at end of file
+}
+
+/**
+ * Build CSV text (RFC 4180) from rows
+ * @param {Object[]} rows - Rows to write
+ * @param {{key: string, label: string}[]} columns - Columns in order; arrays are joined with '; '
+ * @returns {string} CSV with a header row
+ */
+export const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return ''
+    const text = Array.isArray(value) ? value.join('; ') : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
+  return [
+    columns.map(column => escape(column.label)).join(','),
+    ...rows.map(row => columns.map(column => escape(row[column.key])).join(','))
+  ].join('\r\n')
+}
+
+/**
+ * Save text as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type (default: 'text/csv')
+ */
+export const downloadFile = (filename, content, type = 'text/csv') => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * Failures don't stop the rest; each result records its own outcome
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array<{status: 'fulfilled'|'rejected', value?: *, reason?: *}>>} Results in item order
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) }
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason }
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker))
+  return results
+}
+
+/**
+ * Get localStorage if this environment has a usable one
+ * @returns {Storage|null} localStorage, or null (e.g. in Node or with storage disabled)
+ */
+export const getLocalStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null
+  } catch {
+    // Access can throw when storage is disabled (e.g. some private modes)
+    return null
+  }
+}